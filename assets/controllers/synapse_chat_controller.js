@@ -1,5 +1,27 @@
 import { Controller } from '@hotwired/stimulus';
-import { escapeHtml, formatDate } from '../helpers.js';
+import { escapeHtml, formatDate, dateGroupLabel, closeOpenFence, renderMarkdownFallback, advanceStableBoundary, extractMath, pastedFileName, fitWithin, formatFileSize, splitForSpeech, matchShortcut, formatShortcut, fuzzyScore, parseSlashCommand, extractMention } from '../helpers.js';
+import { sanitizeHtml } from '../sanitizer.js';
+
+// Langages de bloc de code rendus en diagramme plutôt qu'en code
+const DIAGRAM_LANGUAGES = ['mermaid'];
+
+// Images redimensionnables sur canvas (GIF exclu : l'animation serait perdue)
+const RESIZABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Raccourcis clavier (affichés dans l'aide Ctrl+/) ; sans `action`, géré par la zone de saisie.
+// Les raccourcis Alt ne s'appliquent pas dans un champ de saisie (voir handleShortcut()).
+const SHORTCUTS = [
+    { keys: 'Ctrl+K', label: 'Palette de commandes', action: 'togglePalette' },
+    { keys: 'Ctrl+Shift+O', label: 'Nouvelle conversation', action: 'newConversation' },
+    { keys: 'Shift+Escape', label: 'Aller à la zone de saisie', action: 'focusInput' },
+    { keys: 'Ctrl+Shift+S', label: 'Afficher / masquer l\'historique', action: 'toggleSidebar' },
+    { keys: 'Ctrl+Shift+X', label: 'Ouvrir / fermer le panneau de transparence', action: 'toggleTransparencyPanel' },
+    { keys: 'Alt+A', label: 'Agent suivant (hors zone de saisie)', action: 'nextAgent' },
+    { keys: 'Alt+T', label: 'Ton suivant (hors zone de saisie)', action: 'nextTone' },
+    { keys: 'Alt+C', label: 'Copier la dernière réponse (hors zone de saisie)', action: 'copyLastAnswer' },
+    { keys: 'ArrowUp', label: 'Rappeler le message précédent (zone de saisie vide)' },
+    { keys: 'Ctrl+/', label: 'Afficher les raccourcis', action: 'toggleShortcutsHelp' },
+];
 
 /**
  * Synapse Chat Controller V2 (Minimalist Organic)
@@ -10,17 +32,28 @@ import { escapeHtml, formatDate } from '../helpers.js';
 export default class extends Controller {
     static targets = [
         // Zone Chat Principal
-        'messages', 'input', 'submitBtn', 'greeting', 'conversationTitle',
+        'messages', 'input', 'submitBtn', 'stopBtn', 'greeting', 'conversationTitle',
         'agentPicker', 'agentTrigger', 'agentMenu', 'currentAgentEmoji', 'currentAgentName', 'agentInput',
         'tonePicker', 'toneTrigger', 'toneMenu', 'currentToneEmoji', 'currentToneName', 'toneInput',
         // Vision
-        'attachBtn', 'fileInput', 'attachmentPreview',
+        'attachBtn', 'fileInput', 'attachmentPreview', 'dropzone',
+        // Dictée vocale
+        'micBtn', 'recordingBar', 'recordingTimer', 'recordingAttach',
+        // Lecture vocale des réponses
+        'speechMenu', 'speechDropdown', 'speechVoice', 'speechRate', 'speechAuto', 'speechPlayer', 'speechPauseBtn',
+        // Palette de commandes (Ctrl+K) et aide des raccourcis
+        'palette', 'paletteInput', 'paletteList', 'shortcutsHelp', 'shortcutsList',
+        // Commandes "/" de la zone de saisie
+        'commandMenu',
         // Zone Sidebar
-        'sidebar', 'sidebarOverlay', 'conversationsList', 'conversationsEmpty',
+        'sidebar', 'sidebarOverlay', 'conversationsList', 'conversationsEmpty', 'conversationsSearch', 'importInput',
         // Colonne droite (réflexion interne workflow)
         'aside',
         // Bouton artefacts (top bar)
         'artifactsBtn', 'artifactsCount',
+        // Menus d'export et de partage (top bar)
+        'exportMenu', 'exportDropdown',
+        'shareMenu', 'shareDropdown', 'shareCreate', 'shareActive', 'shareAttachments', 'shareUrl',
         // Onglets et mémoire
         'tabConversations', 'tabMemory', 'panelConversations', 'panelMemory',
         'memoryInput', 'memoryList', 'memoryEmpty'
@@ -39,10 +72,18 @@ export default class extends Controller {
         conversationsUrl: String,
         debugUrlTemplate: String,
         transparencyUrlTemplate: String,
+        chatRunUrlTemplate: { type: String, default: '/synapse/api/chat/runs/RUN_ID' },
         currentConversationId: String,
         debug: { type: Boolean, default: false },
         supportsVision: { type: Boolean, default: false },
         acceptedMimeTypes: { type: Array, default: [] },
+        // Envoi préalable des pièces jointes (UploadApiController) ; vide = base64 dans le JSON de /chat
+        uploadsUrl: { type: String, default: '' },
+        // Transcription de la dictée (TranscriptionApiController) ; vide = hook navigateur puis pièce jointe
+        transcriptionUrl: { type: String, default: '' },
+        // Pièces jointes : côté max des images (px, réduites au-delà) et poids max par fichier (octets)
+        maxImageDimension: { type: Number, default: 2048 },
+        maxAttachmentBytes: { type: Number, default: 10 * 1024 * 1024 },
         attachmentUrlTemplate: { type: String, default: '/synapse/attachment/ATTACHMENT_ID' }
     };
 
@@ -57,21 +98,45 @@ export default class extends Controller {
 
         // Écouteurs pour le textarea (auto-resize et Entrée = submit)
         this.onKeydown = this.handleKeydown.bind(this);
-        this.onInput = this.autoResize.bind(this);
+        this.onInput = (e) => { this.autoResize(e); this._updateCommandMenu(); };
+        this.onPaste = this.handlePaste.bind(this);
         if (this.hasInputTarget) {
             this.inputTarget.addEventListener('keydown', this.onKeydown);
             this.inputTarget.addEventListener('input', this.onInput);
+            this.inputTarget.addEventListener('paste', this.onPaste);
         }
 
+        // Glisser-déposer de fichiers sur tout le chat
+        this._dragDepth = 0;
+        this.onDragEnter = this.handleDragEnter.bind(this);
+        this.onDragOver = this.handleDragOver.bind(this);
+        this.onDragLeave = this.handleDragLeave.bind(this);
+        this.onDrop = this.handleDrop.bind(this);
+        this.element.addEventListener('dragenter', this.onDragEnter);
+        this.element.addEventListener('dragover', this.onDragOver);
+        this.element.addEventListener('dragleave', this.onDragLeave);
+        this.element.addEventListener('drop', this.onDrop);
+
         // Écouteur pour fermer les menus (ton, agent) si on clique ailleurs
-        this.onClickOutside = (e) => { this.closeToneMenuOutside(e); this.closeAgentMenuOutside(e); };
+        this.onClickOutside = (e) => { this.closeToneMenuOutside(e); this.closeAgentMenuOutside(e); this.closeExportMenuOutside(e); this.closeShareMenuOutside(e); this.closeSpeechMenuOutside(e); };
         document.addEventListener('click', this.onClickOutside);
 
+        // Commandes "/" : intégrées, puis celles de l'application hôte (voir registerCommand())
+        this._commands = new Map();
+        this._registerBuiltinCommands();
+        this.dispatch('register-commands', { detail: { register: (command) => this.registerCommand(command) } });
+
+        // Raccourcis clavier globaux (voir SHORTCUTS)
+        this.onShortcut = this.handleShortcut.bind(this);
+        document.addEventListener('keydown', this.onShortcut);
+
         const urlParams = new URLSearchParams(window.location.search);
         this.isDebugMode = urlParams.has('debug') || this.debugValue;
 
         // Charger Markdown (Asynchrone)
         this.loadMarked();
+        this._renderExistingMath();
+        this._decorateExistingCodeBlocks();
 
         // Charger la liste des conversations (Sidebar)
         this.loadConversations();
@@ -82,31 +147,91 @@ export default class extends Controller {
         // Charger l'agent persistant
         this.loadPersistentAgent();
 
-        // Pièces jointes en attente d'envoi (images, PDF, etc.)
+        // En-tête des réponses rendues côté serveur (agent, modèle et ton portés par les bulles)
+        if (this.hasMessagesTarget) {
+            this.messagesTarget.querySelectorAll('.synapse-chat-message--assistant').forEach(el => this._renderMessageHeader(el));
+        }
+
+        // Lecture vocale (synthèse du navigateur) : réglages persistants et bouton "Écouter"
+        this._speechSupported = 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+        if (this._speechSupported) {
+            this.loadPersistentSpeech();
+            this.onVoicesChanged = () => this._renderVoiceOptions();
+            speechSynthesis.addEventListener('voiceschanged', this.onVoicesChanged);
+            this._renderVoiceOptions();
+            if (this.hasSpeechMenuTarget) this.speechMenuTarget.classList.remove('synapse-hidden');
+            if (this.hasMessagesTarget) {
+                this.messagesTarget.querySelectorAll('.synapse-chat-message--assistant:not([data-retryable])').forEach(el => this._addSpeakButton(el));
+            }
+        }
+
+        // Pièces jointes en attente d'envoi (images, PDF, etc.) et fichiers refusés au dernier ajout
         this.pendingFiles = [];
+        this.attachmentErrors = [];
         this.updateSendButton();
 
+        // Dictée vocale : uniquement si le navigateur sait enregistrer
+        if (this.hasMicBtnTarget && navigator.mediaDevices?.getUserMedia && typeof MediaRecorder !== 'undefined') {
+            this.micBtnTarget.classList.remove('synapse-hidden');
+        }
+
         // Lightbox : clic sur les images du chat pour les voir en grand
         this.onImageClick = (e) => {
-            const img = e.target.closest('.synapse-chat-message-attachments img, .synapse-chat-input-images img');
+            const img = e.target.closest('.synapse-chat-message-attachments img, .synapse-chat-input-images img, .synapse-diagram__image');
             if (!img) return;
             this.openLightbox(img.src);
         };
         if (this.hasMessagesTarget) {
             this.messagesTarget.addEventListener('click', this.onImageClick);
         }
+
+        // Navigation entre conversations sans rechargement (historique navigateur + sidebar autonome)
+        this._defaultTitle = this.hasConversationTitleTarget ? this.conversationTitleTarget.textContent.trim() : '';
+        this.onPopState = () => {
+            const params = new URLSearchParams(window.location.search);
+            const conversationId = params.get('conversation');
+            if (conversationId) this.loadConversation(conversationId, { leaf: params.get('leaf'), push: false });
+            else this._showConversation('', []);
+        };
+        this.onSidebarSelected = (e) => {
+            e.preventDefault(); // Signale à la sidebar que le chargement est pris en charge
+            this.loadConversation(e.detail.conversationId);
+        };
+        this.onSidebarReset = (e) => {
+            e.preventDefault();
+            this.newConversation();
+        };
+        window.addEventListener('popstate', this.onPopState);
+        document.addEventListener('synapse-sidebar:conversation-selected', this.onSidebarSelected);
+        document.addEventListener('synapse-sidebar:conversation-reset', this.onSidebarReset);
     }
 
     disconnect() {
         if (this.hasInputTarget) {
             this.inputTarget.removeEventListener('keydown', this.onKeydown);
             this.inputTarget.removeEventListener('input', this.onInput);
+            this.inputTarget.removeEventListener('paste', this.onPaste);
         }
+        this.element.removeEventListener('dragenter', this.onDragEnter);
+        this.element.removeEventListener('dragover', this.onDragOver);
+        this.element.removeEventListener('dragleave', this.onDragLeave);
+        this.element.removeEventListener('drop', this.onDrop);
         document.removeEventListener('click', this.onClickOutside);
+        document.removeEventListener('keydown', this.onShortcut);
         if (this.hasMessagesTarget) {
             this.messagesTarget.removeEventListener('click', this.onImageClick);
         }
+        window.removeEventListener('popstate', this.onPopState);
+        document.removeEventListener('synapse-sidebar:conversation-selected', this.onSidebarSelected);
+        document.removeEventListener('synapse-sidebar:conversation-reset', this.onSidebarReset);
+        this._conversationsObserver?.disconnect();
         if (this._scrollRafId) cancelAnimationFrame(this._scrollRafId);
+        if (this._recording) this.cancelRecording();
+        this._releaseDiagrams();
+        if (this._speechSupported) {
+            speechSynthesis.removeEventListener('voiceschanged', this.onVoicesChanged);
+            this.stopSpeech();
+        }
     }
 
     /* ── 1. GESTION DE LA SIDEBAR (MOBILE & LAYOUTS CONTRAINTS) ────── */
@@ -174,8 +299,10 @@ export default class extends Controller {
     /* ── 2. CHARGEMENT DES CONVERSATIONS (Anciennement sidebar_controller) ── */
 
     async loadConversations() {
+        if (this._searchActive) return; // La liste sera rechargée à la fin de la recherche
+        const seq = this._conversationsSeq = (this._conversationsSeq || 0) + 1;
         try {
-            const url = this.conversationsUrlValue || '/synapse/api/conversations';
+            const url = `${this.conversationsUrlValue || '/synapse/api/conversations'}?${new URLSearchParams({ paginate: '1' })}`;
             const response = await fetch(url);
 
             if (!response.ok) {
@@ -184,8 +311,9 @@ export default class extends Controller {
                 return;
             }
 
-            const conversations = await response.json();
-            this.renderConversations(conversations);
+            const page = await response.json();
+            if (seq !== this._conversationsSeq) return;
+            this.renderConversations(page.conversations, { nextCursor: page.next_cursor, pinned: page.pinned || [] });
         } catch (error) {
             console.error('[Synapse] Impossible de charger l\'historique', error);
             if (this.hasConversationsListTarget) {
@@ -194,9 +322,40 @@ export default class extends Controller {
         }
     }
 
-    renderConversations(conversations) {
+    /**
+     * Charge la page suivante de l'historique (déclenché par le défilement, voir _observeConversationsEnd()).
+     */
+    async loadMoreConversations() {
+        const cursor = this._conversationsCursor;
+        if (!cursor || this._loadingMoreConversations || this._searchActive) return;
+
+        this._loadingMoreConversations = true;
+        const seq = this._conversationsSeq;
+        try {
+            const url = `${this.conversationsUrlValue || '/synapse/api/conversations'}?${new URLSearchParams({ before: cursor })}`;
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Erreur serveur (${response.status}).`);
+
+            const page = await response.json();
+            if (seq !== this._conversationsSeq || cursor !== this._conversationsCursor) return; // Liste rechargée entre-temps
+            this.renderConversations(page.conversations, { nextCursor: page.next_cursor, append: true });
+        } catch (error) {
+            console.error('[Synapse] Impossible de charger la suite de l\'historique', error);
+        } finally {
+            this._loadingMoreConversations = false;
+        }
+    }
+
+    /**
+     * Affiche l'historique groupé : épinglées en tête, puis par période (Aujourd'hui, Hier, 7/30 derniers jours, mois).
+     *
+     * @param {Array} conversations
+     * @param {object} options - { nextCursor: curseur de la page suivante (null : fin de liste), append: ajouter à la liste existante, pinned: conversations épinglées (première page) }
+     */
+    renderConversations(conversations, { nextCursor = null, append = false, pinned = [] } = {}) {
+        this._conversationsCursor = nextCursor;
 
-        if (conversations.length === 0) {
+        if (!append && conversations.length === 0 && pinned.length === 0) {
             if (this.hasConversationsEmptyTarget) this.conversationsEmptyTarget.classList.remove('synapse-hidden');
             if (this.hasConversationsListTarget) this.conversationsListTarget.innerHTML = '';
             return;
@@ -204,48 +363,338 @@ export default class extends Controller {
 
         if (this.hasConversationsEmptyTarget) this.conversationsEmptyTarget.classList.add('synapse-hidden');
 
-        const html = conversations.map(conv => {
+        let html = '';
+        if (!append) {
+            this._lastConversationGroup = null;
+            if (pinned.length > 0) {
+                html += this._conversationGroupHtml('Épinglées') + pinned.map(conv => this._conversationItemHtml(conv)).join('');
+            }
+        }
+        conversations.forEach(conv => {
+            // Une page suivante peut prolonger le dernier groupe affiché : pas de second en-tête
+            const group = dateGroupLabel(conv.updated_at);
+            if (group !== this._lastConversationGroup) {
+                html += this._conversationGroupHtml(group);
+                this._lastConversationGroup = group;
+            }
+            html += this._conversationItemHtml(conv);
+        });
+
+        if (this.hasConversationsListTarget) {
+            this.conversationsListTarget.querySelector('.synapse-chat-sidebar__sentinel')?.remove();
+            if (append) this.conversationsListTarget.insertAdjacentHTML('beforeend', html);
+            else this.conversationsListTarget.innerHTML = html;
+            this._observeConversationsEnd();
+        }
+
+        // Mettre à jour le titre du header avec la conversation active
+        if (this.hasConversationTitleTarget && this.currentConversationIdValue) {
+            const active = [...pinned, ...conversations].find(c => String(c.id) === String(this.currentConversationIdValue));
+            if (active && active.title) {
+                this.conversationTitleTarget.textContent = active.title;
+            }
+        }
+    }
+
+    _conversationGroupHtml(label) {
+        return `<div class="synapse-chat-conv-group">${escapeHtml(label)}</div>`;
+    }
+
+    _conversationItemHtml(conv) {
+        const isActive = String(conv.id) === String(this.currentConversationIdValue);
+        return `
+            <div class="synapse-chat-conv-item ${isActive ? 'is-active' : ''} ${conv.pinned ? 'is-pinned' : ''}" 
+                 data-conversation-id="${conv.id}"
+                 data-pinned="${conv.pinned ? 'true' : 'false'}"
+                 data-action="click->${this.identifier}#selectConversation">
+                <div class="synapse-chat-conv-item__title" data-title-target="true">${escapeHtml(conv.title || 'Nouvelle conversation')}</div>
+                <div class="synapse-chat-conv-item__meta">
+                    <span>${formatDate(conv.updated_at)}</span>
+                </div>
+                
+                <div class="synapse-chat-conv-actions">
+                    <button type="button" class="synapse-btn-small ${conv.pinned ? 'is-active' : ''}" data-action="click->${this.identifier}#togglePin:stop" aria-label="${conv.pinned ? 'Désépingler' : 'Épingler'}">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="${conv.pinned ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="17" x2="12" y2="22"></line><path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24Z"></path></svg>
+                    </button>
+                    <button type="button" class="synapse-btn-small" data-action="click->${this.identifier}#startRename:stop" aria-label="Renommer">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path></svg>
+                    </button>
+                    <button type="button" class="synapse-btn-small is-danger" data-action="click->${this.identifier}#deleteConversation:stop" aria-label="Supprimer">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Place une sentinelle en fin de liste : la page suivante est chargée quand elle approche
+     * de la zone visible de la sidebar.
+     */
+    _observeConversationsEnd() {
+        if (!this._conversationsCursor || !('IntersectionObserver' in window)) return;
+
+        if (!this._conversationsObserver) {
+            this._conversationsObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) this.loadMoreConversations();
+            }, {
+                root: this.conversationsListTarget.closest('.synapse-chat-sidebar__content'),
+                rootMargin: '200px 0px'
+            });
+        }
+
+        const sentinel = document.createElement('div');
+        sentinel.className = 'synapse-chat-sidebar__sentinel';
+        this.conversationsListTarget.appendChild(sentinel);
+        this._conversationsObserver.disconnect();
+        this._conversationsObserver.observe(sentinel);
+    }
+
+    /* ── 2bis. RECHERCHE DANS L'HISTORIQUE ── */
+
+    searchConversations() {
+        clearTimeout(this._searchTimer);
+        this._searchTimer = setTimeout(() => this._runSearch(this.conversationsSearchTarget.value.trim()), 250);
+    }
+
+    clearSearch(event) {
+        if (event.type === 'keydown' && event.key !== 'Escape') return;
+        event.preventDefault();
+        clearTimeout(this._searchTimer);
+        this.conversationsSearchTarget.value = '';
+        this._runSearch('');
+    }
+
+    async _runSearch(query) {
+        const seq = this._searchSeq = (this._searchSeq || 0) + 1;
+
+        if (query.length < 2) {
+            if (!this._searchActive) return;
+            this._searchActive = false;
+            this.loadConversations();
+            return;
+        }
+
+        this._searchActive = true;
+        try {
+            const url = `${this.conversationsUrlValue || '/synapse/api/conversations'}/search?${new URLSearchParams({ q: query })}`;
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Erreur serveur (${response.status}).`);
+
+            const results = await response.json();
+            if (seq !== this._searchSeq) return; // Une frappe plus récente a relancé la recherche
+            this.renderSearchResults(results);
+        } catch (error) {
+            console.error('[Synapse] Recherche impossible', error);
+            if (seq === this._searchSeq && this.hasConversationsListTarget) {
+                this.conversationsListTarget.innerHTML = `<div class="p-3 text-sm text-red-500">Erreur lors de la recherche.</div>`;
+            }
+        }
+    }
+
+    /**
+     * Affiche les résultats de recherche : conversation + extraits des messages trouvés.
+     * `title_html` et `snippet_html` sont échappés côté serveur (seuls les `<mark>` sont du HTML).
+     */
+    renderSearchResults(results) {
+        if (!this.hasConversationsListTarget) return;
+        if (this.hasConversationsEmptyTarget) this.conversationsEmptyTarget.classList.add('synapse-hidden');
+
+        if (results.length === 0) {
+            this.conversationsListTarget.innerHTML = `<div class="synapse-chat-sidebar__empty">Aucun résultat.</div>`;
+            return;
+        }
+
+        this.conversationsListTarget.innerHTML = results.map(conv => {
             const isActive = String(conv.id) === String(this.currentConversationIdValue);
+            const snippets = (conv.matches || []).map(match => `
+                <div class="synapse-chat-search-snippet"
+                     data-message-id="${escapeHtml(match.message_id)}"
+                     data-branch-leaf="${escapeHtml(match.branch_leaf || '')}"
+                     data-action="click->${this.identifier}#openSearchResult:stop">${match.snippet_html}</div>
+            `).join('');
+
             return `
-                <div class="synapse-chat-conv-item ${isActive ? 'is-active' : ''}" 
+                <div class="synapse-chat-conv-item ${isActive ? 'is-active' : ''}"
                      data-conversation-id="${conv.id}"
                      data-action="click->${this.identifier}#selectConversation">
-                    <div class="synapse-chat-conv-item__title" data-title-target="true">${escapeHtml(conv.title || 'Nouvelle conversation')}</div>
+                    <div class="synapse-chat-conv-item__title" data-title-target="true">${conv.title_html || 'Nouvelle conversation'}</div>
                     <div class="synapse-chat-conv-item__meta">
                         <span>${formatDate(conv.updated_at)}</span>
                     </div>
-                    
-                    <div class="synapse-chat-conv-actions">
-                        <button type="button" class="synapse-btn-small" data-action="click->${this.identifier}#startRename:stop" aria-label="Renommer">
-                            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path></svg>
-                        </button>
-                        <button type="button" class="synapse-btn-small is-danger" data-action="click->${this.identifier}#deleteConversation:stop" aria-label="Supprimer">
-                            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
-                        </button>
-                    </div>
+                    ${snippets}
                 </div>
             `;
         }).join('');
+    }
 
-        if (this.hasConversationsListTarget) {
-            this.conversationsListTarget.innerHTML = html;
-        }
+    /**
+     * Ouvre la conversation d'un extrait sur la branche du message trouvé, puis le met en évidence.
+     */
+    async openSearchResult(event) {
+        const snippet = event.currentTarget;
+        const conversationId = snippet.closest('.synapse-chat-conv-item').dataset.conversationId;
+        if (this._isMobile()) this.closeSidebar();
+
+        await this.loadConversation(conversationId, { leaf: snippet.dataset.branchLeaf || null });
+        // Après le défilement en bas de _showConversation() (lui aussi en requestAnimationFrame)
+        requestAnimationFrame(() => this._revealMessage(snippet.dataset.messageId));
+    }
 
-        // Mettre à jour le titre du header avec la conversation active
-        if (this.hasConversationTitleTarget && this.currentConversationIdValue) {
-            const active = conversations.find(c => String(c.id) === String(this.currentConversationIdValue));
-            if (active && active.title) {
-                this.conversationTitleTarget.textContent = active.title;
-            }
+    _revealMessage(messageId) {
+        const bubble = Array.from(this.messagesTarget.querySelectorAll('.synapse-chat-bubble'))
+            .find(b => b.dataset.messageId === String(messageId));
+        const messageEl = bubble?.closest('.synapse-chat-message');
+        if (!messageEl) return;
+
+        if (bubble.classList.contains('synapse-hidden')) {
+            this._showVariant(messageEl, this._variantBubbles(messageEl).indexOf(bubble));
         }
+        messageEl.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        messageEl.classList.add('is-search-hit');
+        setTimeout(() => messageEl.classList.remove('is-search-hit'), 2000);
     }
 
     selectConversation(event) {
         const conversationId = event.currentTarget.dataset.conversationId;
-        // On redirige carrément pour recharger l'historique côté serveur (SSR Twig)
-        const url = new URL(window.location.href);
-        url.searchParams.set('conversation', conversationId);
-        window.location.href = url.toString();
+        if (this._isMobile()) this.closeSidebar();
+        this.loadConversation(conversationId);
+    }
+
+    /**
+     * Charge une conversation sans recharger la page (branche active + variantes)
+     * et met à jour l'URL pour que précédent/suivant du navigateur fonctionnent.
+     *
+     * @param {string} conversationId
+     * @param {object} options - { leaf: ID du dernier message de la branche à afficher, push: ajouter une entrée d'historique }
+     */
+    async loadConversation(conversationId, { leaf = null, push = true } = {}) {
+        await this._settleStream();
+        const seq = this._loadSeq = (this._loadSeq || 0) + 1;
+
+        const params = new URLSearchParams({ branch: 'active' });
+        if (leaf) params.set('leaf', leaf);
+
+        try {
+            const url = `${this.conversationsUrlValue || '/synapse/api/conversations'}/${conversationId}/messages?${params}`;
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Erreur serveur (${response.status}).`);
+
+            const messages = await response.json();
+            if (seq !== this._loadSeq) return; // Une autre conversation a été demandée entre-temps
+            this._showConversation(conversationId, messages);
+        } catch (error) {
+            console.error('[Synapse] Impossible de charger la conversation', error);
+            alert('Impossible de charger la conversation.');
+            return;
+        }
+
+        if (push) {
+            const url = new URL(window.location.href);
+            url.searchParams.set('conversation', conversationId);
+            if (leaf) url.searchParams.set('leaf', leaf);
+            else url.searchParams.delete('leaf');
+            window.history.pushState({}, '', url.toString());
+        }
+    }
+
+    /**
+     * Remplace le fil affiché par les messages fournis (format de l'API `/messages?branch=active`).
+     * Une liste vide ramène à l'écran d'accueil.
+     */
+    _showConversation(conversationId, messages) {
+        this.currentConversationIdValue = conversationId ? String(conversationId) : '';
+        this._lastTurn = null;
+        if (this._speech) this.stopSpeech();
+
+        this.messagesTarget.querySelectorAll(':scope > .synapse-chat-message').forEach(el => el.remove());
+        messages.forEach(msg => this._renderHistoryMessage(msg));
+        this._setWelcomeMode(messages.length === 0);
+
+        // Artefacts de la conversation affichée
+        this._releaseDiagrams();
+        this._allArtifacts = [];
+        this._loadExistingArtifacts();
+        this._updateArtifactsButton();
+
+        // Le panneau de transparence reste ouvert, mais repart de zéro pour cette conversation
+        if (this.hasAsideTarget && this.asideTarget.classList.contains('synapse-chat-aside--open')) {
+            this.closeTransparencyPanel();
+            this._ensureTransparencyPanel();
+        }
+
+        // Sidebar et titre
+        let title = this._defaultTitle;
+        if (this.hasConversationsListTarget) {
+            this.conversationsListTarget.querySelectorAll('.synapse-chat-conv-item').forEach(item => {
+                const isActive = String(item.dataset.conversationId) === this.currentConversationIdValue;
+                item.classList.toggle('is-active', isActive);
+                if (isActive) title = item.querySelector('[data-title-target="true"]')?.textContent || title;
+            });
+        }
+        if (this.hasConversationTitleTarget) this.conversationTitleTarget.textContent = title;
+
+        this.scrollToBottom();
+        this.inputTarget.focus();
+    }
+
+    /**
+     * Affiche un message issu de l'API, avec ses variantes éventuelles.
+     */
+    _renderHistoryMessage(msg) {
+        const metadata = msg.metadata || {};
+        const contentOf = (m) => {
+            const content = m.decryptedContent ?? m.content ?? '';
+            return content === '[image]' ? '' : content;
+        };
+
+        if (metadata.subtype === 'system_action') {
+            this.addMessage(contentOf(msg), 'assistant', { subtype: 'system_action' });
+            return;
+        }
+
+        const role = ['assistant', 'model'].includes(String(msg.role).toLowerCase()) ? 'assistant' : 'user';
+        const messageEl = this.addMessage('', role, { debug_id: metadata.debug_id });
+        if (role === 'assistant' && this.debugValue && metadata.debug_id && msg.id) {
+            this.addTransparencyButtonToMessage(messageEl, msg.id);
+        }
+
+        const variants = msg.variants?.length > 1 ? msg.variants : [msg];
+        variants.forEach((variant, i) => {
+            const bubble = i === 0 ? this._visibleBubble(messageEl) : this._addVariantBubble(messageEl);
+            bubble.dataset.messageId = variant.id ?? '';
+            if (variant.branch_leaf) bubble.dataset.branchLeaf = variant.branch_leaf;
+            if (role === 'user') bubble.dataset.rawContent = contentOf(variant);
+            else this._setAnsweredBy(bubble, variant);
+
+            const attachments = (variant.attachments || []).map(att => this._renderAttachmentBadge(
+                att.mime_type,
+                this.attachmentUrlTemplateValue.replace('ATTACHMENT_ID', att.uuid),
+                att.display_name
+            )).join('');
+            bubble.innerHTML = (attachments ? `<div class="synapse-chat-message-attachments">${attachments}</div>` : '')
+                + this.parseMarkdown(contentOf(variant));
+        });
+        if (variants.length > 1) {
+            this._showVariant(messageEl, Math.max(0, variants.findIndex(v => String(v.id) === String(msg.id))));
+        }
+        if (role === 'assistant') this._renderMessageHeader(messageEl);
+    }
+
+    _setWelcomeMode(isWelcome) {
+        this.element.classList.toggle('synapse-chat-mode-welcome', isWelcome);
+        this.element.classList.toggle('synapse-chat-mode-active', !isWelcome);
+        if (this.hasGreetingTarget) this.greetingTarget.classList.toggle('synapse-hidden', !isWelcome);
+    }
+
+    /**
+     * Interrompt la réponse en cours (s'il y en a une) et attend la fin de son traitement,
+     * avant de remplacer le fil affiché.
+     */
+    async _settleStream() {
+        if (!this._abortController) return;
+        this._abortController.abort();
+        await this._streamSettled;
     }
 
     async deleteConversation(event) {
@@ -264,7 +713,11 @@ export default class extends Controller {
 
             if (!response.ok) throw new Error('Échec suppression');
 
+            // Retirer aussi l'en-tête de groupe s'il ne contient plus rien
+            const group = item.previousElementSibling?.classList.contains('synapse-chat-conv-group') ? item.previousElementSibling : null;
+            const next = item.nextElementSibling;
             item.remove();
+            if (group && !next?.classList.contains('synapse-chat-conv-item')) group.remove();
 
             // Si c'était la discussion active, on retourne à l'accueil
             if (String(conversationId) === String(this.currentConversationIdValue)) {
@@ -278,6 +731,77 @@ export default class extends Controller {
         }
     }
 
+    /**
+     * Épingle / désépingle une conversation, puis recharge la liste pour la déplacer dans le bon groupe.
+     */
+    async togglePin(event) {
+        const item = event.currentTarget.closest('.synapse-chat-conv-item');
+        const pinned = item.dataset.pinned !== 'true';
+
+        try {
+            const url = `${this.conversationsUrlValue || '/synapse/api/conversations'}/${item.dataset.conversationId}/pin`;
+            const response = await fetch(url, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pinned })
+            });
+
+            if (!response.ok) throw new Error('Échec épinglage');
+
+            this.loadConversations();
+        } catch (error) {
+            console.error('Erreur épinglage:', error);
+            alert('Impossible d\'épingler la conversation.');
+        }
+    }
+
+    chooseImportFile() {
+        if (!this.hasImportInputTarget) return;
+        this.importInputTarget.value = '';
+        this.importInputTarget.click();
+    }
+
+    /**
+     * Envoie le fichier JSON choisi (format de l'export JSON) à l'API d'import,
+     * puis ouvre la conversation créée.
+     */
+    async importConversation(event) {
+        const input = event.currentTarget;
+        const file = input.files?.[0];
+        if (!file) return;
+
+        const button = this.element.querySelector('.synapse-chat-import-btn');
+        button?.classList.add('is-loading');
+
+        try {
+            const response = await fetch(`${this.conversationsUrlValue || '/synapse/api/conversations'}/import`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': await this.ensureCsrfToken() },
+                body: await file.text()
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok || !data.id) {
+                const details = (data.errors || []).slice(0, 10).join('\n');
+                alert([data.error || 'Impossible d\'importer la conversation.', details].filter(Boolean).join('\n\n'));
+                return;
+            }
+
+            if (data.skipped_attachments > 0) {
+                console.warn(`[Synapse] Import : ${data.skipped_attachments} pièce(s) jointe(s) sans contenu ignorée(s).`);
+            }
+            if (this._isMobile()) this.closeSidebar();
+            await this.loadConversation(data.id);
+            this.loadConversations();
+        } catch (error) {
+            console.error('[Synapse] Erreur import:', error);
+            alert('Impossible d\'importer la conversation.');
+        } finally {
+            button?.classList.remove('is-loading');
+            input.value = '';
+        }
+    }
+
     startRename(event) {
         const item = event.currentTarget.closest('.synapse-chat-conv-item');
         const titleDiv = item.querySelector('[data-title-target="true"]');
@@ -328,10 +852,47 @@ export default class extends Controller {
     /* ── 3. CHAT CENTRAL (STREAMING & AFFICHAGE) ────────────────────────── */
 
     handleKeydown(event) {
+        if (this._commandItems?.length && this._handleCommandKey(event)) return;
         if (event.key === 'Enter' && !event.shiftKey) {
             event.preventDefault();
             this.send(event);
+            return;
+        }
+        const plain = !event.shiftKey && !event.altKey && !event.ctrlKey && !event.metaKey;
+        if (plain && (event.key === 'ArrowUp' || event.key === 'ArrowDown') && this._recallPrompt(event.key === 'ArrowUp' ? -1 : 1)) {
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Flèche haut dans une zone de saisie vide : rappelle le message utilisateur précédent
+     * (puis les plus anciens) ; flèche bas revient vers les plus récents. Sans effet dès que
+     * le texte rappelé est modifié.
+     *
+     * @returns {boolean} true si la touche a été prise en charge
+     */
+    _recallPrompt(step) {
+        const prompts = [...this.messagesTarget.querySelectorAll('.synapse-chat-message--user .synapse-chat-bubble:not(.synapse-hidden)')]
+            .map(bubble => bubble.dataset.rawContent)
+            .filter(Boolean);
+        const value = this.inputTarget.value;
+        const recalling = this._recall && this._recall.value === value;
+
+        let index;
+        if (recalling) index = this._recall.index + step;
+        else if (value === '' && step < 0) index = prompts.length - 1;
+        else return false;
+
+        if (index < 0 || prompts.length === 0) return recalling;
+        if (index >= prompts.length) {
+            this._recall = null;
+            this.inputTarget.value = '';
+        } else {
+            this._recall = { index, value: prompts[index] };
+            this.inputTarget.value = prompts[index];
         }
+        this.autoResize();
+        return true;
     }
 
     autoResize(event) {
@@ -344,57 +905,103 @@ export default class extends Controller {
     updateSendButton() {
         if (!this.hasSubmitBtnTarget || !this.hasInputTarget) return;
         const hasContent = this.inputTarget.value.trim().length > 0 || this.pendingFiles.length > 0;
-        this.submitBtnTarget.disabled = !hasContent;
+        this.submitBtnTarget.disabled = !hasContent || this._hasPendingUploads();
     }
 
     async newConversation(event) {
         if (event) event.preventDefault();
+        await this._settleStream();
+        this._showConversation('', []);
 
-        // Supprimer le paramètre 'conversation' de l'url et rediriger
+        // Supprimer le paramètre 'conversation' de l'url
         const url = new URL(window.location.href);
         url.searchParams.delete('conversation');
-        window.location.href = url.toString();
+        url.searchParams.delete('leaf');
+        window.history.pushState({}, '', url.toString());
     }
 
     async send(event) {
         if (event) event.preventDefault();
+        if (this._abortController) return; // Une réponse est déjà en cours de streaming (commandes comprises)
+
+        const command = parseSlashCommand(this.inputTarget.value);
+        if (command && this._commands.has(command.name)) {
+            await this._runCommand(command);
+            return;
+        }
 
-        const message = this.inputTarget.value.trim();
+        // « @clé » : agent utilisé pour ce message seulement, sans changer la sélection du menu
+        const mention = extractMention(this.inputTarget.value, this._agentKeys());
+        const message = mention.text;
         const hasFiles = this.pendingFiles.length > 0;
         if (!message && !hasFiles) return;
+        if (this._hasPendingUploads()) return; // Pièces jointes encore en cours d'envoi
 
         // Passage du mode Accueil au mode Chat Actif
-        this.element.classList.remove('synapse-chat-mode-welcome');
-        this.element.classList.add('synapse-chat-mode-active');
-        if (this.hasGreetingTarget) this.greetingTarget.classList.add('synapse-hidden');
-
-        const filesToSend = [...this.pendingFiles];
-        this.addMessage(message, 'user', { attachments: filesToSend });
+        this._setWelcomeMode(false);
+
+        const turn = {
+            message,
+            attachments: [...this.pendingFiles],
+            tone: this.hasToneInputTarget ? this.toneInputTarget.value : null,
+            agent: mention.agent ?? (this.hasAgentInputTarget ? this.agentInputTarget.value : null),
+            parentMessageId: this._currentLeafMessageId(),
+        };
+        const userEl = this.addMessage(message, 'user', { attachments: turn.attachments });
+        turn.userBubble = this._visibleBubble(userEl);
 
         this.inputTarget.value = '';
         this.inputTarget.style.height = 'auto';
         this.clearPendingFiles();
+
+        await this._submitTurn(turn);
+    }
+
+    /**
+     * Envoie un tour utilisateur à l'API et traite le flux NDJSON.
+     * Partagé entre l'envoi normal, la régénération et le réessai après erreur.
+     *
+     * @param {object} turn - { message, attachments, tone, agent, parentMessageId, userMessageId, userBubble }
+     * @param {object} options - { regenerate: bool, variantOf: Element|null }
+     */
+    async _submitTurn(turn, { regenerate = false, variantOf = null } = {}) {
+        this._lastTurn = turn;
         this.setLoading(true);
         this.closeTransparencyPanel();
 
-        const tone = this.hasToneInputTarget ? this.toneInputTarget.value : null;
-        const agent = this.hasAgentInputTarget ? this.agentInputTarget.value : null;
+        this._abortController = new AbortController();
+        let settle;
+        this._streamSettled = new Promise(resolve => { settle = resolve; });
+        this._setStreaming(true);
+
         const csrfToken = await this.ensureCsrfToken();
         const headers = { 'Content-Type': 'application/json' };
         if (csrfToken) headers['X-CSRF-Token'] = csrfToken;
 
         try {
             const payload = {
-                message, conversation_id: this.currentConversationIdValue,
-                options: { tone, ...(agent ? { agent } : {}) },
+                message: turn.message, conversation_id: this.currentConversationIdValue,
+                options: { tone: turn.tone, ...(turn.agent ? { agent: turn.agent } : {}) },
                 debug: this.isDebugMode
             };
-            if (filesToSend.length > 0) {
-                payload.attachments = filesToSend.map(f => ({ mime_type: f.mime_type, data: f.data, name: f.name }));
+            if (regenerate) {
+                payload.regenerate = true;
+                payload.parent_message_id = turn.userMessageId;
+            } else if (turn.parentMessageId) {
+                payload.parent_message_id = turn.parentMessageId;
+            }
+            const inline = turn.attachments.filter(f => !f.upload_id);
+            const uploaded = turn.attachments.filter(f => f.upload_id);
+            if (inline.length > 0) {
+                payload.attachments = inline.map(f => ({ mime_type: f.mime_type, data: f.data, name: f.name }));
+            }
+            if (uploaded.length > 0) {
+                payload.attachment_ids = uploaded.map(f => f.upload_id);
             }
 
             const response = await fetch(this.chatUrlValue || '/synapse/api/chat', {
-                method: 'POST', headers, body: JSON.stringify(payload)
+                method: 'POST', headers, body: JSON.stringify(payload),
+                signal: this._abortController.signal
             });
 
             if (!response.ok) {
@@ -408,86 +1015,480 @@ export default class extends Controller {
             if (!response.body) {
                 throw new Error('Réponse vide du serveur (pas de body).');
             }
-            await this._processStream(response.body.getReader());
+            await this._processStream(response.body.getReader(), { variantOf });
 
         } catch (error) {
-            this._markTransparencyError(error.message || 'Erreur réseau');
-            this.addMessage('❌ ' + error.message, 'assistant');
-            console.error('Erreur API Chat:', error);
+            if (error?.name === 'AbortError') {
+                // Arrêt demandé avant même la réception du flux
+                this._onAborted({ text: '', bubble: null });
+            } else {
+                this._markTransparencyError(error.message || 'Erreur réseau');
+                this.addMessage('❌ ' + error.message, 'assistant', { retryable: true });
+                console.error('Erreur API Chat:', error);
+            }
         } finally {
+            this._abortController = null;
+            this._currentRunId = null;
+            this._setStreaming(false);
             this.setLoading(false);
             this.inputTarget.focus();
+            settle();
         }
     }
 
-    // ── Stream processing ─────────────────────────────────────────────────
-
-    async _processStream(reader) {
-        const decoder = new TextDecoder();
-        let buffer = '';
-        const state = { text: '', bubble: null, error: null, done: false };
+    /**
+     * Régénère la dernière réponse (nouvelle variante dans la même bulle),
+     * ou réessaie le dernier tour depuis une bulle d'erreur.
+     */
+    async regenerate(event) {
+        if (this._abortController || !this._lastTurn) return;
+        const messageEl = event.currentTarget.closest('.synapse-chat-message');
+        if (!messageEl) return;
+
+        if (messageEl.dataset.retryable === 'true') {
+            // Échec : si le message utilisateur a été enregistré, on régénère sur lui, sinon on le renvoie tel quel
+            messageEl.remove();
+            const turn = this._lastTurn;
+            await this._submitTurn(turn, turn.userMessageId ? { regenerate: true } : {});
+            return;
+        }
 
-        let timeoutId = null;
-        const resetTimeout = () => {
-            if (timeoutId) clearTimeout(timeoutId);
-            timeoutId = setTimeout(() => {
-                if (!state.done) {
-                    reader.cancel();
-                    this.setLoading(false);
-                    this._markTransparencyError('Timeout — le serveur ne répond plus');
-                    this.addMessage('⏱️ Le serveur ne répond plus (Timeout).', 'assistant');
-                }
-            }, 60000);
-        };
+        if (!this._lastTurn.userMessageId) return;
+        await this._submitTurn(this._lastTurn, { regenerate: true, variantOf: messageEl });
+    }
 
-        resetTimeout();
-        try {
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                resetTimeout();
+    previousVariant(event) { this._stepVariant(event, -1); }
+    nextVariant(event) { this._stepVariant(event, 1); }
+
+    _stepVariant(event, delta) {
+        const messageEl = event.currentTarget.closest('.synapse-chat-message');
+        if (!messageEl) return;
+        const bubbles = this._variantBubbles(messageEl);
+        const current = bubbles.findIndex(b => !b.classList.contains('synapse-hidden'));
+        const index = Math.max(0, Math.min(bubbles.length - 1, current + delta));
+
+        // La variante a une suite différente de celle affichée : recharger sa branche
+        const target = bubbles[index];
+        const leaf = target.dataset.branchLeaf || target.dataset.messageId;
+        const hasFollowing = this._followingMessages(messageEl).length > 0;
+        if (leaf && this.currentConversationIdValue && !this._abortController && (hasFollowing || leaf !== target.dataset.messageId)) {
+            this._openBranch(leaf);
+            return;
+        }
+        this._showVariant(messageEl, index);
+    }
 
-                buffer += decoder.decode(value, { stream: true });
-                const lines = buffer.split('\n');
-                buffer = lines.pop();
+    /**
+     * Rouvre la conversation sur la branche se terminant par ce message.
+     */
+    _openBranch(leafId) {
+        this.loadConversation(this.currentConversationIdValue, { leaf: leafId });
+    }
 
-                for (const line of lines) {
-                    const trimmed = line.trim();
-                    if (!trimmed.startsWith('{')) continue;
-                    try {
-                        const evt = JSON.parse(trimmed);
-                        if (!evt?.type) continue;
-                        if (this._handleStreamEvent(evt, state, timeoutId) === 'break') return;
-                    } catch (e) { /* Ligne partielle */ }
-                }
-            }
+    _variantBubbles(messageEl) {
+        return Array.from(messageEl.querySelectorAll(':scope > .synapse-chat-message__content > .synapse-chat-bubble'));
+    }
 
-            // Traiter le buffer résiduel (défensif : si la dernière ligne n'a pas de \n)
-            if (buffer.trim().startsWith('{')) {
-                try {
-                    const evt = JSON.parse(buffer.trim());
-                    if (evt?.type) this._handleStreamEvent(evt, state, timeoutId);
-                } catch (e) { /* ligne incomplète, ignorée */ }
+    _visibleBubble(messageEl) {
+        return messageEl ? this._variantBubbles(messageEl).find(b => !b.classList.contains('synapse-hidden')) || null : null;
+    }
+
+    _followingMessages(messageEl) {
+        const following = [];
+        for (let el = messageEl.nextElementSibling; el; el = el.nextElementSibling) {
+            if (el.classList.contains('synapse-chat-message')) following.push(el);
+        }
+        return following;
+    }
+
+    _showVariant(messageEl, index) {
+        const bubbles = this._variantBubbles(messageEl);
+        bubbles.forEach((b, i) => b.classList.toggle('synapse-hidden', i !== index));
+        this._renderVariantNav(messageEl);
+        this._renderMessageHeader(messageEl);
+    }
+
+    /**
+     * Ajoute une nouvelle bulle (variante) dans un message assistant existant et l'affiche.
+     */
+    _addVariantBubble(messageEl) {
+        const bubbles = this._variantBubbles(messageEl);
+        const bubble = document.createElement('div');
+        bubble.className = 'synapse-chat-bubble';
+        bubbles[bubbles.length - 1].after(bubble);
+        this._showVariant(messageEl, bubbles.length);
+        return bubble;
+    }
+
+    /**
+     * Affiche le sélecteur "‹ 2/3 ›" lorsqu'un message possède plusieurs variantes.
+     */
+    _renderVariantNav(messageEl) {
+        const bubbles = this._variantBubbles(messageEl);
+        const actions = this._messageActions(messageEl);
+        actions.querySelector('.synapse-chat-variants')?.remove();
+        if (bubbles.length < 2) return;
+
+        const current = bubbles.findIndex(b => !b.classList.contains('synapse-hidden'));
+        actions.insertAdjacentHTML('afterbegin', `
+            <div class="synapse-chat-variants">
+                <button type="button" class="synapse-btn-small" data-action="click->${this.identifier}#previousVariant" aria-label="Variante précédente" ${current <= 0 ? 'disabled' : ''}>‹</button>
+                <span class="synapse-chat-variants__count">${current + 1}/${bubbles.length}</span>
+                <button type="button" class="synapse-btn-small" data-action="click->${this.identifier}#nextVariant" aria-label="Variante suivante" ${current >= bubbles.length - 1 ? 'disabled' : ''}>›</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Retourne (en la créant si besoin) la barre d'actions d'un message.
+     */
+    _messageActions(messageEl) {
+        const content = messageEl.querySelector('.synapse-chat-message__content');
+        let actions = content.querySelector(':scope > .synapse-chat-message-actions');
+        if (!actions) {
+            actions = document.createElement('div');
+            actions.className = 'synapse-chat-message-actions';
+            content.appendChild(actions);
+        }
+        return actions;
+    }
+
+    /**
+     * Place le bouton "Régénérer" sur le dernier message assistant uniquement.
+     */
+    _refreshRegenerateButton(messageEl) {
+        this.messagesTarget.querySelectorAll('.synapse-chat-regenerate-btn:not(.synapse-chat-retry-btn)').forEach(btn => btn.remove());
+        if (!messageEl || !this._lastTurn?.userMessageId) return;
+        this._messageActions(messageEl).insertAdjacentHTML('beforeend', `
+            <button type="button" class="synapse-btn-small synapse-chat-regenerate-btn" data-action="click->${this.identifier}#regenerate" title="Régénérer la réponse" aria-label="Régénérer la réponse">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/><path d="M21 3v5h-5"/><path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/><path d="M8 16H3v5"/></svg>
+            </button>
+        `);
+    }
+
+    /**
+     * ID du dernier message assistant affiché (variante visible), pour reprendre
+     * la conversation sur la bonne branche côté serveur.
+     */
+    _currentLeafMessageId() {
+        if (!this.hasMessagesTarget) return null;
+        const messages = this.messagesTarget.querySelectorAll('.synapse-chat-message--assistant');
+        return this._visibleBubble(messages[messages.length - 1])?.dataset.messageId || null;
+    }
+
+    /* ── Édition d'un message utilisateur (fork) ───────────────────────── */
+
+    startEdit(event) {
+        if (this._abortController) return;
+        const messageEl = event.currentTarget.closest('.synapse-chat-message');
+        const bubble = this._visibleBubble(messageEl);
+        if (!bubble || messageEl.classList.contains('is-editing')) return;
+        const currentText = bubble.dataset.rawContent ?? bubble.innerText.trim();
+
+        const form = document.createElement('div');
+        form.className = 'synapse-chat-edit-form';
+        form.innerHTML = `
+            <textarea class="synapse-chat-edit-input" rows="3">${escapeHtml(currentText)}</textarea>
+            <div class="synapse-chat-edit-actions">
+                <button type="button" class="synapse-memory-edit-btn synapse-memory-edit-btn--cancel">Annuler</button>
+                <button type="button" class="synapse-memory-edit-btn synapse-memory-edit-btn--save">Envoyer</button>
+            </div>
+        `;
+        bubble.classList.add('synapse-hidden');
+        bubble.after(form);
+        messageEl.classList.add('is-editing');
+
+        const input = form.querySelector('textarea');
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+
+        const close = () => {
+            form.remove();
+            bubble.classList.remove('synapse-hidden');
+            messageEl.classList.remove('is-editing');
+        };
+        const submit = () => {
+            const newText = input.value.trim();
+            close();
+            if (newText && newText !== currentText) this._forkFrom(messageEl, newText);
+        };
+
+        form.querySelector('.synapse-memory-edit-btn--cancel').addEventListener('click', close);
+        form.querySelector('.synapse-memory-edit-btn--save').addEventListener('click', submit);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); submit(); }
+            else if (e.key === 'Escape') { e.preventDefault(); close(); }
+        });
+    }
+
+    /**
+     * Remplace un message utilisateur par sa version éditée et relance la conversation
+     * à partir de ce point. L'ancienne version et sa suite sont conservées côté serveur
+     * comme branche sœur, accessible via le sélecteur de variantes du message.
+     * Les pièces jointes du message d'origine ne sont pas renvoyées.
+     */
+    async _forkFrom(messageEl, text) {
+        const oldBubble = this._visibleBubble(messageEl);
+        const following = this._followingMessages(messageEl);
+
+        // Mémoriser la fin de la branche abandonnée pour pouvoir y revenir
+        const oldLeaf = following.map(el => this._visibleBubble(el)?.dataset.messageId).filter(Boolean).pop();
+        if (oldBubble?.dataset.messageId && oldLeaf) oldBubble.dataset.branchLeaf = oldLeaf;
+
+        // Le nouveau message se rattache au dernier message enregistré qui le précède
+        let parentMessageId = 'root';
+        for (let el = messageEl.previousElementSibling; el; el = el.previousElementSibling) {
+            const id = el.classList.contains('synapse-chat-message') ? this._visibleBubble(el)?.dataset.messageId : null;
+            if (id) { parentMessageId = id; break; }
+        }
+
+        following.forEach(el => el.remove());
+
+        const bubble = this._addVariantBubble(messageEl);
+        bubble.innerHTML = this.parseMarkdown(text);
+        bubble.dataset.rawContent = text;
+
+        await this._submitTurn({
+            message: text,
+            attachments: [],
+            tone: this.hasToneInputTarget ? this.toneInputTarget.value : null,
+            agent: this.hasAgentInputTarget ? this.agentInputTarget.value : null,
+            parentMessageId,
+            userBubble: bubble,
+        });
+    }
+
+    /**
+     * Interrompt la réponse en cours de streaming (bouton "Arrêter").
+     * Le texte déjà reçu est conservé dans la bulle, marqué comme interrompu.
+     */
+    stop(event) {
+        if (event) event.preventDefault();
+        // Un run reprenable continue côté serveur sans client : lui demander explicitement d'arrêter
+        if (this._currentRunId) this._cancelRun(this._currentRunId);
+        this._abortController?.abort();
+    }
+
+    async _cancelRun(runId) {
+        const csrfToken = await this.ensureCsrfToken();
+        const headers = csrfToken ? { 'X-CSRF-Token': csrfToken } : {};
+        fetch(this.chatRunUrlTemplateValue.replace('RUN_ID', runId), { method: 'DELETE', headers, keepalive: true })
+            .catch(err => console.warn('[Synapse] Arrêt du run côté serveur impossible', err));
+    }
+
+    /**
+     * Bascule le bouton d'envoi / le bouton d'arrêt pendant le streaming.
+     */
+    _setStreaming(isStreaming) {
+        if (this.hasSubmitBtnTarget) this.submitBtnTarget.classList.toggle('synapse-hidden', isStreaming);
+        if (this.hasStopBtnTarget) this.stopBtnTarget.classList.toggle('synapse-hidden', !isStreaming);
+        if (!isStreaming) this.updateSendButton();
+    }
+
+    // ── Stream processing ─────────────────────────────────────────────────
+
+    async _processStream(reader, { variantOf = null } = {}) {
+        const state = { text: '', bubble: null, error: null, done: false, variantOf, runId: null, lastSeq: 0, stalled: false };
+
+        try {
+            let outcome = await this._readStream(reader, state);
+
+            // Coupure avant la fin du run : reprise automatique avec backoff exponentiel
+            for (let attempt = 1; outcome === 'dropped' && state.runId && attempt <= 5; attempt++) {
+                const seqBefore = state.lastSeq;
+                outcome = await this._resumeStream(state, attempt);
+                if (state.lastSeq > seqBefore) attempt = 0; // Le flux a progressé : on repart du délai minimal
             }
 
+            if (outcome === 'break') return;
+
             if (state.error) {
                 this.setLoading(false);
                 this._markTransparencyError(state.error);
-                this.addMessage('❌ ' + state.error, 'assistant');
+                this.addMessage('❌ ' + state.error, 'assistant', { retryable: true });
+            } else if (!state.done && state.stalled) {
+                this.setLoading(false);
+                this._markTransparencyError('Timeout — le serveur ne répond plus');
+                this.addMessage('⏱️ Le serveur ne répond plus (Timeout).', 'assistant', { retryable: true });
             } else if (!state.done && state.text === '') {
                 this.setLoading(false);
                 this._markTransparencyError('Réponse vide du serveur');
-                this.addMessage('⚠️ Réponse vide du serveur.', 'assistant');
+                this.addMessage('⚠️ Réponse vide du serveur.', 'assistant', { retryable: true });
+            } else if (!state.done) {
+                // Run expiré côté serveur ou reprises épuisées : la réponse partielle ne sera jamais complétée
+                this._onIncomplete(state);
+            }
+        } catch (error) {
+            if (error?.name !== 'AbortError') throw error;
+            this._onAborted(state);
+        }
+    }
+
+    /**
+     * Lit un flux NDJSON jusqu'à sa fin et dispatche ses événements.
+     * Les événements déjà reçus (numéro de séquence connu) sont ignorés, ce qui rend la reprise idempotente.
+     *
+     * @returns {Promise<string>} 'break' (erreur serveur), 'ended' (run terminé) ou 'dropped' (coupure à reprendre)
+     */
+    async _readStream(reader, state) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        state.stalled = false;
+
+        let timeoutId = null;
+        const resetTimeout = () => {
+            if (timeoutId) clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => {
+                if (!state.done) {
+                    state.stalled = true;
+                    reader.cancel();
+                }
+            }, 60000);
+        };
+
+        const handleLine = (line) => {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('{')) return null;
+            let evt;
+            try {
+                evt = JSON.parse(trimmed);
+            } catch (e) { return null; /* Ligne partielle */ }
+            if (!evt?.type) return null;
+            if (evt.seq) {
+                if (evt.seq <= state.lastSeq) return null; // Déjà reçu avant la coupure
+                state.lastSeq = evt.seq;
+            }
+            try {
+                return this._handleStreamEvent(evt, state, timeoutId);
+            } catch (error) {
+                // Bug de rendu : remonté jusqu'à _submitTurn() (bulle d'erreur) plutôt qu'un flux figé
+                console.error(`[Synapse] Échec du traitement de l'événement « ${evt.type} »`, error);
+                reader.cancel().catch(() => { });
+                throw error;
+            }
+        };
+
+        resetTimeout();
+        try {
+            while (true) {
+                let chunk;
+                try {
+                    chunk = await reader.read();
+                } catch (error) {
+                    if (error?.name === 'AbortError') throw error;
+                    return 'dropped'; // Réseau coupé, onglet mis en veille…
+                }
+                if (chunk.done) break;
+                resetTimeout();
+
+                buffer += decoder.decode(chunk.value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    if (handleLine(line) === 'break') return 'break';
+                }
             }
+
+            // Traiter le buffer résiduel (défensif : si la dernière ligne n'a pas de \n)
+            if (handleLine(buffer) === 'break') return 'break';
+
+            return state.done ? 'ended' : 'dropped';
         } finally {
             clearTimeout(timeoutId);
         }
     }
 
+    /**
+     * Reprend un run interrompu à partir du dernier événement reçu, après un délai croissant.
+     *
+     * @returns {Promise<string>} même résultat que _readStream(), ou 'gone' si le run n'est plus disponible
+     */
+    async _resumeStream(state, attempt) {
+        await this._backoff(Math.min(1000 * 2 ** (attempt - 1), 15000));
+        this.updateLoadingText('Reconnexion…');
+
+        let response;
+        try {
+            const url = `${this.chatRunUrlTemplateValue.replace('RUN_ID', state.runId)}?after=${state.lastSeq}`;
+            response = await fetch(url, { signal: this._abortController?.signal });
+        } catch (error) {
+            if (error?.name === 'AbortError') throw error;
+            return 'dropped';
+        }
+
+        if (response.status === 404 || response.status === 403) return 'gone'; // Run expiré ou non reprenable
+        if (!response.ok || !response.body) return 'dropped';
+
+        return this._readStream(response.body.getReader(), state);
+    }
+
+    /**
+     * Attend `ms` millisecondes ; rejette (AbortError) si l'utilisateur arrête la génération entre-temps.
+     */
+    _backoff(ms) {
+        return new Promise((resolve, reject) => {
+            const signal = this._abortController?.signal;
+            if (signal?.aborted) {
+                reject(new DOMException('Aborted', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Finalise l'affichage d'une réponse interrompue par l'utilisateur :
+     * la réponse partielle reste visible et le panneau de transparence est clôturé.
+     */
+    _onAborted(state) {
+        state.done = true;
+        this._cancelStreamRender(state);
+        this.setLoading(false);
+
+        if (state.bubble) {
+            state.bubble.innerHTML = this.parseMarkdown(state.text);
+            state.bubble.closest('.synapse-chat-message')?.classList.add('synapse-chat-message--interrupted');
+            state.bubble.insertAdjacentHTML('beforeend', '<div class="synapse-chat-interrupted-label">⏹️ interrompu</div>');
+        } else {
+            this.addMessage('⏹️ Génération interrompue.', 'assistant', { subtype: 'system_action' });
+        }
+
+        this._markTransparencyStopped();
+    }
+
+    /**
+     * Finalise l'affichage d'une réponse dont le flux est perdu : la réponse partielle reste
+     * visible, marquée comme incomplète, avec une action « Réessayer » (sauf pour une variante :
+     * le bouton de régénération du message est déjà là).
+     */
+    _onIncomplete(state) {
+        state.done = true;
+        this._cancelStreamRender(state);
+        this.setLoading(false);
+
+        state.bubble.innerHTML = this.parseMarkdown(state.text);
+        state.bubble.insertAdjacentHTML('beforeend', '<div class="synapse-chat-interrupted-label">⚠️ réponse incomplète (connexion perdue)</div>');
+        const messageEl = state.bubble.closest('.synapse-chat-message');
+        messageEl?.classList.add('synapse-chat-message--interrupted');
+        if (messageEl && !state.variantOf) {
+            messageEl.dataset.retryable = 'true';
+            state.bubble.insertAdjacentHTML('afterend', this._retryActionsHtml());
+        }
+
+        this._markTransparencyError('Connexion perdue — réponse incomplète');
+    }
+
     _handleStreamEvent(evt, state, timeoutId) {
         const p = evt.payload;
         const handlers = {
             'delta':                 () => this._onDelta(p, state),
+            'run':                   () => { state.runId = p?.run_id || null; this._currentRunId = state.runId; },
+            'user_message':          () => this._onUserMessage(p),
             'result':                () => this._onResult(p, state, timeoutId),
             'status':                () => { if (p?.message) this.updateLoadingText(p.message); },
             'title':                 () => this._onTitle(p),
@@ -511,29 +1512,96 @@ export default class extends Controller {
     _onDelta(payload, state) {
         if (!state.bubble) {
             this.setLoading(false);
-            this.addMessage('', 'assistant');
-            const bubbles = this.messagesTarget.querySelectorAll('.synapse-chat-message--assistant .synapse-chat-bubble');
-            state.bubble = bubbles[bubbles.length - 1];
+            state.bubble = this._createAssistantBubble(state);
         }
         if (payload?.text) {
             state.text += payload.text;
-            state.bubble.innerHTML = this.parseMarkdown(state.text);
+            this._scheduleStreamRender(state);
+        }
+    }
+
+    /**
+     * Rendu incrémental de la réponse streamée, regroupé par frame d'animation.
+     *
+     * Les blocs Markdown terminés (voir advanceStableBoundary()) sont rendus une seule fois puis
+     * laissés intacts dans le DOM — la sélection de texte et les images y survivent ; seul le
+     * bloc en cours, dans `.synapse-chat-stream-tail`, est re-rendu à chaque frame.
+     * La réponse complète est re-rendue d'un bloc par _onResult() / _onAborted().
+     */
+    _scheduleStreamRender(state) {
+        if (state.renderFrame) return;
+        state.renderFrame = requestAnimationFrame(() => {
+            state.renderFrame = null;
+            this._renderStream(state);
             this.scrollToBottom();
+        });
+    }
+
+    _renderStream(state) {
+        const stream = state.stream ??= { rendered: 0, tail: null, scan: { pos: 0, boundary: 0, fence: null, blank: false } };
+        if (!stream.tail?.isConnected) {
+            state.bubble.innerHTML = '<div class="synapse-chat-stream-tail"></div>';
+            stream.tail = state.bubble.lastElementChild;
+            stream.rendered = 0;
+        }
+
+        const boundary = advanceStableBoundary(state.text, stream.scan);
+        if (boundary > stream.rendered) {
+            stream.tail.insertAdjacentHTML('beforebegin', this.parseMarkdown(state.text.slice(stream.rendered, boundary)));
+            stream.rendered = boundary;
+        }
+        stream.tail.innerHTML = this.parseMarkdown(state.text.slice(stream.rendered));
+    }
+
+    _cancelStreamRender(state) {
+        if (state.renderFrame) cancelAnimationFrame(state.renderFrame);
+        state.renderFrame = null;
+    }
+
+    /**
+     * Applique tout de suite le rendu en attente (derniers deltas de la frame non encore affichés).
+     */
+    _flushStreamRender(state) {
+        if (!state.renderFrame) return;
+        this._cancelStreamRender(state);
+        this._renderStream(state);
+    }
+
+    /**
+     * Crée la bulle qui recevra la réponse : nouveau message, ou nouvelle variante
+     * du message régénéré.
+     */
+    _createAssistantBubble(state, text = '', metadata = {}) {
+        if (state.variantOf) {
+            const bubble = this._addVariantBubble(state.variantOf);
+            bubble.innerHTML = this.parseMarkdown(text);
+            return bubble;
         }
+        this.addMessage(text, 'assistant', metadata);
+        const bubbles = this.messagesTarget.querySelectorAll('.synapse-chat-message--assistant .synapse-chat-bubble');
+        return bubbles[bubbles.length - 1];
     }
 
     _onResult(payload, state, timeoutId) {
         state.done = true;
+        this._flushStreamRender(state);
         if (timeoutId) clearTimeout(timeoutId);
         this.setLoading(false);
 
-        if (payload?.conversation_id) this.updateUrlConversation(payload.conversation_id);
+        this._onUserMessage(payload);
+
+        // Une branche rouverte via ?leaf= devient la plus récente : l'URL par défaut suffit
+        const pageUrl = new URL(window.location.href);
+        if (pageUrl.searchParams.has('leaf')) {
+            pageUrl.searchParams.delete('leaf');
+            window.history.replaceState({}, '', pageUrl.toString());
+        }
 
         // Détecter une réponse vide du LLM (thinking_tokens > 0 mais completion_tokens = 0)
         const hasAnswer = payload?.answer && payload.answer !== '';
         const hasAttachments = payload?.generated_attachments?.length > 0;
         if (!hasAnswer && !hasAttachments && !state.text) {
-            this.addMessage('⚠️ Le modèle n\'a pas généré de réponse. Réessayez ou reformulez votre question.', 'assistant');
+            this.addMessage('⚠️ Le modèle n\'a pas généré de réponse. Réessayez ou reformulez votre question.', 'assistant', { retryable: true });
             this._markTransparencyError('Réponse vide du modèle');
             return;
         }
@@ -560,9 +1628,7 @@ export default class extends Controller {
             }
         } else if (!state.bubble && (hasAnswer || hasAttachments)) {
             const displayText = hasAnswer && payload.answer !== '[image]' ? payload.answer : '';
-            this.addMessage(displayText, 'assistant', { debug_id: payload.debug_id });
-            const bubbles = this.messagesTarget.querySelectorAll('.synapse-chat-message--assistant .synapse-chat-bubble');
-            state.bubble = bubbles[bubbles.length - 1];
+            state.bubble = this._createAssistantBubble(state, displayText, { debug_id: payload.debug_id });
             if (this.debugValue && payload?.message_id) {
                 const messageEl = state.bubble?.closest('.synapse-chat-message');
                 if (messageEl) this.addTransparencyButtonToMessage(messageEl, payload.message_id);
@@ -577,6 +1643,26 @@ export default class extends Controller {
                 }).join('') + '</div>';
             state.bubble.insertAdjacentHTML('afterbegin', html);
         }
+
+        if (state.bubble) {
+            if (payload?.message_id) state.bubble.dataset.messageId = payload.message_id;
+            this._refreshRegenerateButton(state.bubble.closest('.synapse-chat-message'));
+            this._setAnsweredBy(state.bubble, payload ?? {});
+            this._renderMessageHeader(state.bubble.closest('.synapse-chat-message'));
+            if (hasAnswer && this._speechSettings?.auto) this._speak(state.bubble.closest('.synapse-chat-message'));
+        }
+    }
+
+    /**
+     * Message utilisateur enregistré (événement `user_message`, annoncé avant la génération, puis
+     * rappelé par `result`) : un réessai après échec régénère sur ce message au lieu de le renvoyer.
+     */
+    _onUserMessage(payload) {
+        if (payload?.conversation_id) this.updateUrlConversation(payload.conversation_id);
+        if (payload?.user_message_id && this._lastTurn) {
+            this._lastTurn.userMessageId = payload.user_message_id;
+            if (this._lastTurn.userBubble) this._lastTurn.userBubble.dataset.messageId = payload.user_message_id;
+        }
     }
 
     _onTitle(payload) {
@@ -603,9 +1689,20 @@ export default class extends Controller {
         if (!this.hasFileInputTarget) return;
         const files = Array.from(this.fileInputTarget.files);
         this.fileInputTarget.value = ''; // Reset pour permettre de re-sélectionner le même fichier
+        await this.addFiles(files);
+    }
 
-        const allowed = this.acceptedMimeTypesValue;
+    /**
+     * Ajoute des fichiers aux pièces jointes en attente (sélecteur, glisser-déposer, collage).
+     * Les types non acceptés par le modèle actif sont ignorés ; les images trop grandes sont
+     * réduites, les fichiers qui restent trop lourds sont refusés (erreur affichée dans la preview).
+     *
+     * @param {File[]} files
+     */
+    async addFiles(files) {
         const extMimeMap = { csv: 'text/csv', json: 'application/json', md: 'text/markdown', txt: 'text/plain' };
+        const maxBytes = this.maxAttachmentBytesValue;
+        this.attachmentErrors = [];
         for (const file of files) {
             // Fallback MIME par extension si le navigateur ne reconnaît pas le type (courant pour CSV)
             let fileType = file.type;
@@ -613,69 +1710,408 @@ export default class extends Controller {
                 const ext = file.name.split('.').pop()?.toLowerCase();
                 fileType = extMimeMap[ext] || '';
             }
-            if (allowed.length > 0 && !allowed.includes(fileType)) continue;
-            const data = await this.fileToBase64(file);
-            this.pendingFiles.push({ mime_type: fileType, data, name: file.name });
+            if (!this._acceptsMimeType(fileType)) continue;
+
+            const prepared = RESIZABLE_IMAGE_TYPES.includes(fileType) ? await this._downscaleImage(file, fileType) : file;
+            if (prepared.size > maxBytes) {
+                this.attachmentErrors.push(`« ${file.name || 'Fichier'} » est trop volumineux (${formatFileSize(prepared.size)}, maximum ${formatFileSize(maxBytes)}).`);
+                continue;
+            }
+            const entry = { mime_type: prepared.type || fileType, name: prepared.name, url: URL.createObjectURL(prepared) };
+            if (this.uploadsUrlValue) {
+                Object.assign(entry, { uploading: true, progress: 0 });
+                this._uploadFile(entry, prepared);
+            } else {
+                entry.data = await this.fileToBase64(prepared);
+            }
+            this.pendingFiles.push(entry);
         }
         this.renderFilePreview();
     }
 
-    fileToBase64(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => {
-                // Extraire uniquement la partie base64 (après la virgule)
-                const result = reader.result;
-                resolve(typeof result === 'string' ? result.split(',')[1] : '');
-            };
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
-        });
+    _hasPendingUploads() {
+        return this.pendingFiles.some(file => file.uploading);
     }
 
-    renderFilePreview() {
-        if (!this.hasAttachmentPreviewTarget) return;
-        const container = this.attachmentPreviewTarget;
-
-        if (this.pendingFiles.length === 0) {
-            container.classList.add('synapse-hidden');
-            container.innerHTML = '';
-            this.updateSendButton();
-            return;
+    /**
+     * Envoie une pièce jointe par morceaux (UploadApiController) : l'entrée reçoit son `upload_id`,
+     * transmis ensuite dans `attachment_ids`. La progression s'affiche dans la preview.
+     */
+    async _uploadFile(entry, file) {
+        const baseUrl = this.uploadsUrlValue;
+        try {
+            const csrfToken = await this.ensureCsrfToken();
+            const headers = csrfToken ? { 'X-CSRF-Token': csrfToken } : {};
+            const upload = await this._uploadRequest(baseUrl, { ...headers, 'Content-Type': 'application/json' },
+                JSON.stringify({ name: entry.name, mime_type: entry.mime_type, size: file.size }));
+            entry.upload_id = upload.id;
+
+            let offset = 0;
+            while (offset < file.size) {
+                if (entry.cancelled) return;
+                const chunk = file.slice(offset, offset + upload.chunk_size);
+                const progress = await this._uploadRequest(`${baseUrl}/${upload.id}/chunks?offset=${offset}`,
+                    { ...headers, 'Content-Type': 'application/octet-stream' }, chunk);
+                offset = progress.received;
+                entry.progress = offset / file.size;
+                this.renderFilePreview();
+            }
+            entry.uploading = false;
+        } catch (error) {
+            console.error('[Synapse] Envoi de pièce jointe impossible:', error);
+            if (entry.cancelled) return;
+            this.pendingFiles = this.pendingFiles.filter(f => f !== entry);
+            this.attachmentErrors.push(`« ${entry.name} » n'a pas pu être envoyé : ${error.message}`);
         }
+        this.renderFilePreview();
+    }
 
-        container.classList.remove('synapse-hidden');
-        container.innerHTML = this.pendingFiles.map((file, index) => {
-            const badge = this._renderAttachmentBadge(
-                file.mime_type,
-                `data:${file.mime_type};base64,${file.data}`,
-                file.name
-            );
-            return `
-                <div class="synapse-chat-attachment-preview__item">
-                    ${badge}
-                    <button type="button" class="synapse-chat-attachment-preview__remove"
-                        data-action="click->${this.identifier}#removeFile"
-                        data-index="${index}"
-                        aria-label="Supprimer">×</button>
-                </div>
-            `;
-        }).join('');
-        this.updateSendButton();
+    async _uploadRequest(url, headers, body) {
+        const response = await fetch(url, { method: 'POST', headers, body });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `Erreur serveur (${response.status}).`);
+        return data;
     }
 
-    removeFile(event) {
-        const index = parseInt(event.currentTarget.dataset.index, 10);
-        this.pendingFiles.splice(index, 1);
-        this.renderFilePreview();
+    async _cancelUpload(entry) {
+        entry.cancelled = true;
+        if (!entry.upload_id) return;
+        try {
+            const csrfToken = await this.ensureCsrfToken();
+            await fetch(`${this.uploadsUrlValue}/${entry.upload_id}`, {
+                method: 'DELETE',
+                headers: csrfToken ? { 'X-CSRF-Token': csrfToken } : {},
+            });
+        } catch (_) { /* L'envoi expirera de lui-même côté serveur */ }
     }
 
-    clearPendingFiles() {
-        this.pendingFiles = [];
-        this.renderFilePreview();
+    _acceptsMimeType(mimeType) {
+        const allowed = this.acceptedMimeTypesValue;
+        return allowed.length === 0 || allowed.includes(mimeType);
     }
 
-    openLightbox(src) {
+    /**
+     * Réduit une image au-delà de maxImageDimension ou de maxAttachmentBytes : redimensionnement
+     * puis ré-encodage sur canvas, en baissant la qualité puis la taille tant que le poids dépasse.
+     * Un PNG trop lourd passe en JPEG si le modèle l'accepte (le PNG n'a pas de réglage de qualité).
+     *
+     * @returns {Promise<File>} l'image réduite, ou le fichier d'origine si elle tient déjà (ou si le navigateur ne sait pas la décoder)
+     */
+    async _downscaleImage(file, fileType) {
+        const maxBytes = this.maxAttachmentBytesValue;
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(file);
+        } catch (_) {
+            return file;
+        }
+
+        let { width, height } = fitWithin(bitmap.width, bitmap.height, this.maxImageDimensionValue);
+        if (width === bitmap.width && height === bitmap.height && file.size <= maxBytes) {
+            bitmap.close();
+            return file;
+        }
+
+        let type = fileType;
+        let quality = 0.85;
+        let blob = null;
+        for (let attempt = 0; attempt < 8; attempt++) {
+            blob = await this._encodeImage(bitmap, width, height, type, quality);
+            if (!blob || blob.size <= maxBytes) break;
+            if (type === 'image/png' && this._acceptsMimeType('image/jpeg')) {
+                type = 'image/jpeg';
+            } else if (quality > 0.6) {
+                quality -= 0.15;
+            } else {
+                ({ width, height } = fitWithin(width, height, Math.round(Math.max(width, height) * 0.75)));
+            }
+        }
+        bitmap.close();
+        if (!blob) return file;
+
+        const name = type === fileType ? file.name : `${file.name.replace(/\.[^.]+$/, '') || 'image'}.jpg`;
+        return new File([blob], name, { type, lastModified: file.lastModified });
+    }
+
+    _encodeImage(bitmap, width, height, type, quality) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        if (type === 'image/jpeg') {
+            // Pas de transparence en JPEG : fond blanc plutôt que noir
+            context.fillStyle = '#fff';
+            context.fillRect(0, 0, width, height);
+        }
+        context.drawImage(bitmap, 0, 0, width, height);
+        return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    }
+
+    /**
+     * Ctrl+V dans la zone de saisie : les fichiers du presse-papiers (captures d'écran) sont joints.
+     * Le texte éventuellement présent est collé normalement.
+     */
+    handlePaste(event) {
+        if (!this.hasFileInputTarget || !event.clipboardData) return;
+        const files = Array.from(event.clipboardData.items)
+            .filter(item => item.kind === 'file')
+            .map(item => item.getAsFile())
+            .filter(Boolean)
+            .map(file => file.type.startsWith('image/')
+                ? new File([file], pastedFileName(file.type), { type: file.type, lastModified: file.lastModified })
+                : file);
+        if (files.length === 0) return;
+
+        if (!event.clipboardData.types.includes('text/plain')) event.preventDefault();
+        this.addFiles(files);
+    }
+
+    _isFileDrag(event) {
+        return this.hasFileInputTarget && Array.from(event.dataTransfer?.types || []).includes('Files');
+    }
+
+    handleDragEnter(event) {
+        if (!this._isFileDrag(event)) return;
+        event.preventDefault();
+        // dragenter/dragleave sont émis à chaque élément enfant survolé : on compte la profondeur
+        this._dragDepth++;
+        this._setDropFeedback(true);
+    }
+
+    handleDragOver(event) {
+        if (!this._isFileDrag(event)) return;
+        event.preventDefault(); // Nécessaire pour autoriser le drop
+        event.dataTransfer.dropEffect = 'copy';
+    }
+
+    handleDragLeave(event) {
+        if (!this._isFileDrag(event)) return;
+        this._dragDepth = Math.max(0, this._dragDepth - 1);
+        if (this._dragDepth === 0) this._setDropFeedback(false);
+    }
+
+    handleDrop(event) {
+        if (!this._isFileDrag(event)) return;
+        event.preventDefault();
+        this._dragDepth = 0;
+        this._setDropFeedback(false);
+        this.addFiles(Array.from(event.dataTransfer.files));
+        this.inputTarget.focus();
+    }
+
+    _setDropFeedback(active) {
+        if (this.hasDropzoneTarget) this.dropzoneTarget.classList.toggle('synapse-hidden', !active);
+    }
+
+    fileToBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                // Extraire uniquement la partie base64 (après la virgule)
+                const result = reader.result;
+                resolve(typeof result === 'string' ? result.split(',')[1] : '');
+            };
+            reader.onerror = reject;
+            reader.readAsDataURL(file);
+        });
+    }
+
+    renderFilePreview() {
+        if (!this.hasAttachmentPreviewTarget) return;
+        const container = this.attachmentPreviewTarget;
+        const errors = this.attachmentErrors || [];
+
+        if (this.pendingFiles.length === 0 && errors.length === 0) {
+            container.classList.add('synapse-hidden');
+            container.innerHTML = '';
+            this.updateSendButton();
+            return;
+        }
+
+        container.classList.remove('synapse-hidden');
+        const errorsHtml = errors.map(error => `<div class="synapse-chat-attachment-preview__error" role="alert">${escapeHtml(error)}</div>`).join('');
+        container.innerHTML = errorsHtml + this.pendingFiles.map((file, index) => {
+            const badge = this._renderAttachmentBadge(
+                file.mime_type,
+                file.url ?? `data:${file.mime_type};base64,${file.data}`,
+                file.name
+            );
+            const percent = Math.round((file.progress ?? 0) * 100);
+            const progress = file.uploading
+                ? `<div class="synapse-chat-attachment-preview__progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}"><span style="width: ${percent}%"></span></div>`
+                : '';
+            return `
+                <div class="synapse-chat-attachment-preview__item${file.uploading ? ' synapse-chat-attachment-preview__item--uploading' : ''}">
+                    ${badge}
+                    ${progress}
+                    <button type="button" class="synapse-chat-attachment-preview__remove"
+                        data-action="click->${this.identifier}#removeFile"
+                        data-index="${index}"
+                        aria-label="Supprimer">×</button>
+                </div>
+            `;
+        }).join('');
+        this.updateSendButton();
+    }
+
+    removeFile(event) {
+        const index = parseInt(event.currentTarget.dataset.index, 10);
+        const [removed] = this.pendingFiles.splice(index, 1);
+        if (removed?.uploading || removed?.upload_id) this._cancelUpload(removed);
+        if (removed?.url) URL.revokeObjectURL(removed.url);
+        this.renderFilePreview();
+    }
+
+    clearPendingFiles() {
+        this.pendingFiles = [];
+        this.attachmentErrors = [];
+        this.renderFilePreview();
+    }
+
+    /* ── Dictée vocale (MediaRecorder) ───────────────────────────────────── */
+
+    async startRecording() {
+        if (this._recording || this._transcribing) return;
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (error) {
+            console.error('[Synapse] Accès au micro impossible:', error);
+            alert(error?.name === 'NotAllowedError' || error?.name === 'SecurityError'
+                ? 'Accès au micro refusé. Autorisez le micro pour ce site dans les réglages du navigateur.'
+                : 'Aucun micro disponible.');
+            return;
+        }
+
+        // Format d'enregistrement accepté par le modèle actif si possible (pièce jointe directe)
+        const candidates = ['audio/webm', 'audio/ogg', 'audio/mp4'].filter(type => MediaRecorder.isTypeSupported?.(type));
+        const mimeType = candidates.find(type => this._acceptsMimeType(type)) || candidates[0];
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        const chunks = [];
+        recorder.addEventListener('dataavailable', (e) => { if (e.data.size > 0) chunks.push(e.data); });
+        recorder.start();
+
+        const startedAt = Date.now();
+        const tick = () => {
+            const seconds = Math.floor((Date.now() - startedAt) / 1000);
+            if (this.hasRecordingTimerTarget) this.recordingTimerTarget.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        tick();
+        this._recording = { recorder, stream, chunks, timer: setInterval(tick, 1000) };
+
+        const audioType = (recorder.mimeType || mimeType || 'audio/webm').split(';')[0];
+        if (this.hasRecordingAttachTarget) this.recordingAttachTarget.classList.toggle('synapse-hidden', !this._acceptsMimeType(audioType));
+        if (this.hasRecordingBarTarget) this.recordingBarTarget.classList.remove('synapse-hidden');
+        if (this.hasMicBtnTarget) this.micBtnTarget.classList.add('synapse-hidden');
+    }
+
+    cancelRecording() {
+        this._stopRecording();
+    }
+
+    async attachRecording() {
+        const audio = await this._stopRecording();
+        if (audio) await this.addFiles([audio]);
+    }
+
+    /**
+     * Transcrit l'enregistrement dans la zone de saisie : endpoint serveur (TranscriberInterface),
+     * sinon hook navigateur `synapse-chat:transcribe` (moteur local), sinon l'audio est joint tel quel.
+     */
+    async transcribeRecording() {
+        const audio = await this._stopRecording();
+        if (!audio) return;
+
+        this._setTranscribing(true);
+        try {
+            const text = await this._transcribe(audio);
+            if (text === null) {
+                if (this._acceptsMimeType(audio.type)) {
+                    console.warn('[Synapse] Aucune transcription disponible : audio joint au message.');
+                    await this.addFiles([audio]);
+                } else {
+                    alert('La transcription n\'est pas disponible.');
+                }
+                return;
+            }
+
+            const current = this.inputTarget.value;
+            this.inputTarget.value = current && !/\s$/.test(current) ? `${current} ${text}` : current + text;
+            this.autoResize();
+            this.updateSendButton();
+            this.inputTarget.focus();
+        } catch (error) {
+            console.error('[Synapse] Transcription impossible:', error);
+            alert(error.message || 'La transcription a échoué.');
+        } finally {
+            this._setTranscribing(false);
+        }
+    }
+
+    /**
+     * @returns {Promise<string|null>} texte reconnu, ou null si aucun moteur n'est disponible
+     */
+    async _transcribe(audio) {
+        const language = document.documentElement.lang || navigator.language || '';
+
+        if (this.transcriptionUrlValue) {
+            const form = new FormData();
+            form.append('file', audio);
+            if (language) form.append('language', language);
+            const csrfToken = await this.ensureCsrfToken();
+            const response = await fetch(this.transcriptionUrlValue, {
+                method: 'POST',
+                headers: csrfToken ? { 'X-CSRF-Token': csrfToken } : {},
+                body: form,
+            });
+            // 503 : pas de moteur côté serveur, on tente le hook local
+            if (response.status !== 503) {
+                const data = await response.json().catch(() => ({}));
+                if (!response.ok) throw new Error(data.error || `Erreur serveur (${response.status}).`);
+                return data.text ?? '';
+            }
+        }
+
+        // Hook pour un moteur local : un écouteur renseigne `event.detail.result` (Promise<string>)
+        const hook = { audio, language, result: null };
+        this.dispatch('transcribe', { detail: hook });
+        return hook.result ? await hook.result : null;
+    }
+
+    /**
+     * Arrête l'enregistrement et libère le micro.
+     *
+     * @returns {Promise<File|null>} l'enregistrement, null s'il n'y en avait pas
+     */
+    _stopRecording() {
+        const recording = this._recording;
+        if (!recording) return Promise.resolve(null);
+        this._recording = null;
+
+        clearInterval(recording.timer);
+        if (this.hasRecordingBarTarget) this.recordingBarTarget.classList.add('synapse-hidden');
+        if (this.hasMicBtnTarget) this.micBtnTarget.classList.remove('synapse-hidden');
+
+        return new Promise(resolve => {
+            recording.recorder.addEventListener('stop', () => {
+                recording.stream.getTracks().forEach(track => track.stop());
+                const type = (recording.recorder.mimeType || 'audio/webm').split(';')[0];
+                const blob = new Blob(recording.chunks, { type });
+                resolve(blob.size > 0 ? new File([blob], pastedFileName(type, new Date(), 'dictee'), { type }) : null);
+            }, { once: true });
+            recording.recorder.stop();
+        });
+    }
+
+    _setTranscribing(active) {
+        this._transcribing = active;
+        if (!this.hasMicBtnTarget) return;
+        this.micBtnTarget.disabled = active;
+        this.micBtnTarget.classList.toggle('synapse-chat-btn-mic--busy', active);
+    }
+
+    openLightbox(src) {
         const overlay = document.createElement('div');
         overlay.className = 'synapse-chat-lightbox';
         overlay.innerHTML = `<img src="${src}" alt="Image en grand">`;
@@ -725,17 +2161,32 @@ export default class extends Controller {
                 attachmentPreviewHtml = '<div class="synapse-chat-message-attachments">' +
                     metadata.attachments.map(file => this._renderAttachmentBadge(
                         file.mime_type,
-                        `data:${file.mime_type};base64,${file.data}`,
+                        file.url ?? `data:${file.mime_type};base64,${file.data}`,
                         file.name
                     )).join('') +
                     '</div>';
             }
+            // Message utilisateur : action "Modifier" pour éditer et relancer depuis ce point
+            let messageActions = '';
+            if (role === 'user') {
+                messageActions = `
+                    <div class="synapse-chat-message-actions">
+                        <button type="button" class="synapse-btn-small synapse-chat-edit-btn" data-action="click->${this.identifier}#startEdit" title="Modifier le message" aria-label="Modifier le message">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path></svg>
+                        </button>
+                    </div>
+                `;
+            }
+            // Bulle d'erreur : action "Réessayer" pour renvoyer le tour en un clic
+            const retryActions = role === 'assistant' && metadata?.retryable ? this._retryActionsHtml() : '';
             html = `
-                <div class="synapse-chat-message synapse-chat-message--${role}">
+                <div class="synapse-chat-message synapse-chat-message--${role}"${metadata?.retryable ? ' data-retryable="true"' : ''}>
                     ${avatarContent}
                     <div class="synapse-chat-message__content">
                         <div class="synapse-chat-bubble">${attachmentPreviewHtml}${formattedText}</div>
                         ${debugButton}
+                        ${messageActions}
+                        ${retryActions}
                     </div>
                 </div>
             `;
@@ -743,12 +2194,34 @@ export default class extends Controller {
 
         // Si un encart mémoire est le dernier élément, insérer le message avant
         const memoryEncart = this.messagesTarget.querySelector('.synapse-chat-message:last-child .synapse-chat-memory-encart');
+        let messageEl;
         if (memoryEncart && role === 'assistant') {
-            memoryEncart.closest('.synapse-chat-message').insertAdjacentHTML('beforebegin', html);
+            const encartMessage = memoryEncart.closest('.synapse-chat-message');
+            encartMessage.insertAdjacentHTML('beforebegin', html);
+            messageEl = encartMessage.previousElementSibling;
         } else {
             this.messagesTarget.insertAdjacentHTML('beforeend', html);
+            messageEl = this.messagesTarget.lastElementChild;
         }
+
+        // Texte brut conservé pour l'édition (la bulle contient le rendu Markdown)
+        const bubble = role === 'user' ? this._visibleBubble(messageEl) : null;
+        if (bubble) bubble.dataset.rawContent = text;
+        if (role === 'assistant' && !metadata?.subtype && !metadata?.retryable && this._speechSupported) this._addSpeakButton(messageEl);
+
         this.scrollToBottom();
+        return messageEl;
+    }
+
+    _retryActionsHtml() {
+        return `
+            <div class="synapse-chat-message-actions">
+                <button type="button" class="synapse-btn-small synapse-chat-regenerate-btn synapse-chat-retry-btn" data-action="click->${this.identifier}#regenerate" title="Réessayer">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/><path d="M21 3v5h-5"/><path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/><path d="M8 16H3v5"/></svg>
+                    Réessayer
+                </button>
+            </div>
+        `;
     }
 
     updateLoadingText(text) {
@@ -1046,17 +2519,8 @@ export default class extends Controller {
         if (submitBtn) submitBtn.disabled = true;
 
         try {
-            const url = this.memoryManualUrlValue || '/synapse/api/memory/manual';
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': await this.ensureCsrfToken() },
-                body: JSON.stringify({ fact: text })
-            });
-
-            if (!response.ok) throw new Error('Erreur ajout souvenir');
-
+            await this._createMemory(text);
             input.value = '';
-            this.loadMemories();
         } catch (e) {
             console.error(e);
             alert("Erreur lors de l'enregistrement du fait.");
@@ -1066,6 +2530,21 @@ export default class extends Controller {
         }
     }
 
+    /**
+     * Enregistre un souvenir saisi manuellement (formulaire de l'onglet Mémoire, commande /remember).
+     */
+    async _createMemory(fact) {
+        const url = this.memoryManualUrlValue || '/synapse/api/memory/manual';
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': await this.ensureCsrfToken() },
+            body: JSON.stringify({ fact })
+        });
+
+        if (!response.ok) throw new Error('Erreur ajout souvenir');
+        this.loadMemories();
+    }
+
     async deleteMemory(event) {
         const item = event.currentTarget.closest('.synapse-memory-item');
         if (!confirm('Oublier définitivement ce souvenir ?')) return;
@@ -1079,139 +2558,849 @@ export default class extends Controller {
             if (!response.ok) throw new Error('Erreur suppression');
             item.remove();
 
-            // Si la liste est vide après suppression, afficher le state empty
-            if (this.hasMemoryListTarget && this.memoryListTarget.children.length === 0 && this.hasMemoryEmptyTarget) {
-                this.memoryEmptyTarget.classList.remove('synapse-hidden');
-            }
-        } catch (e) {
-            console.error(e);
-            item.style.opacity = '1';
-        }
+            // Si la liste est vide après suppression, afficher le state empty
+            if (this.hasMemoryListTarget && this.memoryListTarget.children.length === 0 && this.hasMemoryEmptyTarget) {
+                this.memoryEmptyTarget.classList.remove('synapse-hidden');
+            }
+        } catch (e) {
+            console.error(e);
+            item.style.opacity = '1';
+        }
+    }
+
+    editMemory(event) {
+        const item = event.currentTarget.closest('.synapse-memory-item');
+        item.classList.add('is-editing');
+        const input = item.querySelector('[data-memory-input-target="true"]');
+        if (input) input.focus();
+    }
+
+    cancelEditMemory(event) {
+        const item = event.currentTarget.closest('.synapse-memory-item');
+        item.classList.remove('is-editing');
+        const input = item.querySelector('[data-memory-input-target="true"]');
+        const textTarget = item.querySelector('[data-memory-text-target="true"]');
+        if (input && textTarget) input.value = textTarget.textContent; // rollback value
+    }
+
+    async saveMemory(event) {
+        const item = event.currentTarget.closest('.synapse-memory-item');
+        const id = item.dataset.memoryId;
+        const input = item.querySelector('[data-memory-input-target="true"]');
+        const textTarget = item.querySelector('[data-memory-text-target="true"]');
+        const newText = input.value.trim();
+
+        if (!newText) return this.cancelEditMemory(event);
+        if (newText === textTarget.textContent) return this.cancelEditMemory(event);
+
+        const btn = event.currentTarget;
+        btn.disabled = true;
+
+        try {
+            let url = (this.memoryUpdateUrlTemplateValue || '/synapse/api/memory/MEMORY_ID').replace('MEMORY_ID', id);
+            const response = await fetch(url, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': await this.ensureCsrfToken() },
+                body: JSON.stringify({ fact: newText })
+            });
+
+            if (!response.ok) throw new Error('Erreur maj souvenir');
+
+            textTarget.textContent = newText;
+            item.classList.remove('is-editing');
+        } catch (e) {
+            console.error(e);
+            alert("Erreur lors de la mise à jour.");
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    /* ── 4.5. SÉLECTEUR DE TONS ────────────────────────────────────────────── */
+
+    // ── Helpers génériques pour les menus Tone / Agent ──
+
+    _cap(s) { return s.charAt(0).toUpperCase() + s.slice(1); }
+
+    _toggleMenu(type, event) {
+        if (event) event.stopPropagation();
+        const menuKey = `${type}Menu`, triggerKey = `${type}Trigger`;
+        if (this[`has${this._cap(menuKey)}Target`]) {
+            this[`${menuKey}Target`].classList.toggle('synapse-hidden');
+            this[`${triggerKey}Target`].classList.toggle('is-open');
+        }
+    }
+
+    _selectOption(type, event) {
+        const ds = event.currentTarget.dataset;
+        const key = ds[`${type}Key`], name = ds[`${type}Name`], emoji = ds[`${type}Emoji`];
+
+        if (this[`hasCurrent${this._cap(type)}EmojiTarget`]) this[`current${this._cap(type)}EmojiTarget`].textContent = emoji;
+        if (this[`hasCurrent${this._cap(type)}NameTarget`]) this[`current${this._cap(type)}NameTarget`].textContent = name;
+        if (this[`has${this._cap(type)}InputTarget`]) this[`${type}InputTarget`].value = key;
+
+        if (this[`has${this._cap(type)}MenuTarget`]) {
+            this[`${type}MenuTarget`].querySelectorAll('.synapse-chat-tone-option').forEach(opt => {
+                opt.classList.toggle('active', opt.dataset[`${type}Key`] === key);
+            });
+        }
+
+        localStorage.setItem(`synapse_chat_${type}`, JSON.stringify({ key, name, emoji }));
+        // Sélection depuis la palette ou un raccourci : le menu peut être fermé
+        if (this[`has${this._cap(type)}MenuTarget`] && !this[`${type}MenuTarget`].classList.contains('synapse-hidden')) {
+            this._toggleMenu(type);
+        }
+    }
+
+    /**
+     * Sélectionne l'option suivante du menu (agent ou ton), en revenant à la première après la dernière.
+     */
+    _cycleOption(type) {
+        if (!this[`has${this._cap(type)}MenuTarget`]) return;
+        const options = [...this[`${type}MenuTarget`].querySelectorAll('.synapse-chat-tone-option')];
+        if (options.length < 2) return;
+        const current = options.findIndex(opt => opt.classList.contains('active'));
+        this._selectOption(type, { currentTarget: options[(current + 1) % options.length] });
+    }
+
+    _closeMenuOutside(type, event) {
+        const pickerKey = `${type}Picker`;
+        if (!this[`has${this._cap(pickerKey)}Target`]) return;
+        if (!this[`${pickerKey}Target`].contains(event.target)) {
+            const menuKey = `${type}Menu`;
+            if (this[`has${this._cap(menuKey)}Target`] && !this[`${menuKey}Target`].classList.contains('synapse-hidden')) {
+                this._toggleMenu(type);
+            }
+        }
+    }
+
+    _loadPersistent(type) {
+        const saved = localStorage.getItem(`synapse_chat_${type}`);
+        if (!saved) return;
+        try {
+            const { key, name, emoji } = JSON.parse(saved);
+            if (this[`hasCurrent${this._cap(type)}EmojiTarget`]) this[`current${this._cap(type)}EmojiTarget`].textContent = emoji;
+            if (this[`hasCurrent${this._cap(type)}NameTarget`]) this[`current${this._cap(type)}NameTarget`].textContent = name;
+            if (this[`has${this._cap(type)}InputTarget`]) this[`${type}InputTarget`].value = key;
+            if (this[`has${this._cap(type)}MenuTarget`]) {
+                this[`${type}MenuTarget`].querySelectorAll('.synapse-chat-tone-option').forEach(opt => {
+                    opt.classList.toggle('active', opt.dataset[`${type}Key`] === key);
+                });
+            }
+        } catch (e) {
+            console.error(`Erreur chargement ${type} persistant`, e);
+        }
+    }
+
+    // ── API publique Tone (Stimulus actions) ──
+
+    toggleToneMenu(event) { this._toggleMenu('tone', event); }
+    selectTone(event) { this._selectOption('tone', event); }
+    closeToneMenuOutside(event) { this._closeMenuOutside('tone', event); }
+    loadPersistentTone() { this._loadPersistent('tone'); }
+    nextTone() { this._cycleOption('tone'); }
+
+    // ── API publique Agent (Stimulus actions) ──
+
+    toggleAgentMenu(event) { this._toggleMenu('agent', event); }
+    selectAgent(event) { this._selectOption('agent', event); }
+    closeAgentMenuOutside(event) { this._closeMenuOutside('agent', event); }
+    loadPersistentAgent() { this._loadPersistent('agent'); }
+    nextAgent() { this._cycleOption('agent'); }
+
+    // ── Commandes "/" de la zone de saisie ──
+
+    /**
+     * Ajoute une commande "/" (ou remplace celle du même nom). Utilisable par l'application hôte
+     * via l'événement `synapse-chat:register-commands` ou un contrôleur dérivé (`controller_override`).
+     *
+     * @param {object} command - { name, description, usage, handler(args, controller), suggest(args) → [{ value, label, emoji }] }
+     * @returns {Function} retire la commande
+     */
+    registerCommand({ name, description = '', usage = '', handler, suggest = null }) {
+        const key = String(name ?? '').replace(/^\//, '').toLowerCase();
+        if (!/^[a-z0-9_-]+$/.test(key) || typeof handler !== 'function') {
+            throw new Error(`[Synapse] Commande invalide : ${name}`);
+        }
+        const command = { name: key, description, usage, handler, suggest };
+        this._commands.set(key, command);
+        return () => { if (this._commands.get(key) === command) this._commands.delete(key); };
+    }
+
+    _registerBuiltinCommands() {
+        this.registerCommand({
+            name: 'agent', usage: '<nom>', description: 'Changer d\'agent',
+            handler: (args) => this._selectNamedOption('agent', args),
+            suggest: () => this._optionSuggestions('agent'),
+        });
+        this.registerCommand({
+            name: 'tone', usage: '<nom>', description: 'Changer de ton',
+            handler: (args) => this._selectNamedOption('tone', args),
+            suggest: () => this._optionSuggestions('tone'),
+        });
+        this.registerCommand({ name: 'new', description: 'Nouvelle conversation', handler: () => this.newConversation() });
+        this.registerCommand({
+            name: 'remember', usage: '<fait>', description: 'Mémoriser un fait',
+            handler: async (args) => {
+                if (!args) throw new Error('Précisez le fait à mémoriser : /remember <fait>');
+                await this._createMemory(args);
+                this._commandNotice('Souvenir enregistré.');
+            },
+        });
+        this.registerCommand({
+            name: 'export', usage: '[md|json|html]', description: 'Exporter la conversation',
+            handler: (args) => {
+                const format = args.toLowerCase() || 'md';
+                if (!['md', 'json', 'html'].includes(format)) throw new Error('Format d\'export inconnu (md, json ou html).');
+                if (!this.currentConversationIdValue) throw new Error('Aucune conversation à exporter.');
+                this.exportConversation({ currentTarget: { dataset: { format } } });
+            },
+            suggest: () => [
+                { value: 'md', label: 'Markdown (.md)' },
+                { value: 'json', label: 'JSON (.json)' },
+                { value: 'html', label: 'HTML imprimable (PDF)' },
+            ],
+        });
+        this.registerCommand({
+            name: 'clear', description: 'Réinitialiser la conversation',
+            handler: async () => {
+                const response = await fetch(this.resetUrlValue || '/synapse/api/reset', {
+                    method: 'POST',
+                    headers: { 'X-CSRF-Token': await this.ensureCsrfToken() },
+                });
+                if (!response.ok) throw new Error('Impossible de réinitialiser la conversation.');
+                await this.newConversation();
+            },
+        });
+    }
+
+    async _runCommand({ name, args }) {
+        const command = this._commands.get(name);
+        this._hideCommandMenu();
+        // /new, /export… agiraient sur la conversation pendant qu'une réponse s'y écrit
+        if (this._abortController) {
+            this._commandNotice('Une réponse est en cours : arrêtez-la ou attendez sa fin avant de lancer une commande.', true);
+            return;
+        }
+        this.inputTarget.value = '';
+        this.autoResize();
+        try {
+            await command.handler(args, this);
+        } catch (error) {
+            console.error(`[Synapse] Commande /${name} :`, error);
+            this._commandNotice(error.message || `La commande /${name} a échoué.`, true);
+        }
+    }
+
+    /**
+     * Sélectionne l'agent ou le ton le plus proche du nom saisi ; sans nom, revient à l'option par défaut.
+     */
+    _selectNamedOption(type, name) {
+        const label = type === 'agent' ? 'Agent' : 'Ton';
+        if (!this[`has${this._cap(type)}MenuTarget`]) throw new Error(`${label} indisponible.`);
+
+        const options = [...this[`${type}MenuTarget`].querySelectorAll('.synapse-chat-tone-option')];
+        const best = options
+            .map(opt => ({ opt, score: name ? Math.max(fuzzyScore(name, opt.dataset[`${type}Name`]) ?? -1, fuzzyScore(name, opt.dataset[`${type}Key`]) ?? -1) : (opt.dataset[`${type}Key`] ? -1 : 0) }))
+            .filter(r => r.score >= 0)
+            .sort((a, b) => b.score - a.score)[0];
+        if (!best) throw new Error(`${label} inconnu : ${name}`);
+
+        this._selectOption(type, { currentTarget: best.opt });
+        this._commandNotice(`${label} : ${best.opt.dataset[`${type}Name`]}`);
+    }
+
+    /**
+     * Options du menu (hors option par défaut) ; `valueField` choisit la valeur insérée : 'Name' ou 'Key'.
+     */
+    _optionSuggestions(type, valueField = 'Name') {
+        if (!this[`has${this._cap(type)}MenuTarget`]) return [];
+        return [...this[`${type}MenuTarget`].querySelectorAll('.synapse-chat-tone-option')]
+            .filter(opt => opt.dataset[`${type}Key`])
+            .map(opt => ({ value: opt.dataset[`${type}${valueField}`], label: opt.dataset[`${type}Name`], emoji: opt.dataset[`${type}Emoji`] }));
+    }
+
+    _agentKeys() {
+        return this._optionSuggestions('agent', 'Key').map(s => s.value);
+    }
+
+    /**
+     * Mémorise sur la bulle l'auteur de la réponse (champs `agent`, `agent_name`, `model`, `tone`
+     * de l'événement `result` ou de `/messages`) : chaque variante garde le sien.
+     */
+    _setAnsweredBy(bubble, { agent, agent_name, model, tone } = {}) {
+        Object.entries({ answeredAgent: agent, answeredAgentName: agent_name, answeredModel: model, answeredTone: tone })
+            .forEach(([key, value]) => { if (value) bubble.dataset[key] = value; else delete bubble.dataset[key]; });
+    }
+
+    /**
+     * En-tête compact de la réponse affichée : emoji et nom de l'agent, modèle et ton en infobulle.
+     */
+    _renderMessageHeader(messageEl) {
+        const content = messageEl?.querySelector('.synapse-chat-message__content');
+        if (!content) return;
+        content.querySelector(':scope > .synapse-chat-message__agent')?.remove();
+
+        const { answeredAgent: agent, answeredAgentName: agentName, answeredModel: model, answeredTone: tone } = this._visibleBubble(messageEl)?.dataset ?? {};
+        if (!agent && !model) return;
+
+        const option = agent ? this._optionSuggestions('agent', 'Key').find(s => s.value === agent) : null;
+        const toneName = tone ? (this._optionSuggestions('tone', 'Key').find(s => s.value === tone)?.label || tone) : null;
+        const tooltip = [model && `Modèle : ${model}`, toneName && `Ton : ${toneName}`].filter(Boolean).join(' · ');
+        content.insertAdjacentHTML('afterbegin', `
+            <div class="synapse-chat-message__agent"${tooltip ? ` title="${escapeHtml(tooltip)}"` : ''}>
+                <span class="synapse-chat-message__agent-emoji" aria-hidden="true">${escapeHtml(option?.emoji || '🤖')}</span>
+                <span class="synapse-chat-message__agent-name">${escapeHtml(agentName || option?.label || agent || 'Assistant')}</span>
+            </div>
+        `);
+    }
+
+    /**
+     * Met à jour la liste d'autocomplétion : agents pour une mention « @… », sinon noms de commande
+     * tant que le premier mot est en cours de saisie, puis suggestions d'arguments de la commande.
+     */
+    _updateCommandMenu() {
+        if (!this.hasCommandMenuTarget) return;
+        const match = /^\/([a-z0-9_-]*)(?:(\s+)(.*))?$/i.exec(this.inputTarget.value);
+        // Mention « @… » en cours de saisie juste avant le curseur
+        const mention = /(?:^|\s)@([\w-]*)$/.exec(this.inputTarget.value.slice(0, this.inputTarget.selectionStart));
+        let items = [];
+
+        if (mention) {
+            items = this._optionSuggestions('agent', 'Key')
+                .map(s => ({ s, score: Math.max(fuzzyScore(mention[1], s.value) ?? -1, fuzzyScore(mention[1], s.label) ?? -1) }))
+                .filter(r => r.score >= 0)
+                .sort((a, b) => b.score - a.score)
+                .map(({ s }) => ({ mention: mention[1], value: s.value, label: s.label, emoji: s.emoji, usage: `@${s.value}` }));
+        } else if (match && !match[2]) {
+            items = [...this._commands.values()]
+                .map(command => ({ command, score: fuzzyScore(match[1], command.name) }))
+                .filter(r => r.score !== null)
+                .sort((a, b) => b.score - a.score)
+                .map(({ command }) => ({ command, label: `/${command.name}`, usage: command.usage, description: command.description }));
+        } else if (match) {
+            const command = this._commands.get(match[1].toLowerCase());
+            const suggestions = command?.suggest ? command.suggest(match[3]) || [] : [];
+            items = suggestions
+                .map(s => ({ s, score: fuzzyScore(match[3], s.label ?? s.value) }))
+                .filter(r => r.score !== null)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, 20)
+                .map(({ s }) => ({ command, value: s.value, label: s.label ?? s.value, emoji: s.emoji || '' }));
+        }
+
+        this._commandItems = items;
+        this._commandIndex = 0;
+        this._renderCommandMenu();
+    }
+
+    _renderCommandMenu() {
+        const items = this._commandItems;
+        clearTimeout(this._commandNoticeTimer);
+        this.commandMenuTarget.classList.toggle('synapse-hidden', items.length === 0);
+        this.commandMenuTarget.innerHTML = items.map((item, i) => `
+            <div class="synapse-chat-commands__item ${i === this._commandIndex ? 'is-active' : ''}" role="option" aria-selected="${i === this._commandIndex}" data-index="${i}" data-action="mousedown->${this.identifier}#pickCommandItem">
+                ${item.emoji ? `<span class="synapse-chat-commands__emoji">${escapeHtml(item.emoji)}</span>` : ''}
+                <span class="synapse-chat-commands__name">${escapeHtml(item.label)}</span>
+                ${item.usage ? `<span class="synapse-chat-commands__usage">${escapeHtml(item.usage)}</span>` : ''}
+                ${item.description ? `<span class="synapse-chat-commands__desc">${escapeHtml(item.description)}</span>` : ''}
+            </div>
+        `).join('');
+        this.commandMenuTarget.querySelector('.is-active')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * @returns {boolean} true si la touche a été consommée par la liste d'autocomplétion
+     */
+    _handleCommandKey(event) {
+        const count = this._commandItems.length;
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            this._commandIndex = (this._commandIndex + (event.key === 'ArrowDown' ? 1 : -1) + count) % count;
+            this._renderCommandMenu();
+        } else if ((event.key === 'Enter' && !event.shiftKey) || event.key === 'Tab') {
+            this._acceptCommandItem(this._commandItems[this._commandIndex], event.key === 'Enter');
+        } else if (event.key === 'Escape') {
+            this._hideCommandMenu();
+        } else {
+            return false;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+        return true;
+    }
+
+    pickCommandItem(event) {
+        event.preventDefault(); // Garder le focus dans la zone de saisie
+        this._acceptCommandItem(this._commandItems[Number(event.currentTarget.dataset.index)], true);
+    }
+
+    /**
+     * Complète la saisie avec l'élément choisi ; `run` exécute la commande dès qu'elle est complète
+     * (commande sans argument, ou argument suggéré).
+     */
+    _acceptCommandItem(item, run) {
+        if (!item) return;
+        if (item.mention !== undefined) {
+            // Remplace « @dé » par « @clé » avant le curseur ; la mention ne déclenche jamais l'envoi
+            const input = this.inputTarget;
+            const before = input.value.slice(0, input.selectionStart);
+            const after = input.value.slice(input.selectionStart).replace(/^[\w-]*\s?/, '');
+            const head = `${before.slice(0, before.length - item.mention.length)}${item.value} `;
+            input.value = head + after;
+            input.setSelectionRange(head.length, head.length);
+            input.focus();
+            this._hideCommandMenu();
+            return;
+        }
+        const { command } = item;
+        const complete = item.value !== undefined || !command.usage;
+        const args = item.value ?? '';
+
+        if (run && complete) {
+            this._runCommand({ name: command.name, args });
+            return;
+        }
+        this.inputTarget.value = item.value !== undefined ? `/${command.name} ${item.value}` : `/${command.name} `;
+        this.inputTarget.focus();
+        this.autoResize();
+        this._updateCommandMenu();
+    }
+
+    _hideCommandMenu() {
+        this._commandItems = [];
+        if (this.hasCommandMenuTarget) this.commandMenuTarget.classList.add('synapse-hidden');
+    }
+
+    /**
+     * Message bref au-dessus de la zone de saisie (résultat ou erreur d'une commande).
+     */
+    _commandNotice(text, isError = false) {
+        if (!this.hasCommandMenuTarget) return;
+        this._hideCommandMenu();
+        this.commandMenuTarget.innerHTML = `<div class="synapse-chat-commands__notice${isError ? ' synapse-chat-commands__notice--error' : ''}" role="status">${escapeHtml(text)}</div>`;
+        this.commandMenuTarget.classList.remove('synapse-hidden');
+        clearTimeout(this._commandNoticeTimer);
+        this._commandNoticeTimer = setTimeout(() => this._hideCommandMenu(), 3000);
+    }
+
+    // ── Raccourcis clavier et palette de commandes (Ctrl+K) ──
+
+    handleShortcut(event) {
+        if (event.defaultPrevented || event.isComposing) return;
+        if (event.key === 'Escape' && this._closeOverlays()) {
+            event.preventDefault();
+            return;
+        }
+        const shortcut = SHORTCUTS.find(s => s.action && matchShortcut(event, s.keys));
+        if (!shortcut) return;
+        // Alt+lettre sert aussi à saisir des caractères (« å », « ç » avec Option sur macOS) : laissé au champ de saisie
+        if (shortcut.keys.startsWith('Alt+') && (event.target.isContentEditable || event.target.closest?.('input, textarea, select'))) return;
+        event.preventDefault();
+        this[shortcut.action](event);
+    }
+
+    focusInput() {
+        this.inputTarget.focus();
+    }
+
+    toggleTransparencyPanel() {
+        if (this.hasAsideTarget && this.asideTarget.classList.contains('synapse-chat-aside--open')) this.closeTransparencyPanel();
+        else this._ensureTransparencyPanel();
+    }
+
+    async copyLastAnswer() {
+        const messages = this.messagesTarget.querySelectorAll('.synapse-chat-message--assistant:not(#synapse-chat-loading-ind)');
+        const messageEl = messages[messages.length - 1];
+        const bubble = this._visibleBubble(messageEl);
+        if (!bubble) return;
+        try {
+            await navigator.clipboard.writeText(bubble.dataset.markdownSource || bubble.innerText.trim());
+            messageEl.classList.add('is-copied');
+            setTimeout(() => messageEl.classList.remove('is-copied'), 1500);
+        } catch (error) {
+            console.error('[Synapse] Copie impossible:', error);
+        }
+    }
+
+    toggleShortcutsHelp() {
+        if (!this.hasShortcutsHelpTarget) return;
+        const opening = this.shortcutsHelpTarget.classList.contains('synapse-hidden');
+        this._closeOverlays();
+        if (!opening) return;
+
+        const mac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+        this.shortcutsListTarget.innerHTML = SHORTCUTS.map(s => `
+            <dt>${formatShortcut(s.keys, mac).map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(' ')}</dt>
+            <dd>${escapeHtml(s.label)}</dd>
+        `).join('');
+        this.shortcutsHelpTarget.classList.remove('synapse-hidden');
+    }
+
+    togglePalette() {
+        if (!this.hasPaletteTarget) return;
+        const opening = this.paletteTarget.classList.contains('synapse-hidden');
+        this._closeOverlays();
+        if (!opening) return;
+
+        this._paletteItems = this._collectPaletteItems();
+        this.paletteInputTarget.value = '';
+        this.paletteTarget.classList.remove('synapse-hidden');
+        this.filterPalette();
+        this.paletteInputTarget.focus();
+    }
+
+    /**
+     * Clic sur le fond d'une fenêtre (palette, aide) : la referme.
+     */
+    closeOverlay(event) {
+        if (event.target === event.currentTarget) this._closeOverlays();
+    }
+
+    filterPalette() {
+        const query = this.paletteInputTarget.value.trim();
+        this._paletteResults = this._paletteItems
+            .map((item, order) => ({ item, order, score: fuzzyScore(query, item.label) }))
+            .filter(r => r.score !== null)
+            .sort((a, b) => b.score - a.score || a.order - b.order)
+            .slice(0, 50)
+            .map(r => r.item);
+        this._paletteIndex = 0;
+        this._renderPalette();
+    }
+
+    navigatePalette(event) {
+        const count = this._paletteResults?.length || 0;
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            if (count === 0) return;
+            this._paletteIndex = (this._paletteIndex + (event.key === 'ArrowDown' ? 1 : -1) + count) % count;
+            this._renderPalette();
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            this._runPaletteItem(this._paletteResults?.[this._paletteIndex]);
+        }
+    }
+
+    runPaletteItem(event) {
+        this._runPaletteItem(this._paletteResults?.[Number(event.currentTarget.dataset.index)]);
+    }
+
+    /**
+     * Entrées de la palette : conversations listées dans la sidebar, agents et tons des menus.
+     */
+    _collectPaletteItems() {
+        const items = [];
+        if (this.hasConversationsListTarget) {
+            this.conversationsListTarget.querySelectorAll('.synapse-chat-conv-item').forEach(el => {
+                items.push({ type: 'conversation', label: el.querySelector('[data-title-target="true"]')?.textContent.trim() || 'Nouvelle conversation', emoji: '💬', hint: 'Conversation', element: el });
+            });
+        }
+        for (const [type, hint] of [['agent', 'Agent'], ['tone', 'Ton']]) {
+            if (!this[`has${this._cap(type)}MenuTarget`]) continue;
+            this[`${type}MenuTarget`].querySelectorAll('.synapse-chat-tone-option').forEach(el => {
+                const label = el.querySelector('.synapse-chat-tone-option__name')?.textContent.trim() || el.dataset[`${type}Name`];
+                items.push({ type, label, emoji: el.dataset[`${type}Emoji`] || '', hint, element: el });
+            });
+        }
+        return items;
+    }
+
+    _renderPalette() {
+        const results = this._paletteResults;
+        if (results.length === 0) {
+            this.paletteListTarget.innerHTML = '<div class="synapse-chat-palette__empty">Aucun résultat</div>';
+            return;
+        }
+        this.paletteListTarget.innerHTML = results.map((item, i) => `
+            <div class="synapse-chat-palette__item ${i === this._paletteIndex ? 'is-active' : ''}" role="option" aria-selected="${i === this._paletteIndex}" data-index="${i}" data-action="click->${this.identifier}#runPaletteItem">
+                <span class="synapse-chat-palette__emoji">${escapeHtml(item.emoji)}</span>
+                <span class="synapse-chat-palette__label">${escapeHtml(item.label)}</span>
+                <span class="synapse-chat-palette__hint">${item.hint}</span>
+            </div>
+        `).join('');
+        this.paletteListTarget.querySelector('.is-active')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    _runPaletteItem(item) {
+        if (!item) return;
+        this._closeOverlays();
+        const event = { currentTarget: item.element };
+        if (item.type === 'conversation') {
+            this.selectConversation(event);
+            return;
+        }
+        if (item.type === 'agent') this.selectAgent(event);
+        else this.selectTone(event);
+        this.inputTarget.focus();
+    }
+
+    /**
+     * Ferme la palette et l'aide des raccourcis.
+     *
+     * @returns {boolean} true si l'une des deux était ouverte
+     */
+    _closeOverlays() {
+        let closed = false;
+        for (const overlay of [this.hasPaletteTarget && this.paletteTarget, this.hasShortcutsHelpTarget && this.shortcutsHelpTarget]) {
+            if (overlay && !overlay.classList.contains('synapse-hidden')) {
+                overlay.classList.add('synapse-hidden');
+                closed = true;
+            }
+        }
+        return closed;
+    }
+
+    // ── Lecture vocale des réponses (synthèse vocale du navigateur) ──
+
+    toggleSpeechMenu(event) {
+        event.stopPropagation();
+        if (this.hasSpeechDropdownTarget) this.speechDropdownTarget.classList.toggle('synapse-hidden');
+    }
+
+    closeSpeechMenuOutside(event) {
+        if (!this.hasSpeechMenuTarget || this.speechMenuTarget.contains(event.target)) return;
+        this.speechDropdownTarget.classList.add('synapse-hidden');
+    }
+
+    /**
+     * Restaure voix, vitesse et lecture automatique, stockées comme le ton et l'agent
+     * (localStorage `synapse_chat_speech`).
+     */
+    loadPersistentSpeech() {
+        this._speechSettings = { voice: '', rate: 1, auto: false };
+        const saved = localStorage.getItem('synapse_chat_speech');
+        if (saved) {
+            try {
+                const { voice, rate, auto } = JSON.parse(saved);
+                this._speechSettings = { voice: String(voice || ''), rate: Number(rate) || 1, auto: auto === true };
+            } catch (e) {
+                console.error('Erreur chargement speech persistant', e);
+            }
+        }
+        if (this.hasSpeechRateTarget) this.speechRateTarget.value = String(this._speechSettings.rate);
+        if (this.hasSpeechAutoTarget) this.speechAutoTarget.checked = this._speechSettings.auto;
+    }
+
+    saveSpeechSettings() {
+        this._speechSettings = {
+            voice: this.hasSpeechVoiceTarget ? this.speechVoiceTarget.value : this._speechSettings.voice,
+            rate: this.hasSpeechRateTarget ? Number(this.speechRateTarget.value) || 1 : this._speechSettings.rate,
+            auto: this.hasSpeechAutoTarget ? this.speechAutoTarget.checked : this._speechSettings.auto,
+        };
+        localStorage.setItem('synapse_chat_speech', JSON.stringify(this._speechSettings));
+    }
+
+    /**
+     * Bouton "Écouter" d'une bulle : lance la lecture, ou met en pause / reprend
+     * si ce message est déjà en cours de lecture.
+     */
+    speakMessage(event) {
+        const messageEl = event.currentTarget.closest('.synapse-chat-message');
+        if (this._speech?.messageEl === messageEl) this.toggleSpeechPause();
+        else this._speak(messageEl);
+    }
+
+    toggleSpeechPause() {
+        if (!this._speech) return;
+        this._speech.paused = !this._speech.paused;
+        if (this._speech.paused) speechSynthesis.pause();
+        else speechSynthesis.resume();
+        this._renderSpeechState();
+    }
+
+    stopSpeech() {
+        this._speech = null;
+        speechSynthesis.cancel();
+        this._renderSpeechState();
     }
 
-    editMemory(event) {
-        const item = event.currentTarget.closest('.synapse-memory-item');
-        item.classList.add('is-editing');
-        const input = item.querySelector('[data-memory-input-target="true"]');
-        if (input) input.focus();
+    _speak(messageEl) {
+        const bubble = messageEl ? this._visibleBubble(messageEl) : null;
+        const chunks = bubble ? splitForSpeech(this._speechText(bubble)) : [];
+        this.stopSpeech();
+        if (chunks.length === 0) return;
+
+        const voice = speechSynthesis.getVoices().find(v => v.voiceURI === this._speechSettings.voice) || null;
+        const session = { messageEl, paused: false };
+        this._speech = session;
+
+        // Un énoncé par segment, mis en file par le navigateur ; la fin du dernier termine la lecture
+        chunks.forEach((chunk, i) => {
+            const utterance = new SpeechSynthesisUtterance(chunk);
+            if (voice) utterance.voice = voice;
+            utterance.lang = voice?.lang || document.documentElement.lang || navigator.language;
+            utterance.rate = this._speechSettings.rate;
+            if (i === chunks.length - 1) {
+                utterance.addEventListener('end', () => { if (this._speech === session) this.stopSpeech(); });
+            }
+            utterance.addEventListener('error', (e) => {
+                if (this._speech !== session) return;
+                console.error('[Synapse] Erreur synthèse vocale:', e.error);
+                this.stopSpeech();
+            });
+            speechSynthesis.speak(utterance);
+        });
+        this._renderSpeechState();
     }
 
-    cancelEditMemory(event) {
-        const item = event.currentTarget.closest('.synapse-memory-item');
-        item.classList.remove('is-editing');
-        const input = item.querySelector('[data-memory-input-target="true"]');
-        const textTarget = item.querySelector('[data-memory-text-target="true"]');
-        if (input && textTarget) input.value = textTarget.textContent; // rollback value
+    /**
+     * Texte lu d'une bulle : rendu affiché, sans blocs de code, tableaux, diagrammes ni pièces jointes.
+     */
+    _speechText(bubble) {
+        const clone = bubble.cloneNode(true);
+        clone.querySelectorAll('pre, table, .synapse-code-block, .synapse-chat-message-attachments, .synapse-math__actions, .synapse-math__source, .katex-mathml')
+            .forEach(el => el.remove());
+        // Les blocs deviennent des fins de ligne (pauses entre paragraphes, titres et items de liste)
+        clone.querySelectorAll('p, li, h1, h2, h3, h4, h5, h6, blockquote, div, br').forEach(el => el.append('\n'));
+        return clone.textContent.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
     }
 
-    async saveMemory(event) {
-        const item = event.currentTarget.closest('.synapse-memory-item');
-        const id = item.dataset.memoryId;
-        const input = item.querySelector('[data-memory-input-target="true"]');
-        const textTarget = item.querySelector('[data-memory-text-target="true"]');
-        const newText = input.value.trim();
+    _addSpeakButton(messageEl) {
+        const actions = this._messageActions(messageEl);
+        if (actions.querySelector('.synapse-chat-speak-btn')) return;
+        actions.insertAdjacentHTML('beforeend', `
+            <button type="button" class="synapse-btn-small synapse-chat-speak-btn" data-action="click->${this.identifier}#speakMessage" title="Écouter la réponse" aria-label="Écouter la réponse">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M15.54 8.46a5 5 0 0 1 0 7.07"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14"/></svg>
+            </button>
+        `);
+    }
 
-        if (!newText) return this.cancelEditMemory(event);
-        if (newText === textTarget.textContent) return this.cancelEditMemory(event);
+    _renderVoiceOptions() {
+        if (!this.hasSpeechVoiceTarget) return;
+        const voices = speechSynthesis.getVoices();
+        const defaultOption = this.speechVoiceTarget.querySelector('option[value=""]')?.outerHTML || '<option value="">Voix par défaut</option>';
+        this.speechVoiceTarget.innerHTML = defaultOption + voices
+            .map(v => `<option value="${escapeHtml(v.voiceURI)}">${escapeHtml(v.name)} (${escapeHtml(v.lang)})</option>`)
+            .join('');
+        this.speechVoiceTarget.value = voices.some(v => v.voiceURI === this._speechSettings.voice) ? this._speechSettings.voice : '';
+    }
 
-        const btn = event.currentTarget;
-        btn.disabled = true;
+    _renderSpeechState() {
+        const speech = this._speech;
+        if (this.hasSpeechPlayerTarget) this.speechPlayerTarget.classList.toggle('synapse-hidden', !speech);
+        if (this.hasSpeechPauseBtnTarget) this.speechPauseBtnTarget.textContent = speech?.paused ? 'Reprendre' : 'Pause';
+        if (!this.hasMessagesTarget) return;
+        this.messagesTarget.querySelectorAll('.synapse-chat-speak-btn').forEach(btn => {
+            btn.classList.toggle('synapse-chat-speak-btn--active', btn.closest('.synapse-chat-message') === speech?.messageEl);
+        });
+    }
 
-        try {
-            let url = (this.memoryUpdateUrlTemplateValue || '/synapse/api/memory/MEMORY_ID').replace('MEMORY_ID', id);
-            const response = await fetch(url, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': await this.ensureCsrfToken() },
-                body: JSON.stringify({ fact: newText })
-            });
+    // ── Export de la conversation (top bar) ──
 
-            if (!response.ok) throw new Error('Erreur maj souvenir');
+    toggleExportMenu(event) {
+        event.stopPropagation();
+        if (this.hasExportDropdownTarget) this.exportDropdownTarget.classList.toggle('synapse-hidden');
+    }
 
-            textTarget.textContent = newText;
-            item.classList.remove('is-editing');
-        } catch (e) {
-            console.error(e);
-            alert("Erreur lors de la mise à jour.");
-        } finally {
-            btn.disabled = false;
-        }
+    closeExportMenuOutside(event) {
+        if (!this.hasExportMenuTarget || this.exportMenuTarget.contains(event.target)) return;
+        this.exportDropdownTarget.classList.add('synapse-hidden');
     }
 
-    /* ── 4.5. SÉLECTEUR DE TONS ────────────────────────────────────────────── */
+    /**
+     * Télécharge la conversation affichée (branche courante) au format choisi : md, json ou html.
+     */
+    exportConversation(event) {
+        const format = event.currentTarget.dataset.format;
+        this.exportDropdownTarget.classList.add('synapse-hidden');
+        if (!this.currentConversationIdValue) return;
+
+        const params = new URLSearchParams({ format });
+        const leaf = new URLSearchParams(window.location.search).get('leaf');
+        if (leaf) params.set('leaf', leaf);
+
+        const link = document.createElement('a');
+        link.href = `${this.conversationsUrlValue || '/synapse/api/conversations'}/${this.currentConversationIdValue}/export?${params}`;
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
 
-    // ── Helpers génériques pour les menus Tone / Agent ──
+    // ── Partage en lecture seule (top bar) ──
 
-    _cap(s) { return s.charAt(0).toUpperCase() + s.slice(1); }
+    async toggleShareMenu(event) {
+        event.stopPropagation();
+        if (!this.hasShareDropdownTarget) return;
+        const opening = this.shareDropdownTarget.classList.toggle('synapse-hidden') === false;
+        if (!opening || !this.currentConversationIdValue) return;
 
-    _toggleMenu(type, event) {
-        if (event) event.stopPropagation();
-        const menuKey = `${type}Menu`, triggerKey = `${type}Trigger`;
-        if (this[`has${this._cap(menuKey)}Target`]) {
-            this[`${menuKey}Target`].classList.toggle('synapse-hidden');
-            this[`${triggerKey}Target`].classList.toggle('is-open');
+        try {
+            const response = await fetch(this._shareUrl());
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this._renderShare((await response.json()).share);
+        } catch (error) {
+            console.error('[Synapse] Erreur chargement du partage:', error);
         }
     }
 
-    _selectOption(type, event) {
-        const ds = event.currentTarget.dataset;
-        const key = ds[`${type}Key`], name = ds[`${type}Name`], emoji = ds[`${type}Emoji`];
+    closeShareMenuOutside(event) {
+        if (!this.hasShareMenuTarget || this.shareMenuTarget.contains(event.target)) return;
+        this.shareDropdownTarget.classList.add('synapse-hidden');
+    }
 
-        if (this[`hasCurrent${this._cap(type)}EmojiTarget`]) this[`current${this._cap(type)}EmojiTarget`].textContent = emoji;
-        if (this[`hasCurrent${this._cap(type)}NameTarget`]) this[`current${this._cap(type)}NameTarget`].textContent = name;
-        if (this[`has${this._cap(type)}InputTarget`]) this[`${type}InputTarget`].value = key;
+    /**
+     * Crée le lien de partage de la branche affichée (jusqu'au dernier message visible).
+     */
+    async createShare() {
+        if (!this.currentConversationIdValue) return;
 
-        if (this[`has${this._cap(type)}MenuTarget`]) {
-            this[`${type}MenuTarget`].querySelectorAll('.synapse-chat-tone-option').forEach(opt => {
-                opt.classList.toggle('active', opt.dataset[`${type}Key`] === key);
+        const bubbles = this.messagesTarget.querySelectorAll('.synapse-chat-bubble:not(.synapse-hidden)[data-message-id]');
+        const leaf = bubbles.length ? bubbles[bubbles.length - 1].dataset.messageId : null;
+
+        try {
+            const response = await fetch(this._shareUrl(), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': await this.ensureCsrfToken() },
+                body: JSON.stringify({ include_attachments: this.shareAttachmentsTarget.checked, leaf: leaf || null })
             });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this._renderShare((await response.json()).share);
+            this.copyShareLink();
+        } catch (error) {
+            console.error('[Synapse] Erreur création du partage:', error);
+            alert('Impossible de créer le lien de partage.');
         }
-
-        localStorage.setItem(`synapse_chat_${type}`, JSON.stringify({ key, name, emoji }));
-        this._toggleMenu(type);
     }
 
-    _closeMenuOutside(type, event) {
-        const pickerKey = `${type}Picker`;
-        if (!this[`has${this._cap(pickerKey)}Target`]) return;
-        if (!this[`${pickerKey}Target`].contains(event.target)) {
-            const menuKey = `${type}Menu`;
-            if (this[`has${this._cap(menuKey)}Target`] && !this[`${menuKey}Target`].classList.contains('synapse-hidden')) {
-                this._toggleMenu(type);
-            }
+    async revokeShare() {
+        try {
+            const response = await fetch(this._shareUrl(), {
+                method: 'DELETE',
+                headers: { 'X-CSRF-Token': await this.ensureCsrfToken() }
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this._renderShare(null);
+        } catch (error) {
+            console.error('[Synapse] Erreur révocation du partage:', error);
+            alert('Impossible de révoquer le lien de partage.');
         }
     }
 
-    _loadPersistent(type) {
-        const saved = localStorage.getItem(`synapse_chat_${type}`);
-        if (!saved) return;
+    async copyShareLink() {
+        const url = this.shareUrlTarget.value;
+        if (!url) return;
         try {
-            const { key, name, emoji } = JSON.parse(saved);
-            if (this[`hasCurrent${this._cap(type)}EmojiTarget`]) this[`current${this._cap(type)}EmojiTarget`].textContent = emoji;
-            if (this[`hasCurrent${this._cap(type)}NameTarget`]) this[`current${this._cap(type)}NameTarget`].textContent = name;
-            if (this[`has${this._cap(type)}InputTarget`]) this[`${type}InputTarget`].value = key;
-            if (this[`has${this._cap(type)}MenuTarget`]) {
-                this[`${type}MenuTarget`].querySelectorAll('.synapse-chat-tone-option').forEach(opt => {
-                    opt.classList.toggle('active', opt.dataset[`${type}Key`] === key);
-                });
-            }
-        } catch (e) {
-            console.error(`Erreur chargement ${type} persistant`, e);
+            await navigator.clipboard.writeText(url);
+        } catch {
+            this.selectShareUrl();
         }
     }
 
-    // ── API publique Tone (Stimulus actions) ──
-
-    toggleToneMenu(event) { this._toggleMenu('tone', event); }
-    selectTone(event) { this._selectOption('tone', event); }
-    closeToneMenuOutside(event) { this._closeMenuOutside('tone', event); }
-    loadPersistentTone() { this._loadPersistent('tone'); }
+    selectShareUrl() {
+        this.shareUrlTarget.select();
+    }
 
-    // ── API publique Agent (Stimulus actions) ──
+    _shareUrl() {
+        return `${this.conversationsUrlValue || '/synapse/api/conversations'}/${this.currentConversationIdValue}/share`;
+    }
 
-    toggleAgentMenu(event) { this._toggleMenu('agent', event); }
-    selectAgent(event) { this._selectOption('agent', event); }
-    closeAgentMenuOutside(event) { this._closeMenuOutside('agent', event); }
-    loadPersistentAgent() { this._loadPersistent('agent'); }
+    _renderShare(share) {
+        this.shareCreateTarget.classList.toggle('synapse-hidden', !!share);
+        this.shareActiveTarget.classList.toggle('synapse-hidden', !share);
+        this.shareUrlTarget.value = share?.url || '';
+        if (share) this.shareAttachmentsTarget.checked = share.include_attachments;
+    }
 
     /* ── 5. UTILITAIRES & MARKDOWN ─────────────────────────────────────────── */
 
@@ -1268,31 +3457,326 @@ export default class extends Controller {
         } catch (_) { /* Support fallback manuel en dessous */ }
     }
 
+    /**
+     * Rendu Markdown → HTML sûr à injecter en innerHTML : la sortie (marked ou fallback)
+     * passe toujours par le sanitizer, le texte venant du LLM n'étant pas digne de confiance.
+     */
     parseMarkdown(text) {
+        const source = text ?? '';
+        const closed = closeOpenFence(source);
+        const { text: markdown, formulas } = extractMath(closed);
+        const html = sanitizeHtml(this._renderMarkdown(markdown));
+        // Dernier bloc de code encore ouvert (streaming) : un diagramme n'y est pas encore rendu
+        return this._decorateCodeBlocks(formulas.length ? this._restoreMath(html, formulas) : html, closed !== source);
+    }
+
+    _renderMarkdown(text) {
         if (this.markedParse) {
             try { return this.markedParse(text); } catch (e) { }
         }
-        // Fallback manuel minimal
-        let html = text;
-        // Actions buttons (links)
-        html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" class="synapse-chat-btn-action" target="_blank">$1</a>');
-        // Group buttons
-        html = html.replace(/(<a class="synapse-chat-btn-action"[^>]*>.*?<\/a>(?:<br>)?){2,}/g, match => `<div class="synapse-chat-action-group">${match.replace(/<br>/g, '')}</div>`);
-        // Basic markup
-        html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>').replace(/\*(.*?)\*/g, '<em>$1</em>');
-        html = html.replace(/```(\w+)?\n([\s\S]*?)```/g, '<pre><code>$2</code></pre>').replace(/`([^`]+)`/g, '<code>$1</code>');
-        // Markdown tables
-        html = html.replace(/((?:^|\n)\|[^\n]+\|\s*\n\|[\s\-:|]+\|\s*\n(?:\|[^\n]+\|(?:\s*\n)?)+)/gm, match => {
-            const lines = match.trim().split('\n').filter(l => l.trim());
-            if (lines.length < 2) return match;
-            const parseRow = line => line.split('|').slice(1, -1).map(c => c.trim());
-            const headers = parseRow(lines[0]);
-            const thead = '<thead><tr>' + headers.map(h => `<th>${h}</th>`).join('') + '</tr></thead>';
-            const rows = lines.slice(2).map(line => '<tr>' + parseRow(line).map(c => `<td>${c}</td>`).join('') + '</tr>').join('');
-            return `<table>${thead}<tbody>${rows}</tbody></table>`;
+        return renderMarkdownFallback(text);
+    }
+
+    // ── Blocs de code : en-tête (langage + copie) et coloration syntaxique ──
+
+    /**
+     * Enveloppe chaque `<pre><code>` (HTML déjà assaini) dans un bloc avec en-tête :
+     * langage et bouton de copie. La coloration est appliquée si highlight.js est chargé,
+     * sinon son chargement est lancé et les blocs seront colorés à l'arrivée.
+     * Les blocs de diagramme (```mermaid) complets sont rendus en SVG juste après insertion.
+     *
+     * @param {boolean} lastOpen - Le dernier bloc est un bloc en cours de streaming (non refermé)
+     */
+    _decorateCodeBlocks(html, lastOpen = false) {
+        const pattern = /<pre><code(?: class="([^"]*)")?>([\s\S]*?)<\/code><\/pre>/g;
+        const count = lastOpen ? (html.match(pattern) || []).length : 0;
+        let index = 0;
+
+        return html.replace(pattern, (_, classes = '', body) => {
+            const language = /(?:^|\s)language-([\w+#.-]+)/.exec(classes)?.[1].toLowerCase() || '';
+            const open = lastOpen && ++index === count;
+            if (DIAGRAM_LANGUAGES.includes(language)) return this._diagramBlock(language, body, !open);
+
+            const highlighted = language ? this._highlight(this._codeText(body), language) : null;
+            if (language && !this.hljs) this.loadHighlighter();
+
+            const codeHtml = highlighted !== null
+                ? `<code class="hljs language-${language}">${highlighted}</code>`
+                : `<code${language ? ` class="language-${language}"` : ''}>${body}</code>`;
+
+            return `<div class="synapse-code-block">`
+                + `<div class="synapse-code-block__header">`
+                + `<span class="synapse-code-block__lang">${escapeHtml(language || 'code')}</span>`
+                + `<button type="button" class="synapse-code-block__copy" data-action="click->${this.identifier}#copyCode" title="Copier le code">Copier</button>`
+                + `</div><pre>${codeHtml}</pre></div>`;
+        });
+    }
+
+    /**
+     * Blocs de code rendus côté serveur (historique Twig) : même en-tête que les réponses streamées.
+     */
+    _decorateExistingCodeBlocks() {
+        if (!this.hasMessagesTarget) return;
+        this.messagesTarget.querySelectorAll('.synapse-chat-bubble pre').forEach(pre => {
+            if (!pre.closest('.synapse-code-block')) pre.outerHTML = this._decorateCodeBlocks(sanitizeHtml(pre.outerHTML));
+        });
+    }
+
+    // ── Diagrammes (```mermaid) : rendus en SVG une fois le bloc complet ──
+
+    _diagramBlock(language, body, complete) {
+        if (complete) this._scheduleDiagramRender();
+        return `<div class="synapse-code-block synapse-diagram"${complete ? ' data-diagram-pending' : ''}>`
+            + `<div class="synapse-code-block__header">`
+            + `<span class="synapse-code-block__lang">${escapeHtml(language)}</span>`
+            + `<button type="button" class="synapse-code-block__copy synapse-diagram__toggle synapse-hidden" data-action="click->${this.identifier}#toggleDiagramSource" title="Afficher le code source">Source</button>`
+            + `<button type="button" class="synapse-code-block__copy" data-action="click->${this.identifier}#copyCode" title="Copier le code">Copier</button>`
+            + `</div><div class="synapse-diagram__view synapse-hidden"></div>`
+            + `<pre><code class="language-${language}">${body}</code></pre></div>`;
+    }
+
+    /**
+     * Le rendu part après l'insertion du HTML retourné par parseMarkdown() dans le DOM.
+     */
+    _scheduleDiagramRender() {
+        if (this._diagramRenderQueued) return;
+        this._diagramRenderQueued = true;
+        setTimeout(() => {
+            this._diagramRenderQueued = false;
+            this._renderPendingDiagrams();
+        });
+    }
+
+    async _renderPendingDiagrams() {
+        for (const block of this.element.querySelectorAll('.synapse-diagram[data-diagram-pending]')) {
+            block.removeAttribute('data-diagram-pending');
+            const diagram = await this._renderDiagram(block.querySelector('pre code').textContent);
+            if (!diagram || !block.isConnected) continue;
+
+            const view = block.querySelector('.synapse-diagram__view');
+            view.innerHTML = `<img src="${diagram.url}" alt="Diagramme" class="synapse-diagram__image">`;
+            view.classList.remove('synapse-hidden');
+            block.querySelector('pre').classList.add('synapse-hidden');
+            block.querySelector('.synapse-diagram__toggle').classList.remove('synapse-hidden');
+            this._addDiagramArtifact(diagram);
+        }
+    }
+
+    /**
+     * Rendu d'un diagramme, mis en cache par source : les re-rendus du streaming et le rendu
+     * final de la réponse réutilisent le même SVG.
+     * Le SVG est affiché via une URL blob dans un `<img>` : aucun script ni lien n'y est actif.
+     * Les URL sont libérées au changement de conversation (_releaseDiagrams()).
+     *
+     * @returns {Promise<{id: string, url: string}|null>} null si mermaid est absent ou la source invalide
+     */
+    _renderDiagram(source) {
+        this._diagrams ??= new Map();
+        if (!this._diagrams.has(source)) {
+            const id = `synapse-diagram-${this._diagrams.size + 1}`;
+            this._diagrams.set(source, this.loadMermaid().then(async mermaid => {
+                if (!mermaid) return null;
+                try {
+                    const { svg } = await mermaid.render(id, source);
+                    return { id, url: URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' })) };
+                } catch (error) {
+                    console.error('[Synapse] Diagramme invalide:', error);
+                    return null;
+                }
+            }));
+        }
+        return this._diagrams.get(source);
+    }
+
+    /**
+     * Libère les URL blob des diagrammes rendus (y compris ceux dont le rendu est en cours).
+     * Elles restent valides tant que le fil les affiche : les diagrammes et leurs artefacts
+     * n'ont plus d'usage une fois la conversation quittée.
+     */
+    _releaseDiagrams() {
+        this._diagrams?.forEach(diagram => diagram.then(d => { if (d) URL.revokeObjectURL(d.url); }));
+        this._diagrams = null;
+    }
+
+    loadMermaid() {
+        this._mermaid ??= import('mermaid').then(m => {
+            const mermaid = m.default || m;
+            mermaid.initialize({
+                startOnLoad: false,
+                securityLevel: 'strict',
+                theme: this.element.closest('.synapse-theme-dark') ? 'dark' : 'default',
+                // Libellés en texte SVG : les <foreignObject> HTML ne s'affichent pas dans un <img>
+                flowchart: { htmlLabels: false },
+            });
+            return mermaid;
+        }).catch(() => null); // Pas de mermaid : les diagrammes restent affichés en code source
+        return this._mermaid;
+    }
+
+    _addDiagramArtifact(diagram) {
+        if (this._allArtifacts.some(a => a.uuid === diagram.id)) return;
+        this._allArtifacts.push({ uuid: diagram.id, url: diagram.url, mime_type: 'image/svg+xml', display_name: 'Diagramme' });
+        this._updateArtifactsButton();
+        if (this.hasAsideTarget && this.asideTarget.classList.contains('synapse-chat-aside--open')) {
+            this._renderArtifactsSection();
+        }
+    }
+
+    toggleDiagramSource(event) {
+        event.stopPropagation();
+        const block = event.currentTarget.closest('.synapse-diagram');
+        const showSource = block.querySelector('pre').classList.toggle('synapse-hidden') === false;
+        block.querySelector('.synapse-diagram__view').classList.toggle('synapse-hidden', showSource);
+        event.currentTarget.textContent = showSource ? 'Diagramme' : 'Source';
+        event.currentTarget.title = showSource ? 'Afficher le diagramme' : 'Afficher le code source';
+    }
+
+    async loadHighlighter() {
+        if (this._highlighterRequested) return;
+        this._highlighterRequested = true;
+        try {
+            const m = await import('highlight.js');
+            this.hljs = m.default || m.hljs || m;
+            this.element.querySelectorAll('.synapse-code-block code[class*="language-"]:not(.hljs), .synapse-code-exec__code code:not(.hljs)')
+                .forEach(code => this._highlightElement(code));
+        } catch (_) { /* Pas de coloration : les blocs restent lisibles en texte brut */ }
+    }
+
+    /**
+     * @returns {string|null} HTML coloré, ou null si le langage est inconnu / highlight.js absent
+     */
+    _highlight(code, language) {
+        if (!this.hljs?.getLanguage?.(language)) return null;
+        try {
+            return this.hljs.highlight(code, { language, ignoreIllegals: true }).value;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    _highlightElement(code) {
+        const language = /(?:^|\s)language-([\w+#.-]+)/.exec(code.className)?.[1].toLowerCase();
+        const highlighted = language ? this._highlight(code.textContent, language) : null;
+        if (highlighted === null) return;
+        code.innerHTML = highlighted;
+        code.classList.add('hljs');
+    }
+
+    _codeText(html) {
+        return new DOMParser().parseFromString(`<pre>${html}</pre>`, 'text/html').body.textContent;
+    }
+
+    async copyCode(event) {
+        event.stopPropagation();
+        const button = event.currentTarget;
+        const code = button.closest('.synapse-code-block, .synapse-code-exec')?.querySelector('pre code');
+        if (!code) return;
+
+        try {
+            await navigator.clipboard.writeText(code.textContent);
+            button.textContent = 'Copié ✓';
+            clearTimeout(button._resetTimer);
+            button._resetTimer = setTimeout(() => { button.textContent = 'Copier'; }, 1500);
+        } catch (error) {
+            console.error('[Synapse] Copie du code impossible:', error);
+        }
+    }
+
+    // ── Formules LaTeX : extraites avant le Markdown, composées par KaTeX (chargé à la demande) ──
+
+    /**
+     * Remplace les place-holders de extractMath() par les formules. Injecté après le sanitizer :
+     * le HTML de KaTeX (styles inline, SVG) n'y survivrait pas, et le TeX n'y est inséré qu'échappé.
+     * Seul le texte hors balises est concerné (un place-holder dans un href reste tel quel).
+     */
+    _restoreMath(html, formulas) {
+        if (!this.katex) this.loadMath();
+        return html.replace(/(<[^>]*>)|SYNAPSEMATH(\d+)X/g, (match, tag, index) => {
+            const formula = tag === undefined ? formulas[Number(index)] : null;
+            return formula ? this._renderFormula(formula.tex, formula.display) : match;
+        });
+    }
+
+    _renderFormula(tex, display) {
+        const source = display ? `$$${tex}$$` : `$${tex}$`;
+        const typeset = this._typesetMath(tex, display);
+        return `<span class="synapse-math synapse-math--${display ? 'display' : 'inline'}${typeset !== null ? ' synapse-math--typeset' : ''}" data-tex="${escapeHtml(tex).replace(/"/g, '&quot;')}">`
+            + `<span class="synapse-math__render">${typeset ?? escapeHtml(source)}</span>`
+            + `<code class="synapse-math__source synapse-hidden">${escapeHtml(source)}</code>`
+            + `<span class="synapse-math__actions">`
+            + `<button type="button" class="synapse-math__action" data-action="click->${this.identifier}#toggleMathSource" title="Afficher le code LaTeX">TeX</button>`
+            + `<button type="button" class="synapse-math__action" data-action="click->${this.identifier}#copyMath" title="Copier le code LaTeX">Copier</button>`
+            + `</span></span>`;
+    }
+
+    /**
+     * @returns {string|null} HTML KaTeX, ou null si KaTeX n'est pas (encore) chargé
+     */
+    _typesetMath(tex, display) {
+        if (!this.katex) return null;
+        try {
+            // throwOnError: false → une formule invalide est affichée en rouge plutôt que de lever
+            return this.katex.renderToString(tex, { displayMode: display, throwOnError: false });
+        } catch (_) {
+            return null;
+        }
+    }
+
+    async loadMath() {
+        if (this._mathRequested) return;
+        this._mathRequested = true;
+        try {
+            const m = await import('katex');
+            this.katex = m.default || m;
+            import('katex/dist/katex.min.css').catch(() => { /* Feuille de style fournie par l'application */ });
+            this.element.querySelectorAll('.synapse-math:not(.synapse-math--typeset)').forEach(el => {
+                const typeset = this._typesetMath(el.dataset.tex, el.classList.contains('synapse-math--display'));
+                if (typeset === null) return;
+                el.querySelector('.synapse-math__render').innerHTML = typeset;
+                el.classList.add('synapse-math--typeset');
+            });
+        } catch (_) { /* Pas de KaTeX : les formules restent affichées en TeX brut */ }
+    }
+
+    /**
+     * Historique rendu côté serveur : le filtre synapse_markdown ne connaît pas les formules,
+     * les bulles qui en contiennent portent leur source Markdown et sont re-rendues ici.
+     */
+    _renderExistingMath() {
+        if (!this.hasMessagesTarget) return;
+        this.messagesTarget.querySelectorAll('.synapse-chat-bubble[data-markdown-source]').forEach(bubble => {
+            const html = this.parseMarkdown(bubble.dataset.markdownSource);
+            delete bubble.dataset.markdownSource;
+            [...bubble.childNodes].forEach(node => {
+                if (!node.classList?.contains('synapse-chat-message-attachments')) node.remove();
+            });
+            bubble.insertAdjacentHTML('beforeend', html);
         });
-        html = html.replace(/\n/g, '<br>');
-        return html;
+    }
+
+    toggleMathSource(event) {
+        event.stopPropagation();
+        const math = event.currentTarget.closest('.synapse-math');
+        const showSource = math.querySelector('.synapse-math__source').classList.toggle('synapse-hidden') === false;
+        math.querySelector('.synapse-math__render').classList.toggle('synapse-hidden', showSource);
+        event.currentTarget.textContent = showSource ? 'Formule' : 'TeX';
+        event.currentTarget.title = showSource ? 'Afficher la formule' : 'Afficher le code LaTeX';
+    }
+
+    async copyMath(event) {
+        event.stopPropagation();
+        const button = event.currentTarget;
+        const source = button.closest('.synapse-math')?.querySelector('.synapse-math__source');
+        if (!source) return;
+
+        try {
+            await navigator.clipboard.writeText(source.textContent);
+            button.textContent = 'Copié ✓';
+            clearTimeout(button._resetTimer);
+            button._resetTimer = setTimeout(() => { button.textContent = 'Copier'; }, 1500);
+        } catch (error) {
+            console.error('[Synapse] Copie de la formule impossible:', error);
+        }
     }
 
     /**
@@ -1533,33 +4017,60 @@ export default class extends Controller {
     _markTransparencyError(errorMessage) {
         if (!this.hasAsideTarget || !this.asideTarget.classList.contains('synapse-chat-aside--open')) return;
 
-        // Remplacer les spinners actifs par des icônes d'erreur
+        this._settleTransparencyActivity(
+            '<span class="synapse-tool-call__icon" style="color: #ef4444;">⚠️</span>',
+            'error',
+            errorMessage || 'Interrompu'
+        );
+
+        // Afficher l'erreur dans le footer
+        const footer = this._getFooter();
+        if (footer) {
+            footer.innerHTML = `<span class="synapse-transparency-footer__error">⚠️ ${escapeHtml(errorMessage || 'Erreur')}</span>`;
+        }
+    }
+
+    /**
+     * Marque le panneau de transparence comme arrêté par l'utilisateur
+     * (distinct d'une erreur : pas de rouge, footer dédié).
+     */
+    _markTransparencyStopped() {
+        if (!this.hasAsideTarget || !this.asideTarget.classList.contains('synapse-chat-aside--open')) return;
+
+        this._settleTransparencyActivity('<span class="synapse-tool-call__icon">⏹️</span>', 'stopped', 'Arrêté');
+
+        const footer = this._getFooter();
+        if (footer) {
+            footer.innerHTML = '<span class="synapse-transparency-footer__stopped">⏹️ Génération arrêtée</span>';
+        }
+    }
+
+    /**
+     * Fige toutes les activités en cours du panneau (spinners, tool calls, steps workflow)
+     * dans un état terminal : `error` ou `stopped`.
+     */
+    _settleTransparencyActivity(iconHtml, status, stepLabel) {
+        // Remplacer les spinners actifs par l'icône d'état
         this.asideTarget.querySelectorAll('.synapse-workflow-step__spinner').forEach(spinner => {
-            spinner.outerHTML = '<span class="synapse-tool-call__icon" style="color: #ef4444;">⚠️</span>';
+            spinner.outerHTML = iconHtml;
         });
 
-        // Marquer les tool calls actifs comme en erreur
+        // Marquer les tool calls actifs
         this.asideTarget.querySelectorAll('.synapse-tool-call--active').forEach(el => {
             el.classList.remove('synapse-tool-call--active');
-            el.classList.add('synapse-tool-call--error');
+            el.classList.add(`synapse-tool-call--${status}`);
         });
 
-        // Marquer les workflow steps "thinking" comme en erreur
+        // Marquer les workflow steps "thinking"
         this.asideTarget.querySelectorAll('.synapse-workflow-step--thinking').forEach(el => {
             el.classList.remove('synapse-workflow-step--thinking');
-            el.classList.add('synapse-workflow-step--error');
+            el.classList.add(`synapse-workflow-step--${status}`);
             const answerEl = el.querySelector('.synapse-workflow-step__answer--thinking');
             if (answerEl) {
                 answerEl.classList.remove('synapse-workflow-step__answer--thinking');
-                answerEl.textContent = errorMessage || 'Interrompu';
+                answerEl.textContent = stepLabel;
             }
         });
-
-        // Afficher l'erreur dans le footer
-        const footer = this._getFooter();
-        if (footer) {
-            footer.innerHTML = `<span class="synapse-transparency-footer__error">⚠️ ${escapeHtml(errorMessage || 'Erreur')}</span>`;
-        }
     }
 
     // ── Thinking ────────────────────────────────────────────────────────────
@@ -1973,8 +4484,9 @@ export default class extends Controller {
                 <span class="synapse-code-exec__status">${statusIcon} ${escapeHtml(statusLabel)}</span>
                 <span class="synapse-code-exec__lang">${escapeHtml(payload.language || 'python')}</span>
                 ${durationMs > 0 ? `<span class="synapse-code-exec__duration">${durationMs} ms</span>` : ''}
+                <button type="button" class="synapse-code-block__copy" data-action="click->${this.identifier}#copyCode" title="Copier le code">Copier</button>
             </div>
-            <pre class="synapse-code-exec__code"><code>${escapeHtml(code)}</code></pre>
+            <pre class="synapse-code-exec__code"><code class="language-${escapeHtml((payload.language || 'python').toLowerCase())}">${escapeHtml(code)}</code></pre>
             ${stdout ? `<div class="synapse-code-exec__label">stdout</div><pre class="synapse-code-exec__stdout">${escapeHtml(stdout)}</pre>` : ''}
             ${stderr ? `<div class="synapse-code-exec__label">stderr</div><pre class="synapse-code-exec__stderr">${escapeHtml(stderr)}</pre>` : ''}
             ${returnValueStr !== null ? `<div class="synapse-code-exec__label">return</div><pre class="synapse-code-exec__return">${escapeHtml(returnValueStr)}</pre>` : ''}
@@ -1994,6 +4506,7 @@ export default class extends Controller {
         });
         card.addEventListener('click', openPopup);
         card.addEventListener('keydown', (e) => {
+            if (e.target !== card) return; // Entrée sur le bouton Copier
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
                 openPopup();
@@ -2001,11 +4514,19 @@ export default class extends Controller {
         });
 
         container.appendChild(card);
+        this._highlightCodeExec(card);
         requestAnimationFrame(() => card.classList.add('synapse-code-exec--visible'));
 
         this.asideTarget.scrollTop = this.asideTarget.scrollHeight;
     }
 
+    _highlightCodeExec(root) {
+        const code = root.querySelector('.synapse-code-exec__code code');
+        if (!code) return;
+        if (this.hljs) this._highlightElement(code);
+        else this.loadHighlighter();
+    }
+
     /**
      * Ouvre une popup agrandie avec le détail complet d'une exécution de code
      * (source, stdout, stderr, valeur de retour, erreur).
@@ -2035,7 +4556,7 @@ export default class extends Controller {
                             ${durationMs > 0 ? `<span class="synapse-code-exec__duration">${durationMs} ms</span>` : ''}
                         </div>
                         <div class="synapse-code-exec__label">source</div>
-                        <pre class="synapse-code-exec__code synapse-code-exec__code--full"><code>${escapeHtml(code)}</code></pre>
+                        <pre class="synapse-code-exec__code synapse-code-exec__code--full"><code class="language-${escapeHtml(language.toLowerCase())}">${escapeHtml(code)}</code></pre>
                         ${stdout ? `<div class="synapse-code-exec__label">stdout</div><pre class="synapse-code-exec__stdout synapse-code-exec__code--full">${escapeHtml(stdout)}</pre>` : ''}
                         ${stderr ? `<div class="synapse-code-exec__label">stderr</div><pre class="synapse-code-exec__stderr synapse-code-exec__code--full">${escapeHtml(stderr)}</pre>` : ''}
                         ${returnValueStr !== null ? `<div class="synapse-code-exec__label">return</div><pre class="synapse-code-exec__return synapse-code-exec__code--full">${escapeHtml(returnValueStr)}</pre>` : ''}
@@ -2046,6 +4567,7 @@ export default class extends Controller {
         `;
 
         document.body.appendChild(modal);
+        this._highlightCodeExec(modal);
 
         const close = () => {
             modal.remove();
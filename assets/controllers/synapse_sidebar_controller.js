@@ -1,15 +1,18 @@
 import { Controller } from '@hotwired/stimulus';
-import { escapeHtml, formatDate } from '../helpers.js';
+import { escapeHtml, formatDate, dateGroupLabel } from '../helpers.js';
 
 /**
  * Stimulus controller pour la sidebar de conversations
  *
  * Fonctionnalités :
  * - Affichage/masquage drawer
- * - Chargement conversations via API
+ * - Chargement conversations via API (pages suivantes au défilement)
  * - Suppression optimiste avec rollback
  * - Renommage inline (double-clic)
+ * - Groupes par période (Aujourd'hui, Hier, 7/30 derniers jours, mois) et conversations épinglées en tête
  * - Écoute events (conversation-created, title-updated)
+ * - Navigation sans rechargement si un chat Synapse est présent sur la page
+ *   (il annule les events `conversation-selected` / `conversation-reset` qu'il prend en charge)
  */
 export default class extends Controller {
     static targets = ['list', 'toggle', 'drawer', 'empty'];
@@ -33,12 +36,18 @@ export default class extends Controller {
         this.setupEventListeners();
     }
 
+    disconnect() {
+        window.removeEventListener('popstate', this.onPopState);
+        this.observer?.disconnect();
+    }
+
     /**
      * Charge les conversations depuis l'API
      */
     async loadConversations() {
         try {
-            const response = await fetch(this.apiUrlValue || '/synapse/api/conversations');
+            const params = new URLSearchParams({ paginate: '1' });
+            const response = await fetch(`${this.apiUrlValue || '/synapse/api/conversations'}?${params}`);
 
             if (response.status === 401) {
                 this.showEmpty();
@@ -47,8 +56,8 @@ export default class extends Controller {
 
             if (!response.ok) throw new Error('Failed to load conversations');
 
-            const conversations = await response.json();
-            this.renderConversations(conversations);
+            const page = await response.json();
+            this.renderConversations(page.conversations, { nextCursor: page.next_cursor, pinned: page.pinned || [] });
         } catch (error) {
             console.error('Error loading conversations:', error);
             this.showError('Impossible de charger les conversations');
@@ -56,20 +65,87 @@ export default class extends Controller {
     }
 
     /**
-     * Affiche la liste des conversations
+     * Charge la page suivante (sentinelle de fin de liste visible)
+     */
+    async loadMoreConversations() {
+        const cursor = this.nextCursor;
+        if (!cursor || this.loadingMore) return;
+
+        this.loadingMore = true;
+        try {
+            const params = new URLSearchParams({ before: cursor });
+            const response = await fetch(`${this.apiUrlValue || '/synapse/api/conversations'}?${params}`);
+
+            if (!response.ok) throw new Error('Failed to load conversations');
+
+            const page = await response.json();
+            if (cursor !== this.nextCursor) return; // Liste rechargée entre-temps
+            this.renderConversations(page.conversations, { nextCursor: page.next_cursor, append: true });
+        } catch (error) {
+            console.error('Error loading more conversations:', error);
+        } finally {
+            this.loadingMore = false;
+        }
+    }
+
+    /**
+     * Affiche la liste des conversations, groupée par période (épinglées en tête)
+     *
+     * @param {Array} conversations
+     * @param {object} options - { nextCursor: curseur de la page suivante (null : fin de liste), append: ajouter à la liste existante, pinned: conversations épinglées (première page) }
      */
-    renderConversations(conversations) {
-        if (conversations.length === 0) {
+    renderConversations(conversations, { nextCursor = null, append = false, pinned = [] } = {}) {
+        this.nextCursor = nextCursor;
+
+        if (!append && conversations.length === 0 && pinned.length === 0) {
             this.showEmpty();
             return;
         }
 
         this.hideEmpty();
 
-        this.listTarget.innerHTML = conversations.map(conv => `
+        let html = '';
+        if (!append) {
+            this.lastGroup = null;
+            if (pinned.length > 0) {
+                html += this.groupHtml('Épinglées', 'pinned') + pinned.map(conv => this.conversationHtml(conv)).join('');
+            }
+        }
+        conversations.forEach(conv => {
+            // Une page suivante peut prolonger le dernier groupe affiché
+            const group = dateGroupLabel(conv.updated_at);
+            if (group !== this.lastGroup) {
+                html += this.groupHtml(group);
+                this.lastGroup = group;
+            }
+            html += this.conversationHtml(conv);
+        });
+
+        this.listTarget.querySelector('.conversation-list-sentinel')?.remove();
+        if (append) {
+            this.listTarget.insertAdjacentHTML('beforeend', html);
+        } else {
+            this.listTarget.innerHTML = html;
+        }
+        this.observeListEnd();
+    }
+
+    /**
+     * En-tête de groupe
+     */
+    groupHtml(label, key = '') {
+        return `<div class="conversation-group" data-group="${key}">${escapeHtml(label)}</div>`;
+    }
+
+    /**
+     * Élément de liste d'une conversation
+     */
+    conversationHtml(conv) {
+        return `
             <div
-                class="conversation-item ${String(conv.id) === String(this.currentConversationIdValue) ? 'active' : ''}"
+                class="conversation-item ${String(conv.id) === String(this.currentConversationIdValue) ? 'active' : ''} ${conv.pinned ? 'pinned' : ''}"
                 data-conversation-id="${conv.id}"
+                data-pinned="${conv.pinned ? 'true' : 'false'}"
                 data-action="click->synapse-sidebar#selectConversation"
             >
                 <div class="conversation-header">
@@ -81,6 +157,13 @@ export default class extends Controller {
                     <span class="conversation-count">${conv.message_count} msg</span>
                 </div>
                 <div class="conversation-actions">
+                    <button
+                        class="conversation-pin"
+                        data-action="click->synapse-sidebar#togglePin:stop"
+                        title="${conv.pinned ? 'Désépingler' : 'Épingler'}"
+                    >
+                        📌
+                    </button>
                     <button
                         class="conversation-edit"
                         data-action="click->synapse-sidebar#startRename:stop"
@@ -97,7 +180,31 @@ export default class extends Controller {
                     </button>
                 </div>
             </div>
-        `).join('');
+        `;
+    }
+
+    /**
+     * Observe une sentinelle en fin de liste pour charger la page suivante au défilement
+     */
+    observeListEnd() {
+        if (!this.nextCursor || !('IntersectionObserver' in window)) {
+            return;
+        }
+
+        if (!this.observer) {
+            // root null : l'intersection tient compte du conteneur défilant de la liste, quel qu'il soit
+            this.observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadMoreConversations();
+                }
+            }, { rootMargin: '200px 0px' });
+        }
+
+        const sentinel = document.createElement('div');
+        sentinel.className = 'conversation-list-sentinel';
+        this.listTarget.appendChild(sentinel);
+        this.observer.disconnect();
+        this.observer.observe(sentinel);
     }
 
     /**
@@ -164,17 +271,19 @@ export default class extends Controller {
         this.currentConversationIdValue = conversationId;
 
         // Dispatch event pour le chat
-        this.dispatch('conversation-selected', { detail: { conversationId } });
+        const selected = this.dispatch('conversation-selected', { detail: { conversationId }, cancelable: true });
 
         // Fermer drawer sur mobile
         if (window.innerWidth < 768) {
             this.close();
         }
 
-        // REDIRECTION FORCEE pour charger l'historique (Server Side Rendering)
-        const url = new URL(window.location.href);
-        url.searchParams.set('conversation', conversationId);
-        window.location.href = url.toString();
+        // Aucun chat sur la page : charger l'historique côté serveur
+        if (!selected.defaultPrevented) {
+            const url = new URL(window.location.href);
+            url.searchParams.set('conversation', conversationId);
+            window.location.href = url.toString();
+        }
     }
 
     /**
@@ -203,26 +312,25 @@ export default class extends Controller {
 
             if (!response.ok) throw new Error('Delete failed');
 
-            // Supprimer l'élément
+            // Supprimer l'élément (et son en-tête de groupe s'il devient vide)
+            const group = item.previousElementSibling?.classList.contains('conversation-group') ? item.previousElementSibling : null;
+            const next = item.nextElementSibling;
             item.remove();
+            if (group && !next?.classList.contains('conversation-item')) {
+                group.remove();
+            }
 
             // Vérifier si la liste est vide
-            if (this.listTarget.children.length === 0) {
+            if (!this.listTarget.querySelector('.conversation-item')) {
                 this.showEmpty();
             }
 
             // Dispatch event
             this.dispatch('conversation-deleted', { detail: { conversationId } });
 
-            // Si c'était la conversation active, rediriger vers nouvelle conversation
+            // Si c'était la conversation active, revenir à une nouvelle conversation
             if (String(conversationId) === String(this.currentConversationIdValue)) {
-                this.currentConversationIdValue = '';
-                this.dispatch('conversation-reset');
-
-                // Rediriger vers la page sans paramètre de conversation
-                const url = new URL(window.location.href);
-                url.searchParams.delete('conversation');
-                window.location.href = url.toString();
+                this.resetConversation();
             }
         } catch (error) {
             console.error('Error deleting conversation:', error);
@@ -235,6 +343,34 @@ export default class extends Controller {
         }
     }
 
+    /**
+     * Épingle / désépingle une conversation puis recharge la liste
+     */
+    async togglePin(event) {
+        const item = event.currentTarget.closest('.conversation-item');
+        const pinned = item.dataset.pinned !== 'true';
+
+        try {
+            const response = await fetch(`${this.apiUrlValue || '/synapse/api/conversations'}/${item.dataset.conversationId}/pin`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ pinned })
+            });
+
+            if (!response.ok) throw new Error('Pin failed');
+
+            this.dispatch('conversation-pinned', {
+                detail: { conversationId: item.dataset.conversationId, pinned }
+            });
+            this.loadConversations();
+        } catch (error) {
+            console.error('Error pinning conversation:', error);
+            this.showError('Impossible d\'épingler la conversation');
+        }
+    }
+
     /**
      * Démarre le renommage inline (clic sur bouton edit)
      */
@@ -320,6 +456,10 @@ export default class extends Controller {
             this.handleTitleUpdated(event.detail);
         });
 
+        // Précédent/suivant : le chat recharge la conversation, la liste suit
+        this.onPopState = () => this.syncFromLocation();
+        window.addEventListener('popstate', this.onPopState);
+
         // Responsive : fermer drawer au clic sur overlay
         if (this.hasDrawerTarget) {
             const overlay = this.drawerTarget.querySelector('.drawer-overlay');
@@ -360,40 +500,24 @@ export default class extends Controller {
             item.classList.remove('active');
         });
 
-        const html = `
-            <div
-                class="conversation-item active"
-                data-conversation-id="${conversation.id}"
-                data-action="click->synapse-sidebar#selectConversation"
-            >
-                <div class="conversation-header">
-                    <span class="conversation-title" data-synapse-sidebar-target="title">${escapeHtml(conversation.title)}</span>
-                    <!-- Risk badge removed - should only be visible in admin interface -->
-                </div>
-                <div class="conversation-meta">
-                    <span class="conversation-date">${formatDate(conversation.updated_at)}</span>
-                    <span class="conversation-count">${conversation.message_count} msg</span>
-                </div>
-                <div class="conversation-actions">
-                    <button
-                        class="conversation-edit"
-                        data-action="click->synapse-sidebar#startRename:stop"
-                        title="Renommer"
-                    >
-                        ✎
-                    </button>
-                    <button
-                        class="conversation-delete"
-                        data-action="click->synapse-sidebar#deleteConversation:stop"
-                        title="Supprimer"
-                    >
-                        ×
-                    </button>
-                </div>
-            </div>
-        `;
-
-        this.listTarget.insertAdjacentHTML('afterbegin', html);
+        const html = this.conversationHtml({ ...conversation, pinned: false });
+        const label = dateGroupLabel(conversation.updated_at);
+
+        // Sous le groupe "Aujourd'hui" (créé si besoin), après les épinglées
+        const firstGroup = this.listTarget.querySelector('.conversation-group:not([data-group="pinned"])');
+        if (firstGroup && firstGroup.textContent === label) {
+            firstGroup.insertAdjacentHTML('afterend', html);
+        } else if (firstGroup) {
+            firstGroup.insertAdjacentHTML('beforebegin', this.groupHtml(label) + html);
+        } else {
+            const sentinel = this.listTarget.querySelector('.conversation-list-sentinel');
+            if (sentinel) {
+                sentinel.insertAdjacentHTML('beforebegin', this.groupHtml(label) + html);
+            } else {
+                this.listTarget.insertAdjacentHTML('beforeend', this.groupHtml(label) + html);
+            }
+            this.lastGroup = label;
+        }
     }
 
     /**
@@ -431,14 +555,39 @@ export default class extends Controller {
 
 
     /**
-     * Crée une nouvelle conversation (recharge la page sans conversation ID)
+     * Crée une nouvelle conversation
      */
     newConversation(event) {
         event.preventDefault();
+        this.resetConversation();
+    }
+
+    /**
+     * Revient à une conversation vierge : prise en charge par le chat s'il est présent,
+     * sinon rechargement de la page sans conversation ID
+     */
+    resetConversation() {
+        this.currentConversationIdValue = '';
+        this.listTarget.querySelectorAll('.conversation-item').forEach(item => {
+            item.classList.remove('active');
+        });
 
-        // Supprimer le paramètre conversation de l'URL
-        const url = new URL(window.location.href);
-        url.searchParams.delete('conversation');
-        window.location.href = url.toString();
+        const reset = this.dispatch('conversation-reset', { cancelable: true });
+        if (!reset.defaultPrevented) {
+            const url = new URL(window.location.href);
+            url.searchParams.delete('conversation');
+            window.location.href = url.toString();
+        }
+    }
+
+    /**
+     * Resynchronise la conversation active après précédent/suivant du navigateur
+     */
+    syncFromLocation() {
+        const conversationId = new URLSearchParams(window.location.search).get('conversation') || '';
+        this.currentConversationIdValue = conversationId;
+        this.listTarget.querySelectorAll('.conversation-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.conversationId === conversationId);
+        });
     }
 }
@@ -18,3 +18,286 @@ export function formatDate(dateString) {
     if (days < 7) return `Il y a ${days}j`;
     return date.toLocaleDateString('fr-FR', { day: 'numeric', month: 'short' });
 }
+
+/**
+ * Libellé du groupe de dates d'une conversation dans la sidebar :
+ * Aujourd'hui, Hier, 7 derniers jours, 30 derniers jours, puis par mois (« Mars 2025 »).
+ */
+export function dateGroupLabel(dateString) {
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return 'Plus ancien';
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    const days = Math.round((today - day) / (1000 * 60 * 60 * 24)); // Jours calendaires, pas des tranches de 24 h
+    if (days <= 0) return 'Aujourd\'hui';
+    if (days === 1) return 'Hier';
+    if (days < 7) return '7 derniers jours';
+    if (days < 30) return '30 derniers jours';
+    const month = date.toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+    return month.charAt(0).toUpperCase() + month.slice(1);
+}
+
+/**
+ * Referme un bloc de code Markdown (``` ou ~~~) resté ouvert, typiquement pendant le streaming :
+ * le bloc partiel est rendu comme un bloc de code complet au lieu de basculer la mise en page
+ * à chaque delta.
+ */
+export function closeOpenFence(text) {
+    let open = null;
+    for (const [, fence, info] of text.matchAll(/^ {0,3}(`{3,}|~{3,})(.*)$/gm)) {
+        if (open === null) open = fence;
+        // Fence fermante : même caractère, au moins aussi longue, sans info string
+        else if (fence[0] === open[0] && fence.length >= open.length && info.trim() === '') open = null;
+    }
+    return open === null ? text : `${text}\n${open}`;
+}
+
+/**
+ * Rendu Markdown minimal utilisé tant que `marked` n'est pas chargé (ou s'il est absent).
+ * La sortie n'est pas sûre : elle doit passer par sanitizeHtml() comme celle de marked.
+ */
+export function renderMarkdownFallback(text) {
+    let html = text;
+    // Actions buttons (links)
+    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" class="synapse-chat-btn-action" target="_blank">$1</a>');
+    // Group buttons
+    html = html.replace(/(<a class="synapse-chat-btn-action"[^>]*>.*?<\/a>(?:<br>)?){2,}/g, match => `<div class="synapse-chat-action-group">${match.replace(/<br>/g, '')}</div>`);
+    // Basic markup
+    html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>').replace(/\*(.*?)\*/g, '<em>$1</em>');
+    html = html.replace(/```(\w+)?\n([\s\S]*?)```/g, (_, lang, code) => `<pre><code${lang ? ` class="language-${lang}"` : ''}>${code}</code></pre>`).replace(/`([^`]+)`/g, '<code>$1</code>');
+    // Markdown tables
+    html = html.replace(/((?:^|\n)\|[^\n]+\|\s*\n\|[\s\-:|]+\|\s*\n(?:\|[^\n]+\|(?:\s*\n)?)+)/gm, match => {
+        const lines = match.trim().split('\n').filter(l => l.trim());
+        if (lines.length < 2) return match;
+        const parseRow = line => line.split('|').slice(1, -1).map(c => c.trim());
+        const headers = parseRow(lines[0]);
+        const thead = '<thead><tr>' + headers.map(h => `<th>${h}</th>`).join('') + '</tr></thead>';
+        const rows = lines.slice(2).map(line => '<tr>' + parseRow(line).map(c => `<td>${c}</td>`).join('') + '</tr>').join('');
+        return `<table>${thead}<tbody>${rows}</tbody></table>`;
+    });
+    // Sauts de ligne hors blocs de code (le texte copié depuis un bloc doit garder ses \n)
+    html = html.split(/(<pre>[\s\S]*?<\/pre>)/).map((part, i) => i % 2 ? part : part.replace(/\n/g, '<br>')).join('');
+    return html;
+}
+
+/**
+ * Avance la frontière des blocs Markdown terminés d'un texte en cours de streaming : tout ce qui
+ * précède ne changera plus de rendu et peut être figé dans le DOM.
+ *
+ * Frontière posée au début d'une ligne non indentée qui suit une ligne vide (une ligne indentée
+ * pourrait continuer un élément de liste), et après la fermeture d'un bloc de code ouvert en
+ * colonne 0. Seules les lignes complètes sont examinées, une seule fois : le coût total est
+ * linéaire en la longueur de la réponse.
+ *
+ * @param {string} text - Texte accumulé
+ * @param {{ pos: number, boundary: number, fence: string|null, blank: boolean }} scan - État conservé entre deux appels (modifié)
+ * @returns {number} Position de la frontière dans `text`
+ */
+export function advanceStableBoundary(text, scan) {
+    let lineEnd;
+    while ((lineEnd = text.indexOf('\n', scan.pos)) !== -1) {
+        const line = text.slice(scan.pos, lineEnd);
+        const fence = /^(`{3,}|~{3,})(.*)$/.exec(line);
+
+        if (scan.fence !== null) {
+            if (fence && fence[1][0] === scan.fence[0] && fence[1].length >= scan.fence.length && fence[2].trim() === '') {
+                scan.fence = null;
+                scan.boundary = lineEnd + 1;
+            }
+        } else if (line.trim() === '') {
+            scan.blank = true;
+        } else {
+            if (scan.blank && !/^\s/.test(line)) scan.boundary = scan.pos;
+            if (fence) scan.fence = fence[1];
+            scan.blank = false;
+        }
+        scan.pos = lineEnd + 1;
+    }
+    return scan.boundary;
+}
+
+// Blocs et spans de code (laissés intacts), puis formules : $$…$$, \[…\], \(…\) et $…$
+// ($…$ : pas d'espace intérieur aux bords ni de chiffre après, pour ignorer « entre 5 $ et 10 $ »)
+const MATH_TOKEN = /(^ {0,3}(`{3,}|~{3,})[\s\S]*?(?:^ {0,3}\2[`~]*[ \t]*$|(?![\s\S]))|(`+)[\s\S]*?[^`]\3(?!`))|(?<!\\)\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|(?<![\\$])\$(?=[^\s$])((?:\\\$|[^$\n])+?)(?<=\S)\$(?!\d)/gm;
+
+/**
+ * Place-holder d'une formule : lettres et chiffres uniquement, que le rendu Markdown laisse intacts.
+ */
+export function mathPlaceholder(index) {
+    return `SYNAPSEMATH${index}X`;
+}
+
+/**
+ * Extrait les formules LaTeX d'un texte Markdown avant son rendu, pour que `_` et `*`
+ * n'y deviennent pas de l'emphase. Les formules sont remplacées par mathPlaceholder(i).
+ *
+ * @param {string} text
+ * @returns {{ text: string, formulas: Array<{ tex: string, display: boolean }> }}
+ */
+export function extractMath(text) {
+    const formulas = [];
+    const replaced = text.replace(MATH_TOKEN, (match, code, _fence, _ticks, block, bracket, paren, inline) => {
+        if (code !== undefined) return match;
+        const display = block !== undefined || bracket !== undefined;
+        formulas.push({ tex: (block ?? bracket ?? paren ?? inline).trim(), display });
+        return mathPlaceholder(formulas.length - 1);
+    });
+    return { text: replaced, formulas };
+}
+
+/**
+ * Nom de fichier d'une image collée (le presse-papiers ne fournit que « image.png ») ou d'un
+ * enregistrement : « capture-AAAA-MM-JJ-HHMMSS.ext », extension dérivée du type MIME.
+ *
+ * @param {string} mimeType
+ * @param {Date} date
+ * @param {string} prefix
+ * @returns {string}
+ */
+export function pastedFileName(mimeType, date = new Date(), prefix = 'capture') {
+    const subtype = (mimeType.split('/')[1] || 'bin').split(/[+;]/)[0].toLowerCase();
+    const extension = subtype === 'jpeg' ? 'jpg' : subtype.replace(/[^a-z0-9]/g, '') || 'bin';
+    const pad = (n) => String(n).padStart(2, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    return `${prefix}-${day}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}.${extension}`;
+}
+
+/**
+ * Dimensions réduites pour tenir dans un carré de `max` pixels, proportions conservées.
+ *
+ * @returns {{ width: number, height: number }} inchangées si l'image tient déjà
+ */
+export function fitWithin(width, height, max) {
+    if (width <= max && height <= max) return { width, height };
+    const ratio = max / Math.max(width, height);
+    return { width: Math.max(1, Math.round(width * ratio)), height: Math.max(1, Math.round(height * ratio)) };
+}
+
+/**
+ * Taille lisible en français (« 512 o », « 1,5 Ko », « 12,3 Mo »).
+ */
+export function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} o`;
+    const units = ['Ko', 'Mo', 'Go'];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toLocaleString('fr-FR', { maximumFractionDigits: 1 })} ${units[unit]}`;
+}
+
+/**
+ * Découpe un texte à lire à voix haute en segments courts (certains moteurs de synthèse
+ * s'interrompent au-delà d'une quinzaine de secondes) : par ligne et par phrase, puis par mots
+ * pour une phrase plus longue que `maxLength`.
+ *
+ * @returns {string[]}
+ */
+export function splitForSpeech(text, maxLength = 200) {
+    const chunks = [];
+    const sentences = String(text ?? '').split('\n').flatMap(line => line.match(/[^.!?…]+(?:[.!?…]+|$)/g) || []);
+    for (const raw of sentences) {
+        let sentence = raw.trim();
+        while (sentence.length > maxLength) {
+            const cut = sentence.lastIndexOf(' ', maxLength);
+            const end = cut > 0 ? cut : maxLength;
+            chunks.push(sentence.slice(0, end).trim());
+            sentence = sentence.slice(end).trim();
+        }
+        if (sentence) chunks.push(sentence);
+    }
+    return chunks;
+}
+
+/**
+ * Vrai si l'événement clavier correspond au raccourci (« Ctrl+Shift+O », « Shift+Escape », « Alt+A »).
+ * `Ctrl` couvre aussi Cmd sur macOS ; les modificateurs non cités doivent être relâchés, sauf Shift
+ * pour les signes de ponctuation (« / » demande Maj sur un clavier AZERTY).
+ */
+export function matchShortcut(event, shortcut) {
+    const parts = shortcut.split('+');
+    const key = parts.pop() || '+';
+    const punctuation = key.length === 1 && !/[a-z0-9]/i.test(key);
+
+    if ((event.ctrlKey || event.metaKey) !== parts.includes('Ctrl')) return false;
+    if (event.altKey !== parts.includes('Alt')) return false;
+    if (!punctuation && event.shiftKey !== parts.includes('Shift')) return false;
+
+    // Caractère produit, pas la touche physique : suit la disposition du clavier (AZERTY…)
+    return String(event.key).toLowerCase() === key.toLowerCase();
+}
+
+/**
+ * Touches d'un raccourci à afficher dans l'aide (« Ctrl+Shift+O » → ['Ctrl', 'Maj', 'O'], ['⌘', '⇧', 'O'] sur macOS).
+ *
+ * @returns {string[]}
+ */
+export function formatShortcut(shortcut, mac = false) {
+    const labels = {
+        Ctrl: mac ? '⌘' : 'Ctrl', Shift: mac ? '⇧' : 'Maj', Alt: mac ? '⌥' : 'Alt',
+        Escape: 'Échap', Enter: 'Entrée', ArrowUp: '↑', ArrowDown: '↓',
+    };
+    return shortcut.split(/\+(?=.)/).map(part => labels[part] ?? part.toUpperCase());
+}
+
+/**
+ * Score de correspondance approximative : les lettres de `query` doivent apparaître dans l'ordre
+ * dans `text` (casse et accents ignorés). Les lettres consécutives et en début de mot comptent davantage.
+ *
+ * @returns {number|null} null si `text` ne contient pas la requête
+ */
+export function fuzzyScore(query, text) {
+    const normalize = (value) => String(value ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const needle = normalize(query).replace(/\s+/g, '');
+    const haystack = normalize(text);
+    if (!needle) return 0;
+
+    let score = 0;
+    let previous = -2;
+    let position = 0;
+    for (const char of needle) {
+        const index = haystack.indexOf(char, position);
+        if (index === -1) return null;
+        score += 1;
+        if (index === previous + 1) score += 2;
+        if (index === 0 || /[^a-z0-9]/.test(haystack[index - 1])) score += 3;
+        previous = index;
+        position = index + 1;
+    }
+    return score;
+}
+
+/**
+ * Commande saisie dans la zone de texte (« /agent Rédacteur » → { name: 'agent', args: 'Rédacteur' }).
+ * Le nom est insensible à la casse ; un chemin (« /etc/hosts ») n'est pas une commande.
+ *
+ * @returns {{ name: string, args: string }|null}
+ */
+export function parseSlashCommand(text) {
+    const match = /^\/([a-z0-9_-]+)(?:\s+([\s\S]*))?$/i.exec(String(text ?? '').trim());
+    return match ? { name: match[1].toLowerCase(), args: (match[2] || '').trim() } : null;
+}
+
+/**
+ * Première mention `@clé` d'un agent connu dans le message : retirée du texte envoyé
+ * (« @redacteur un poème » → { agent: 'redacteur', text: 'un poème' }). Les autres `@` sont conservés.
+ *
+ * @param {string[]} agentKeys
+ * @returns {{ agent: string|null, text: string }}
+ */
+export function extractMention(text, agentKeys) {
+    const source = String(text ?? '');
+    const keys = new Map(agentKeys.map(key => [key.toLowerCase(), key]));
+    for (const match of source.matchAll(/(^|\s)@([\w-]+)(?=\s|$)/g)) {
+        const agent = keys.get(match[2].toLowerCase());
+        if (!agent) continue;
+        const start = match.index + match[1].length;
+        const rest = source.slice(start + match[2].length + 1);
+        return { agent, text: (source.slice(0, start) + rest.replace(/^[ \t]+/, '')).trim() };
+    }
+    return { agent: null, text: source.trim() };
+}
@@ -0,0 +1,161 @@
+/**
+ * Sanitizer HTML par liste blanche pour le rendu Markdown des bulles (sortie de `marked`
+ * ou du fallback regex de parseMarkdown()).
+ *
+ * Le HTML d'entrée est découpé en balises et en texte, puis entièrement ré-émis : seules les
+ * balises et attributs autorisés sont recopiés (valeurs ré-échappées, entre guillemets), le reste
+ * du texte voit ses `<` et `>` échappés. Le navigateur ne reçoit donc jamais le balisage d'origine,
+ * ce qui neutralise les écarts d'interprétation (attributs mal fermés, `<img/src=x/onerror=…>`).
+ *
+ * Pure chaîne de caractères, sans DOM : testable sous Node (tests/js/sanitizer.test.mjs).
+ */
+
+const GLOBAL_ATTRIBUTES = ['class', 'title', 'lang', 'dir'];
+
+const ALLOWED_TAGS = {
+    a: ['href', 'target'],
+    img: ['src', 'alt', 'width', 'height', 'loading'],
+    ol: ['start', 'reversed'],
+    li: ['value'],
+    th: ['colspan', 'rowspan', 'align', 'scope'],
+    td: ['colspan', 'rowspan', 'align'],
+    input: ['type', 'checked', 'disabled'],
+    details: ['open'],
+    abbr: [], b: [], blockquote: [], br: [], caption: [], cite: [], code: [], dd: [], del: [], div: [], dl: [], dt: [],
+    em: [], figcaption: [], figure: [], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], hr: [], i: [], ins: [], kbd: [],
+    mark: [], p: [], pre: [], q: [], s: [], samp: [], small: [], span: [], strong: [], sub: [], summary: [], sup: [],
+    table: [], tbody: [], tfoot: [], thead: [], tr: [], u: [], ul: [], var: [],
+};
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input']);
+
+// Balises supprimées avec tout leur contenu (le reste des balises inconnues perd sa balise mais garde son texte)
+const DROPPED_WITH_CONTENT = new Set(['script', 'style', 'iframe', 'object', 'template', 'noscript', 'noembed', 'noframes', 'textarea', 'title', 'xmp', 'svg', 'math', 'select']);
+
+const SAFE_SCHEMES = new Set(['http', 'https', 'mailto', 'tel']);
+const DATA_IMAGE = /^data:image\/(?:png|jpe?g|gif|webp);base64,[a-z0-9+/=]+$/i;
+
+// Commentaire (éventuellement non fermé), déclaration / instruction (<!DOCTYPE>, <![CDATA[, <?xml), ou balise
+const TOKEN = /<!--[\s\S]*?(?:-->|$)|<[!?][^>]*>?|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', colon: ':', tab: '\t', newline: '\n', nbsp: ' ', sol: '/', lpar: '(', rpar: ')' };
+
+/**
+ * @param {string} html - HTML produit par le rendu Markdown
+ * @returns {string} HTML ne contenant que les balises et attributs autorisés
+ */
+export function sanitizeHtml(html) {
+    const source = String(html ?? '');
+    let output = '';
+    let skipped = null; // { name, depth } : à l'intérieur d'une balise supprimée avec son contenu
+    let last = 0;
+
+    for (const match of source.matchAll(TOKEN)) {
+        if (!skipped) output += escapeText(source.slice(last, match.index));
+        last = match.index + match[0].length;
+
+        const [, closing, rawName, rawAttributes] = match;
+        if (!rawName) continue; // commentaire ou déclaration
+
+        const name = rawName.toLowerCase();
+        const selfClosing = /\/\s*$/.test(rawAttributes);
+
+        if (skipped) {
+            if (name === skipped.name && !selfClosing) {
+                skipped.depth += closing ? -1 : 1;
+                if (skipped.depth === 0) skipped = null;
+            }
+            continue;
+        }
+        if (DROPPED_WITH_CONTENT.has(name)) {
+            if (!closing && !selfClosing) skipped = { name, depth: 1 };
+            continue;
+        }
+        if (!Object.hasOwn(ALLOWED_TAGS, name)) continue;
+
+        if (closing) {
+            if (!VOID_TAGS.has(name)) output += `</${name}>`;
+            continue;
+        }
+        const tag = renderTag(name, parseAttributes(rawAttributes));
+        if (tag) output += tag;
+    }
+    if (!skipped) output += escapeText(source.slice(last));
+
+    return output;
+}
+
+/**
+ * URL autorisée dans un href / src : relative, ou schéma http(s), mailto, tel
+ * (et images raster en data URI pour `src`). Retourne null pour tout autre schéma.
+ *
+ * @param {string} value - Valeur d'attribut, entités déjà décodées
+ * @param {boolean} allowDataImage
+ * @returns {string|null}
+ */
+export function safeUrl(value, allowDataImage = false) {
+    // Les navigateurs ignorent espaces et caractères de contrôle dans le schéma (« java\tscript: »)
+    const compact = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+    if (!scheme) return value.trim();
+    if (SAFE_SCHEMES.has(scheme[1].toLowerCase())) return value.trim();
+    if (allowDataImage && DATA_IMAGE.test(compact)) return compact;
+    return null;
+}
+
+function renderTag(name, attributes) {
+    const allowed = ALLOWED_TAGS[name];
+    const kept = [];
+
+    for (const [attr, value] of attributes) {
+        if (!allowed.includes(attr) && !GLOBAL_ATTRIBUTES.includes(attr) && !attr.startsWith('aria-')) continue;
+
+        if (attr === 'href' || attr === 'src') {
+            const url = safeUrl(value, name === 'img');
+            if (url !== null) kept.push([attr, url]);
+        } else if (attr === 'target') {
+            if (value === '_blank') kept.push([attr, value]);
+        } else {
+            kept.push([attr, value]);
+        }
+    }
+
+    if (name === 'input') {
+        // Cases à cocher des listes de tâches GFM uniquement, jamais éditables
+        if (kept.find(([attr]) => attr === 'type')?.[1].toLowerCase() !== 'checkbox') return null;
+        if (!kept.some(([attr]) => attr === 'disabled')) kept.push(['disabled', '']);
+    }
+    if (name === 'a') {
+        kept.push(['rel', 'noopener']);
+    }
+
+    const rendered = kept.map(([attr, value]) => ` ${attr}="${escapeAttribute(value)}"`).join('');
+    return `<${name}${rendered}>`;
+}
+
+function parseAttributes(raw) {
+    const attributes = new Map();
+    for (const [, name, doubleQuoted, singleQuoted, unquoted] of raw.matchAll(ATTRIBUTE)) {
+        const attr = name.toLowerCase();
+        // Comme le navigateur : la première occurrence d'un attribut l'emporte
+        if (!attributes.has(attr)) attributes.set(attr, decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? ''));
+    }
+    return attributes;
+}
+
+function decodeEntities(value) {
+    return value.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));?/gi, (entity, decimal, hex, named) => {
+        if (named) return NAMED_ENTITIES[named.toLowerCase()] ?? entity;
+        const codePoint = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+        return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '';
+    });
+}
+
+function escapeText(text) {
+    return text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,38 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Controller\Api;
+
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Vérification du jeton CSRF des endpoints API qui modifient des données.
+ *
+ * Le jeton (`synapse_api`) est lu dans l'en-tête `X-CSRF-Token` ou le champ `_csrf_token`.
+ * Le contrôleur qui utilise ce trait déclare les propriétés `$csrfTokenManager`
+ * (?CsrfTokenManagerInterface) et `$translator` (?TranslatorInterface).
+ */
+trait ApiCsrfProtectionTrait
+{
+    /**
+     * CSRF Check (désactivable via synapse.security.api_csrf_enabled: false).
+     */
+    private function denyAccessUnlessCsrfTokenValid(Request $request): void
+    {
+        if (!$this->getParameter('synapse.security.api_csrf_enabled') || !$this->csrfTokenManager) {
+            return;
+        }
+
+        $token = $request->headers->get('X-CSRF-Token') ?? $request->request->get('_csrf_token');
+        $token = (string) $token;
+        if ('' === $token) {
+            $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.csrf_missing', [], 'synapse_chat') : 'Jeton CSRF manquant.';
+            throw $this->createAccessDeniedException($msg);
+        }
+        if (!$this->isCsrfTokenValid('synapse_api', $token)) {
+            $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.csrf_invalid', [], 'synapse_chat') : 'Jeton CSRF invalide ou expiré.';
+            throw $this->createAccessDeniedException($msg);
+        }
+    }
+}
@@ -4,6 +4,11 @@ declare(strict_types=1);
 
 namespace ArnaudMoncondhuy\SynapseChat\Controller\Api;
 
+use ArnaudMoncondhuy\SynapseChat\Conversation\MessageBranchResolver;
+use ArnaudMoncondhuy\SynapseChat\Stream\StreamRunCancelledException;
+use ArnaudMoncondhuy\SynapseChat\Stream\StreamRunStore;
+use ArnaudMoncondhuy\SynapseChat\Upload\AttachmentUploadException;
+use ArnaudMoncondhuy\SynapseChat\Upload\AttachmentUploadStore;
 use ArnaudMoncondhuy\SynapseCore\Agent\AgentResolver;
 use ArnaudMoncondhuy\SynapseCore\Agent\Input;
 use ArnaudMoncondhuy\SynapseCore\Agent\WorkflowDelegatingAgent;
@@ -33,7 +38,9 @@ use ArnaudMoncondhuy\SynapseCore\Shared\Exception\LlmRateLimitException;
 use ArnaudMoncondhuy\SynapseCore\Shared\Exception\LlmServiceUnavailableException;
 use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
 use Symfony\Component\EventDispatcher\EventDispatcherInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
 use Symfony\Component\HttpFoundation\StreamedResponse;
 use Symfony\Component\HttpKernel\Profiler\Profiler;
 use Symfony\Component\Routing\Attribute\Route;
@@ -44,11 +51,20 @@ use Symfony\Contracts\Translation\TranslatorInterface;
  * Contrôleur API principal pour le flux de conversation.
  *
  * Ce contrôleur expose le endpoint `%synapse.chat_api_prefix%/chat` qui gère les échanges
- * en temps réel avec le frontend via un flux NDJSON (Streamed Response).
+ * en temps réel avec le frontend via un flux NDJSON (Streamed Response), ainsi que la reprise
+ * (`/chat/runs/{runId}`) d'un flux interrompu par une coupure réseau.
  */
 #[Route('%synapse.chat_api_prefix%')]
 class ChatApiController extends AbstractController
 {
+    use ApiCsrfProtectionTrait;
+
+    /** Durée maximale (secondes) d'attente d'un nouvel événement lors d'une reprise */
+    private const RESUME_IDLE_TIMEOUT = 60;
+
+    /** Poids maximal (octets décodés) d'une pièce jointe ; le chat réduit les images en deçà avant envoi */
+    public const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
     public function __construct(
         private readonly ChatService $chatService,
         private readonly EventDispatcherInterface $dispatcher,
@@ -61,6 +77,9 @@ class ChatApiController extends AbstractController
         private readonly ?\ArnaudMoncondhuy\SynapseCore\Accounting\TokenCostEstimator $tokenCostEstimator = null,
         private readonly ?TranslatorInterface $translator = null,
         private readonly ?\ArnaudMoncondhuy\SynapseCore\Engine\ToolRegistry $toolRegistry = null,
+        private readonly MessageBranchResolver $branchResolver = new MessageBranchResolver(),
+        private readonly StreamRunStore $runStore = new StreamRunStore(),
+        private readonly AttachmentUploadStore $uploadStore = new AttachmentUploadStore(),
     ) {
     }
 
@@ -82,19 +101,7 @@ class ChatApiController extends AbstractController
     #[Route('/chat', name: 'synapse_api_chat', methods: ['POST'])]
     public function chat(Request $request, ?Profiler $profiler): StreamedResponse
     {
-        // CSRF Check (désactivable via synapse.security.api_csrf_enabled: false)
-        if ($this->getParameter('synapse.security.api_csrf_enabled') && $this->csrfTokenManager) {
-            $token = $request->headers->get('X-CSRF-Token') ?? $request->request->get('_csrf_token');
-            $token = (string) $token;
-            if ('' === $token) {
-                $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.csrf_missing', [], 'synapse_chat') : 'Jeton CSRF manquant.';
-                throw $this->createAccessDeniedException($msg);
-            }
-            if (!$this->isCsrfTokenValid('synapse_api', $token)) {
-                $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.csrf_invalid', [], 'synapse_chat') : 'Jeton CSRF invalide ou expiré.';
-                throw $this->createAccessDeniedException($msg);
-            }
-        }
+        $this->denyAccessUnlessCsrfTokenValid($request);
 
         // Permission check: Can start/continue chat?
         if (!$this->permissionChecker->canCreateConversation()) {
@@ -119,6 +126,9 @@ class ChatApiController extends AbstractController
         $attachments = is_array($attachmentsRaw)
             ? array_values(array_filter($attachmentsRaw, fn ($i) => is_array($i) && isset($i['data'], $i['mime_type']) && is_string($i['data']) && is_string($i['mime_type'])))
             : [];
+        // Pièces jointes envoyées au préalable via `/uploads` (voir UploadApiController)
+        $attachmentIdsRaw = $data['attachment_ids'] ?? [];
+        $attachmentIds = is_array($attachmentIdsRaw) ? array_values(array_filter($attachmentIdsRaw, 'is_string')) : [];
 
         $optionsRaw = $data['options'] ?? [];
         $options = is_array($optionsRaw) ? $optionsRaw : [];
@@ -130,6 +140,13 @@ class ChatApiController extends AbstractController
         $conversationId = is_string($conversationIdRaw) ? $conversationIdRaw : null;
         $options['conversation_id'] = $conversationId;  // Pass to ChatService for debug logging
 
+        // Branche de conversation : message à la suite duquel s'inscrit ce tour. L'historique
+        // est tronqué à ce message ; 'root' repart de zéro (édition du premier message).
+        // Avec 'regenerate', il s'agit du message utilisateur dont on veut une autre réponse.
+        $parentMessageIdRaw = $data['parent_message_id'] ?? null;
+        $parentMessageId = is_string($parentMessageIdRaw) && '' !== $parentMessageIdRaw ? $parentMessageIdRaw : null;
+        $regenerate = null !== $parentMessageId && true === ($data['regenerate'] ?? false);
+
         // Load conversation if ID provided and persistence enabled
         $conversation = null;
         if ($conversationId && $this->conversationManager) {
@@ -146,7 +163,9 @@ class ChatApiController extends AbstractController
             }
         }
 
-        $response = new StreamedResponse(function () use ($message, $options, $conversation, $conversationId, $attachments) {
+        $ownerId = $this->currentOwnerId();
+
+        $response = new StreamedResponse(function () use ($message, $options, $conversation, $conversationId, $attachments, $attachmentIds, $parentMessageId, $regenerate, $ownerId) {
             // CRITICAL: Disable ALL output buffering to prevent Symfony Debug Toolbar injection
             // The toolbar tries to inject HTML into buffered output, corrupting NDJSON stream
             while (ob_get_level() > 0) {
@@ -154,20 +173,39 @@ class ChatApiController extends AbstractController
             }
             ob_implicit_flush(true);
 
+            // Chaque événement porte un numéro de séquence ('seq') : le client s'en sert pour
+            // reprendre le run sans doublon après une coupure (voir resume()).
+            $runId = bin2hex(random_bytes(16));
+            $seq = 0;
+
             // Helper to send NDJSON event
-            $sendEvent = function (string $type, mixed $payload): void {
-                echo json_encode(['type' => $type, 'payload' => $payload], JSON_INVALID_UTF8_IGNORE | JSON_THROW_ON_ERROR)."\n";
+            $sendEvent = function (string $type, mixed $payload) use ($runId, &$seq): void {
+                $event = ['type' => $type, 'payload' => $payload, 'seq' => ++$seq];
+                echo json_encode($event, JSON_INVALID_UTF8_IGNORE | JSON_THROW_ON_ERROR)."\n";
                 // Force flush explicitly
                 if (ob_get_length() > 0) {
                     ob_flush();
                 }
                 flush();
+                // Conservé pour la reprise ; lève StreamRunCancelledException si l'utilisateur a arrêté le run
+                $this->runStore->append($runId, $event);
             };
 
             // Send padding to bypass browser/proxy buffering (approx 2KB)
             echo ':'.str_repeat(' ', 2048)."\n";
             flush();
 
+            if ([] !== $attachmentIds) {
+                try {
+                    $attachments = [...$attachments, ...$this->uploadStore->resolve($ownerId, $attachmentIds)];
+                } catch (AttachmentUploadException) {
+                    $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.upload_not_found', [], 'synapse_chat') : 'Attachment upload not found, incomplete or expired.';
+                    $sendEvent('error', $msg);
+
+                    return;
+                }
+            }
+
             $isReset = isset($options['reset_conversation']) && true === $options['reset_conversation'];
             if (empty($message) && empty($attachments) && !$isReset) {
                 $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.message_required', [], 'synapse_chat') : 'SynapseMessage is required.';
@@ -176,6 +214,25 @@ class ChatApiController extends AbstractController
                 return;
             }
 
+            foreach ($attachments as $attachment) {
+                if ($this->decodedSize($attachment['data']) > self::MAX_ATTACHMENT_BYTES) {
+                    $name = is_string($attachment['name'] ?? null) ? $attachment['name'] : $attachment['mime_type'];
+                    $max = self::MAX_ATTACHMENT_BYTES / 1024 / 1024;
+                    $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.attachment_too_large', ['name' => $name, 'max' => $max], 'synapse_chat') : sprintf('Attachment "%s" is too large (%d MB max).', $name, $max);
+                    $sendEvent('error', $msg);
+
+                    return;
+                }
+            }
+
+            // Run reprenable : le serveur va au bout (et persiste la réponse) même si le client
+            // se déconnecte ; seul un arrêt explicite (cancelRun()) l'interrompt.
+            if ($this->runStore->isEnabled()) {
+                ignore_user_abort(true);
+                $this->runStore->start($runId, $ownerId);
+                $sendEvent('run', ['run_id' => $runId]);
+            }
+
             try {
                 // Create or get conversation if persistence enabled
                 if ($this->conversationManager && !$conversation && (!empty($message) || !empty($attachments))) {
@@ -188,7 +245,34 @@ class ChatApiController extends AbstractController
 
                 // Load conversation history from database if persistence enabled (WITHOUT new message)
                 if ($conversation && $this->conversationManager) {
-                    $dbMessages = $this->conversationManager->getMessages($conversation);
+                    // Ne garder que la branche active (les variantes régénérées sont exclues)
+                    $dbMessages = $this->branchResolver->activePath(
+                        $this->conversationManager->getMessages($conversation),
+                        $parentMessageId,
+                    );
+
+                    // Régénération : le message utilisateur est renvoyé dans $message,
+                    // il ne doit pas figurer une seconde fois dans l'historique.
+                    if ($regenerate) {
+                        $lastMessage = end($dbMessages);
+                        if (false !== $lastMessage && MessageRole::USER === $lastMessage->getRole()) {
+                            array_pop($dbMessages);
+                        } else {
+                            $regenerate = false;
+                        }
+                    }
+
+                    // Message utilisateur resté sans réponse (génération échouée puis nouveau message) :
+                    // le nouveau message le remplace, en variante au même parent, pour que l'historique
+                    // n'enchaîne pas deux tours utilisateur.
+                    if (!$regenerate) {
+                        $lastMessage = end($dbMessages);
+                        if (false !== $lastMessage && MessageRole::USER === $lastMessage->getRole()) {
+                            array_pop($dbMessages);
+                            $previousMessage = end($dbMessages);
+                            $parentMessageId = false !== $previousMessage ? (string) $previousMessage->getId() : MessageBranchResolver::ROOT;
+                        }
+                    }
 
                     // Convert DB messages to ChatService format using formatter (handles decryption)
                     if ($this->messageFormatter) {
@@ -210,6 +294,22 @@ class ChatApiController extends AbstractController
                     }
                 }
 
+                // Save user message (pas d'appel LLM associé) avant la génération, et annoncer son ID :
+                // si la réponse échoue ou que le flux est perdu, le client réessaie en régénération
+                // sur ce message au lieu de l'enregistrer une seconde fois.
+                // En régénération, le message existe déjà : la nouvelle réponse s'y rattache.
+                $userMessageId = null;
+                if ($conversation && $this->conversationManager) {
+                    if ($regenerate) {
+                        $userMessageId = $parentMessageId;
+                    } elseif ('' !== $message || !empty($attachments)) {
+                        $userMetadata = null !== $parentMessageId ? ['metadata' => [MessageBranchResolver::METADATA_KEY => $parentMessageId]] : [];
+                        $userMessage = $this->conversationManager->saveMessage($conversation, MessageRole::USER, $message, $userMetadata, null, $attachments);
+                        $userMessageId = $userMessage->getId();
+                        $sendEvent('user_message', ['user_message_id' => $userMessageId, 'conversation_id' => $conversation->getId()]);
+                    }
+                }
+
                 // Temporary event listeners for NDJSON streaming (scoped to this request)
                 $statusListener = function (SynapseStatusChangedEvent $e) use ($sendEvent): void {
                     $sendEvent('status', ['message' => $e->message, 'step' => $e->step]);
@@ -416,8 +516,13 @@ class ChatApiController extends AbstractController
                 // et on délègue à WorkflowDelegatingAgent → WorkflowRunner → MultiAgent.
                 // Les sous-agents du workflow appelleront eux-mêmes ChatService.
                 $workflowAgent = null;
+                $resolvedAgent = null;
+                $resolvedAgentName = null;
                 if (isset($typedOptions['agent']) && is_string($typedOptions['agent']) && '' !== $typedOptions['agent']) {
                     $agentEntity = $this->agentRegistry->get($typedOptions['agent']);
+                    // Agent effectivement utilisé pour ce message (sélection persistante ou mention @agent)
+                    $resolvedAgent = null !== $agentEntity ? $typedOptions['agent'] : null;
+                    $resolvedAgentName = $agentEntity?->getName();
                     if (null !== $agentEntity && null !== $agentEntity->getWorkflowKey()) {
                         $ctx = $this->agentResolver->createRootContext(
                             userId: $typedOptions['user_id'] ?? null,
@@ -466,11 +571,18 @@ class ChatApiController extends AbstractController
                     $this->dispatcher->removeListener(SynapseCodeExecutedEvent::class, $codeExecutedListener);
                 }
 
-                // Save BOTH user message and assistant response to database after processing
+                // Auteur de la réponse (en-tête des bulles, y compris à la relecture de l'historique)
+                $answeredBy = [
+                    'agent' => $resolvedAgent,
+                    'agent_name' => $resolvedAgentName,
+                    'model' => $result['model'] ?? null,
+                    'tone' => $typedOptions['tone'] ?? null,
+                ];
+
+                // Save assistant response to database after processing
                 if ($conversation && $this->conversationManager) {
-                    // Save user message (pas d'appel LLM associé)
-                    if ('' !== $message || !empty($attachments)) {
-                        $this->conversationManager->saveMessage($conversation, MessageRole::USER, $message, [], null, $attachments);
+                    if (null !== $userMessageId) {
+                        $result['user_message_id'] = $userMessageId;
                     }
 
                     $hasGeneratedAttachments = !empty($result['generated_attachments']);
@@ -505,8 +617,12 @@ class ChatApiController extends AbstractController
                             'safety_ratings' => $safetyRatings,
                             'model' => $result['model'] ?? null,
                             'preset_id' => $result['preset_id'] ?? null,
-                            'metadata' => ['debug_id' => $result['debug_id'] ?? null],
+                            'metadata' => ['debug_id' => $result['debug_id'] ?? null] + $answeredBy,
                         ];
+                        if ($regenerate) {
+                            // Variante : rattachée au message utilisateur, à côté des réponses précédentes
+                            $metadata['metadata'][MessageBranchResolver::METADATA_KEY] = $parentMessageId;
+                        }
 
                         // Le token accounting (SynapseLlmCall) est fait par ChatService (source unique).
                         // On récupère simplement le call_id retourné pour lier SynapseMessage à l'appel LLM.
@@ -547,6 +663,7 @@ class ChatApiController extends AbstractController
                 }
 
                 // Send final result
+                $result = $answeredBy + $result;
                 $sendEvent('result', $result);
 
                 // Auto-generate title for new conversations (first exchange)
@@ -597,6 +714,8 @@ class ChatApiController extends AbstractController
                         // Could log with a logger if available
                     }
                 }
+            } catch (StreamRunCancelledException) {
+                // Arrêt demandé par l'utilisateur : le client a déjà fermé le flux, la réponse n'est pas enregistrée
             } catch (\Throwable $e) {
                 // Better error reporting for API failures
                 $errorMessage = $e->getMessage();
@@ -626,9 +745,119 @@ class ChatApiController extends AbstractController
                 } catch (\Throwable) {
                     // Stream déjà fermé — l'erreur est loggée via error_log ci-dessus
                 }
+            } finally {
+                $this->runStore->finish($runId);
             }
         });
 
+        return $this->withNdjsonHeaders($response);
+    }
+
+    /**
+     * Reprend le flux d'un run interrompu (coupure réseau, onglet en veille).
+     *
+     * Rejoue les événements dont le numéro de séquence est supérieur à `?after=`, puis suit
+     * le run jusqu'à sa fin. Le format est identique à celui de chat().
+     */
+    #[Route('/chat/runs/{runId}', name: 'synapse_api_chat_resume', methods: ['GET'])]
+    public function resume(string $runId, Request $request, ?Profiler $profiler): Response
+    {
+        if ($profiler) {
+            $profiler->disable();
+        }
+
+        // En-tête seul ; un run dont le tampon a dépassé sa taille maximale n'est plus reprenable
+        $run = $this->runStore->load($runId, \PHP_INT_MAX);
+        if (null === $run || $run['overflow'] || $run['owner'] !== $this->currentOwnerId()) {
+            $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.run_not_found', [], 'synapse_chat') : 'Run not found or expired.';
+
+            return new JsonResponse(['error' => $msg], Response::HTTP_NOT_FOUND);
+        }
+
+        $after = max(0, (int) $request->query->get('after', 0));
+
+        $response = new StreamedResponse(function () use ($runId, $after): void {
+            while (ob_get_level() > 0) {
+                ob_end_clean();
+            }
+            ob_implicit_flush(true);
+
+            // Padding anti-buffering (voir chat())
+            echo ':'.str_repeat(' ', 2048)."\n";
+            flush();
+
+            $lastSeq = $after;
+            $segment = 0;
+            $idleSince = time();
+            while (time() - $idleSince < self::RESUME_IDLE_TIMEOUT) {
+                // Seuls les segments écrits depuis le chargement précédent sont relus
+                $run = $this->runStore->load($runId, $segment);
+                if (null === $run || $run['overflow']) {
+                    return;
+                }
+                $segment = $run['segments'];
+
+                foreach ($run['events'] as $event) {
+                    $eventSeq = is_int($event['seq'] ?? null) ? $event['seq'] : 0;
+                    if ($eventSeq <= $lastSeq) {
+                        continue;
+                    }
+                    echo json_encode($event, JSON_INVALID_UTF8_IGNORE | JSON_THROW_ON_ERROR)."\n";
+                    flush();
+                    $lastSeq = $eventSeq;
+                    $idleSince = time();
+                }
+
+                if ($run['done'] || connection_aborted()) {
+                    return;
+                }
+                usleep(250_000);
+            }
+        });
+
+        return $this->withNdjsonHeaders($response);
+    }
+
+    /**
+     * Arrête un run en cours (bouton "Arrêter") : la génération est interrompue côté serveur
+     * et aucune réponse n'est enregistrée.
+     */
+    #[Route('/chat/runs/{runId}', name: 'synapse_api_chat_cancel', methods: ['DELETE'])]
+    public function cancelRun(string $runId, Request $request): JsonResponse
+    {
+        $this->denyAccessUnlessCsrfTokenValid($request);
+
+        $run = $this->runStore->load($runId, \PHP_INT_MAX); // En-tête seul (propriétaire)
+        if (null === $run || $run['owner'] !== $this->currentOwnerId()) {
+            $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.run_not_found', [], 'synapse_chat') : 'Run not found or expired.';
+
+            return new JsonResponse(['error' => $msg], Response::HTTP_NOT_FOUND);
+        }
+
+        $this->runStore->cancel($runId);
+
+        return new JsonResponse(['success' => true]);
+    }
+
+    /**
+     * Taille décodée d'un contenu base64, sans le décoder.
+     */
+    private function decodedSize(string $base64): int
+    {
+        $base64 = rtrim($base64);
+
+        return intdiv(strlen($base64) * 3, 4) - substr_count(substr($base64, -2), '=');
+    }
+
+    private function currentOwnerId(): ?string
+    {
+        $user = $this->getUser();
+
+        return $user instanceof ConversationOwnerInterface ? (string) $user->getId() : null;
+    }
+
+    private function withNdjsonHeaders(StreamedResponse $response): StreamedResponse
+    {
         $response->headers->set('Content-Type', 'application/x-ndjson');
         $response->headers->set('X-Accel-Buffering', 'no'); // Disable Nginx buffering
         $response->headers->set('Cache-Control', 'no-cache');
@@ -4,15 +4,28 @@ declare(strict_types=1);
 
 namespace ArnaudMoncondhuy\SynapseChat\Controller\Api;
 
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationExporter;
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationImportException;
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationImporter;
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationListStore;
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationPinStore;
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationSearcher;
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationShareStore;
+use ArnaudMoncondhuy\SynapseChat\Conversation\MessageBranchResolver;
+use ArnaudMoncondhuy\SynapseChat\Storage\Entity\SynapseConversationShare;
 use ArnaudMoncondhuy\SynapseCore\Contract\ConversationOwnerInterface;
 use ArnaudMoncondhuy\SynapseCore\Manager\ConversationManager;
+use ArnaudMoncondhuy\SynapseCore\Shared\Enum\MessageRole;
 use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseDebugLog;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseMessage;
 use ArnaudMoncondhuy\SynapseCore\Storage\Repository\SynapseDebugLogRepository;
 use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\HeaderUtils;
 use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\Request;
 use Symfony\Component\HttpFoundation\Response;
 use Symfony\Component\Routing\Attribute\Route;
+use Symfony\Component\Routing\Generator\UrlGeneratorInterface;
 use Symfony\Contracts\Translation\TranslatorInterface;
 
 /**
@@ -21,15 +34,33 @@ use Symfony\Contracts\Translation\TranslatorInterface;
 #[Route('%synapse.chat_api_prefix%/conversations')]
 class ConversationApiController extends AbstractController
 {
+    /** Métadonnées de message exposées au front (le reste : debug, sécurité, branches, reste côté serveur) */
+    private const PUBLIC_METADATA_KEYS = ['subtype', 'debug_id'];
+
     public function __construct(
         private readonly ConversationManager $conversationManager,
         private readonly ?TranslatorInterface $translator = null,
         private readonly ?SynapseDebugLogRepository $debugLogRepository = null,
+        private readonly MessageBranchResolver $branchResolver = new MessageBranchResolver(),
+        private readonly ?ConversationSearcher $searcher = null,
+        private readonly ?ConversationListStore $listStore = null,
+        private readonly ?ConversationPinStore $pinStore = null,
+        private readonly ConversationExporter $exporter = new ConversationExporter(),
+        private readonly ?ConversationImporter $importer = null,
+        private readonly ?ConversationShareStore $shareStore = null,
     ) {
     }
 
     /**
-     * Liste les conversations de l'utilisateur.
+     * Liste les conversations de l'utilisateur, de la plus récente à la plus ancienne.
+     *
+     * Sans paramètre `before` ni `paginate` : tableau des `?limit=50` (max 500) conversations les
+     * plus récentes, épinglées comprises (format historique).
+     *
+     * Pagination par curseur, réponse `{conversations, next_cursor, pinned}` : la première page est
+     * demandée avec `?paginate=1`, les suivantes avec `?before=<updated_at>,<id>` (valeur de
+     * `next_cursor`, null sur la dernière page). Les conversations épinglées sont exclues des
+     * pages et retournées en entier sous `pinned` avec la première page.
      */
     #[Route('', name: 'synapse_api_conversations_list', methods: ['GET'])]
     public function list(Request $request): JsonResponse
@@ -40,20 +71,112 @@ class ConversationApiController extends AbstractController
         }
 
         $limit = max(1, min((int) $request->query->get('limit', 50), 500));
-        $conversations = $this->conversationManager->getUserConversations($user, null, $limit);
+        $before = $request->query->get('before');
+        $before = is_string($before) && '' !== $before ? $before : null;
+        $pinnedIds = $this->pinStore ? $this->pinStore->pinnedIds((string) $user->getId()) : [];
 
-        $data = array_map(fn ($conv) => [
+        $serialize = fn ($conv) => [
             'id' => $conv->getId(),
             'title' => $conv->getTitle(),
             'created_at' => $conv->getCreatedAt()->format('c'),
             'updated_at' => $conv->getUpdatedAt()->format('c'),
             'status' => $conv->getStatus()->value,
             'message_count' => $conv->getMessageCount(),
-        ], $conversations);
+            'pinned' => in_array((string) $conv->getId(), $pinnedIds, true),
+        ];
+
+        if (null === $before && !$request->query->getBoolean('paginate')) {
+            return new JsonResponse(array_map($serialize, $this->conversationManager->getUserConversations($user, null, $limit)));
+        }
+
+        if (null === $this->listStore) {
+            // Sans Doctrine : une seule page, sans distinction des épinglées
+            return new JsonResponse([
+                'conversations' => null === $before ? array_map($serialize, $this->conversationManager->getUserConversations($user, null, $limit)) : [],
+                'next_cursor' => null,
+                'pinned' => [],
+            ]);
+        }
+
+        try {
+            $page = $this->listStore->page($user, $before, $limit, $pinnedIds);
+        } catch (\InvalidArgumentException) {
+            $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.invalid_cursor', [], 'synapse_chat') : 'Invalid cursor';
+
+            return new JsonResponse(['error' => $msg], Response::HTTP_BAD_REQUEST);
+        }
+
+        $data = [
+            'conversations' => array_map($serialize, $page['items']),
+            'next_cursor' => $page['next_cursor'],
+        ];
+        if (null === $before) {
+            $data['pinned'] = array_map($serialize, $this->listStore->findByIds($user, $pinnedIds));
+        }
 
         return new JsonResponse($data);
     }
 
+    /**
+     * Recherche plein texte dans les titres et le contenu (déchiffré) des messages.
+     *
+     * `?q=` : termes recherchés (tous requis, casse et accents ignorés), `?limit=20` (max 50).
+     * Chaque résultat porte ses extraits surlignés (`snippet_html`, HTML échappé avec `<mark>`)
+     * et la branche à ouvrir (`branch_leaf`) pour afficher le message trouvé.
+     */
+    #[Route('/search', name: 'synapse_api_conversations_search', methods: ['GET'])]
+    public function search(Request $request): JsonResponse
+    {
+        $user = $this->getUser();
+        if (!$user instanceof ConversationOwnerInterface) {
+            return new JsonResponse(['error' => 'User not authenticated'], Response::HTTP_UNAUTHORIZED);
+        }
+
+        $query = $request->query->get('q', '');
+        $limit = max(1, min((int) $request->query->get('limit', 20), 50));
+        $searcher = $this->searcher ?? new ConversationSearcher($this->conversationManager, $this->branchResolver);
+
+        return new JsonResponse($searcher->search($user, is_string($query) ? mb_substr($query, 0, 200) : '', $limit));
+    }
+
+    /**
+     * Importe une conversation depuis un fichier JSON (body brut, format de l'export JSON :
+     * voir ConversationImporter). Répond `201` avec l'ID de la conversation créée, ou `400`
+     * avec la liste des erreurs de validation sous `errors`.
+     */
+    #[Route('/import', name: 'synapse_api_conversations_import', methods: ['POST'])]
+    public function import(Request $request): JsonResponse
+    {
+        $user = $this->getUser();
+        if (!$user instanceof ConversationOwnerInterface) {
+            return new JsonResponse(['error' => 'User not authenticated'], Response::HTTP_UNAUTHORIZED);
+        }
+
+        $importer = $this->importer ?? new ConversationImporter($this->conversationManager);
+
+        try {
+            $import = $importer->parse($request->getContent());
+        } catch (ConversationImportException $e) {
+            $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.import_invalid', [], 'synapse_chat') : 'Invalid import file';
+
+            return new JsonResponse(['error' => $msg, 'errors' => $e->getErrors()], Response::HTTP_BAD_REQUEST);
+        }
+
+        try {
+            $conversation = $importer->import($user, $import);
+
+            return new JsonResponse([
+                'success' => true,
+                'id' => (string) $conversation->getId(),
+                'title' => $conversation->getTitle(),
+                'message_count' => count($import['messages']),
+                'skipped_attachments' => $import['skipped_attachments'],
+            ], Response::HTTP_CREATED);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], Response::HTTP_FORBIDDEN);
+        }
+    }
+
     /**
      * Supprime une conversation (soft delete).
      */
@@ -72,6 +195,8 @@ class ConversationApiController extends AbstractController
             }
 
             $this->conversationManager->deleteConversation($conversation);
+            $this->pinStore?->setPinned((string) $user->getId(), $id, false);
+            $this->shareStore?->revoke($id);
 
             return new JsonResponse(['success' => true]);
         } catch (\Exception $e) {
@@ -121,11 +246,119 @@ class ConversationApiController extends AbstractController
         }
     }
 
+    /**
+     * Épingle ou désépingle une conversation. Body : `{"pinned": true}`.
+     */
+    #[Route('/{id}/pin', name: 'synapse_api_conversations_pin', methods: ['PATCH'])]
+    public function pin(string $id, Request $request): JsonResponse
+    {
+        $user = $this->getUser();
+        if (!$user instanceof ConversationOwnerInterface) {
+            return new JsonResponse(['error' => 'User not authenticated'], Response::HTTP_UNAUTHORIZED);
+        }
+
+        if (null === $this->pinStore) {
+            return new JsonResponse(['error' => 'Pin storage not available'], Response::HTTP_SERVICE_UNAVAILABLE);
+        }
+
+        try {
+            $data = json_decode($request->getContent() ?: '{}', true, 512, \JSON_THROW_ON_ERROR);
+        } catch (\JsonException) {
+            $data = [];
+        }
+        $pinned = $data['pinned'] ?? null;
+
+        if (!is_bool($pinned)) {
+            $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.pinned_required', [], 'synapse_chat') : 'Field "pinned" (boolean) is required';
+
+            return new JsonResponse(['error' => $msg], Response::HTTP_BAD_REQUEST);
+        }
+
+        try {
+            $conversation = $this->conversationManager->getConversation($id, $user);
+            if (!$conversation) {
+                return new JsonResponse(['error' => 'SynapseConversation not found'], Response::HTTP_NOT_FOUND);
+            }
+
+            $this->pinStore->setPinned((string) $user->getId(), (string) $conversation->getId(), $pinned);
+
+            return new JsonResponse([
+                'success' => true,
+                'pinned' => $pinned,
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], Response::HTTP_FORBIDDEN);
+        }
+    }
+
+    /**
+     * Lien de partage public en lecture seule : `GET` retourne le lien actif (`share: null` sinon),
+     * `POST` en crée un nouveau (l'ancien est révoqué) et `DELETE` le révoque.
+     *
+     * Body du POST : `{"include_attachments": true, "leaf": "<id>"}` (tous deux optionnels) ;
+     * `leaf` fige la branche partagée, la plus récente par défaut.
+     */
+    #[Route('/{id}/share', name: 'synapse_api_conversations_share', methods: ['GET', 'POST', 'DELETE'])]
+    public function share(string $id, Request $request): JsonResponse
+    {
+        $user = $this->getUser();
+        if (!$user instanceof ConversationOwnerInterface) {
+            return new JsonResponse(['error' => 'User not authenticated'], Response::HTTP_UNAUTHORIZED);
+        }
+
+        if (null === $this->shareStore) {
+            return new JsonResponse(['error' => 'Share storage not available'], Response::HTTP_SERVICE_UNAVAILABLE);
+        }
+
+        try {
+            $conversation = $this->conversationManager->getConversation($id, $user);
+            if (!$conversation) {
+                return new JsonResponse(['error' => 'SynapseConversation not found'], Response::HTTP_NOT_FOUND);
+            }
+            $conversationId = (string) $conversation->getId();
+
+            if ($request->isMethod('DELETE')) {
+                $this->shareStore->revoke($conversationId);
+
+                return new JsonResponse(['success' => true, 'share' => null]);
+            }
+
+            if ($request->isMethod('GET')) {
+                $share = $this->shareStore->find((string) $user->getId(), $conversationId);
+
+                return new JsonResponse(['share' => $share ? $this->serializeShare($share) : null]);
+            }
+
+            try {
+                $data = json_decode($request->getContent() ?: '{}', true, 512, \JSON_THROW_ON_ERROR);
+            } catch (\JsonException) {
+                $data = [];
+            }
+            $includeAttachments = $data['include_attachments'] ?? true;
+            $leaf = $data['leaf'] ?? null;
+
+            $share = $this->shareStore->share(
+                (string) $user->getId(),
+                $conversationId,
+                false !== $includeAttachments,
+                is_string($leaf) && '' !== $leaf ? $leaf : null,
+            );
+
+            return new JsonResponse(['success' => true, 'share' => $this->serializeShare($share)], Response::HTTP_CREATED);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], Response::HTTP_FORBIDDEN);
+        }
+    }
+
     /**
      * Récupère les messages d'une conversation.
+     *
+     * Avec `?branch=active`, seule la branche affichée est retournée (`&leaf=<id>` pour
+     * en choisir une autre), chaque message portant ses variantes sous la clé `variants`.
+     * C'est le format utilisé par le chat pour changer de conversation sans recharger la page.
      */
     #[Route('/{id}/messages', name: 'synapse_api_conversations_messages', methods: ['GET'])]
-    public function messages(string $id): JsonResponse
+    public function messages(string $id, Request $request): JsonResponse
     {
         $user = $this->getUser();
         if (!$user instanceof ConversationOwnerInterface) {
@@ -140,14 +373,24 @@ class ConversationApiController extends AbstractController
 
             $messages = $this->conversationManager->getMessages($conversation);
 
-            $data = array_map(fn ($msg) => [
-                'id' => $msg->getId(),
-                'role' => $msg->getRole()->value,
-                'content' => $msg->getDecryptedContent(),
-                'decryptedContent' => $msg->getDecryptedContent(),
-                'created_at' => $msg->getCreatedAt()->format('c'),
-                'tokens' => $msg->getTotalTokens(),
-            ], $messages);
+            if ('active' !== $request->query->get('branch')) {
+                return new JsonResponse(array_map(fn (SynapseMessage $msg) => $this->serializeMessage($msg), $messages));
+            }
+
+            $leafRaw = $request->query->get('leaf');
+            $leafId = is_string($leafRaw) && '' !== $leafRaw ? $leafRaw : null;
+
+            $data = array_map(function (array $entry): array {
+                $item = $this->serializeMessage($entry['message']);
+                if ([] !== $entry['variants']) {
+                    $item['variants'] = array_map(
+                        fn (array $variant): array => $this->serializeMessage($variant['message']) + ['branch_leaf' => $variant['leaf']],
+                        $entry['variants'],
+                    );
+                }
+
+                return $item;
+            }, $this->branchResolver->activePathWithVariants($messages, $leafId));
 
             return new JsonResponse($data);
         } catch (\Exception $e) {
@@ -155,6 +398,72 @@ class ConversationApiController extends AbstractController
         }
     }
 
+    /**
+     * Exporte une conversation en téléchargement : `?format=md` (défaut), `json` ou `html`
+     * (page autonome prête à imprimer en PDF).
+     *
+     * Seule la branche affichée est exportée (`&leaf=<id>` pour une autre branche).
+     */
+    #[Route('/{id}/export', name: 'synapse_api_conversations_export', methods: ['GET'])]
+    public function export(string $id, Request $request): Response
+    {
+        $user = $this->getUser();
+        if (!$user instanceof ConversationOwnerInterface) {
+            return new JsonResponse(['error' => 'User not authenticated'], Response::HTTP_UNAUTHORIZED);
+        }
+
+        $format = $request->query->get('format', 'md');
+        if (!in_array($format, ConversationExporter::FORMATS, true)) {
+            $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.export_format_invalid', [], 'synapse_chat') : 'Unsupported export format';
+
+            return new JsonResponse(['error' => $msg], Response::HTTP_BAD_REQUEST);
+        }
+
+        try {
+            $conversation = $this->conversationManager->getConversation($id, $user);
+            if (!$conversation) {
+                return new JsonResponse(['error' => 'SynapseConversation not found'], Response::HTTP_NOT_FOUND);
+            }
+
+            $leafRaw = $request->query->get('leaf');
+            $leafId = is_string($leafRaw) && '' !== $leafRaw ? $leafRaw : null;
+            $messages = array_map(
+                fn (SynapseMessage $msg) => $this->serializeMessage($msg),
+                array_values(array_filter(
+                    $this->branchResolver->activePath($this->conversationManager->getMessages($conversation), $leafId),
+                    fn (SynapseMessage $msg) => in_array($msg->getRole(), [MessageRole::USER, MessageRole::MODEL], true),
+                )),
+            );
+
+            $info = [
+                'id' => (string) $conversation->getId(),
+                'title' => $conversation->getTitle(),
+                'created_at' => $conversation->getCreatedAt()->format('c'),
+                'updated_at' => $conversation->getUpdatedAt()->format('c'),
+            ];
+
+            $response = match ($format) {
+                'json' => new JsonResponse($this->exporter->toArray($info, $messages), Response::HTTP_OK, [], false),
+                'html' => new Response($this->renderView('@Synapse/chat/export.html.twig', [
+                    'title' => $this->exporter->titleOf($info),
+                    'conversation' => $info,
+                    'messages' => array_map(fn (array $m) => $m + ['role_label' => $this->exporter->roleLabel($m)], $messages),
+                ]), Response::HTTP_OK, ['Content-Type' => 'text/html; charset=UTF-8']),
+                default => new Response($this->exporter->toMarkdown($info, $messages), Response::HTTP_OK, ['Content-Type' => 'text/markdown; charset=UTF-8']),
+            };
+            if ($response instanceof JsonResponse) {
+                $response->setEncodingOptions(JsonResponse::DEFAULT_ENCODING_OPTIONS | \JSON_PRETTY_PRINT | \JSON_UNESCAPED_UNICODE | \JSON_UNESCAPED_SLASHES);
+            }
+
+            $filename = $this->exporter->filename($info, $format);
+            $response->headers->set('Content-Disposition', HeaderUtils::makeDisposition(HeaderUtils::DISPOSITION_ATTACHMENT, $filename, $filename));
+
+            return $response;
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], Response::HTTP_FORBIDDEN);
+        }
+    }
+
     /**
      * Replay de la sidebar Transparence pour un message assistant passé.
      *
@@ -214,6 +523,48 @@ class ConversationApiController extends AbstractController
         }
     }
 
+    /**
+     * @return array<string, mixed>
+     */
+    private function serializeMessage(SynapseMessage $msg): array
+    {
+        $metadata = $msg->getMetadata() ?? [];
+        // Auteur de la réponse, enregistré par ChatApiController (absent des messages utilisateur et anciens messages)
+        $answeredBy = fn (string $key): ?string => is_string($metadata[$key] ?? null) ? $metadata[$key] : null;
+
+        return [
+            'id' => $msg->getId(),
+            'role' => $msg->getRole()->value,
+            'content' => $msg->getDecryptedContent(),
+            'decryptedContent' => $msg->getDecryptedContent(),
+            'created_at' => $msg->getCreatedAt()->format('c'),
+            'tokens' => $msg->getTotalTokens(),
+            'metadata' => array_intersect_key($metadata, array_flip(self::PUBLIC_METADATA_KEYS)),
+            'agent' => $answeredBy('agent'),
+            'agent_name' => $answeredBy('agent_name'),
+            'model' => $answeredBy('model'),
+            'tone' => $answeredBy('tone'),
+            'attachments' => array_map(
+                fn ($att) => ['uuid' => $att->getId(), 'mime_type' => $att->getMimeType(), 'display_name' => $att->getDisplayName()],
+                $this->conversationManager->getAttachmentsByMessageId($msg->getId())
+            ),
+        ];
+    }
+
+    /**
+     * @return array{token: string, url: string, include_attachments: bool, leaf: string|null, created_at: string}
+     */
+    private function serializeShare(SynapseConversationShare $share): array
+    {
+        return [
+            'token' => $share->getToken(),
+            'url' => $this->generateUrl('synapse_chat_shared', ['token' => $share->getToken()], UrlGeneratorInterface::ABSOLUTE_URL),
+            'include_attachments' => $share->includesAttachments(),
+            'leaf' => $share->getLeafMessageId(),
+            'created_at' => $share->getCreatedAt()->format('c'),
+        ];
+    }
+
     /**
      * Reconstruit la liste d'events de transparence à partir d'un SynapseDebugLog.
      *
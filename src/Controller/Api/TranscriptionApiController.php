@@ -0,0 +1,78 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Controller\Api;
+
+use ArnaudMoncondhuy\SynapseChat\Transcription\TranscriberInterface;
+use ArnaudMoncondhuy\SynapseCore\Contract\ConversationOwnerInterface;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\File\UploadedFile;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\Routing\Attribute\Route;
+use Symfony\Component\Security\Csrf\CsrfTokenManagerInterface;
+use Symfony\Contracts\Translation\TranslatorInterface;
+
+/**
+ * Transcription de la dictée vocale du chat, déléguée au TranscriberInterface de l'application.
+ */
+#[Route('%synapse.chat_api_prefix%')]
+class TranscriptionApiController extends AbstractController
+{
+    use ApiCsrfProtectionTrait;
+
+    public function __construct(
+        private readonly ?TranscriberInterface $transcriber = null,
+        private readonly ?TranslatorInterface $translator = null,
+        private readonly ?CsrfTokenManagerInterface $csrfTokenManager = null,
+    ) {
+    }
+
+    /**
+     * Body multipart : `file` (enregistrement audio/*) et `language` optionnel (BCP 47).
+     * Réponse : `{"text": "…"}`.
+     */
+    #[Route('/transcribe', name: 'synapse_api_transcribe', methods: ['POST'])]
+    public function transcribe(Request $request): JsonResponse
+    {
+        $this->denyAccessUnlessCsrfTokenValid($request);
+
+        $user = $this->getUser();
+        if (!$user instanceof ConversationOwnerInterface) {
+            return new JsonResponse(['error' => 'User not authenticated'], Response::HTTP_UNAUTHORIZED);
+        }
+        if (!$this->transcriber) {
+            return new JsonResponse(['error' => 'Transcription not available'], Response::HTTP_SERVICE_UNAVAILABLE);
+        }
+
+        $file = $request->files->get('file');
+        $mimeType = $file instanceof UploadedFile ? strtolower(explode(';', $file->getClientMimeType())[0]) : '';
+        if (!$file instanceof UploadedFile || !$file->isValid() || !str_starts_with($mimeType, 'audio/')) {
+            $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.audio_required', [], 'synapse_chat') : 'An audio file is required.';
+
+            return new JsonResponse(['error' => $msg], Response::HTTP_BAD_REQUEST);
+        }
+        if ($file->getSize() > ChatApiController::MAX_ATTACHMENT_BYTES) {
+            $max = ChatApiController::MAX_ATTACHMENT_BYTES / 1024 / 1024;
+            $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.attachment_too_large', ['name' => $file->getClientOriginalName(), 'max' => $max], 'synapse_chat') : sprintf('Attachment "%s" is too large (%d MB max).', $file->getClientOriginalName(), $max);
+
+            return new JsonResponse(['error' => $msg], Response::HTTP_REQUEST_ENTITY_TOO_LARGE);
+        }
+
+        $language = $request->request->get('language');
+        $language = is_string($language) && 1 === preg_match('/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/', $language) ? $language : null;
+
+        try {
+            $text = $this->transcriber->transcribe((string) file_get_contents($file->getPathname()), $mimeType, $language);
+
+            return new JsonResponse(['text' => trim($text)]);
+        } catch (\Exception $e) {
+            $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.transcription_failed', [], 'synapse_chat') : 'Transcription failed.';
+            error_log(sprintf('[Synapse Chat] Transcription: %s', $e->getMessage()));
+
+            return new JsonResponse(['error' => $msg], Response::HTTP_BAD_GATEWAY);
+        }
+    }
+}
@@ -0,0 +1,156 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Controller\Api;
+
+use ArnaudMoncondhuy\SynapseChat\Upload\AttachmentUploadException;
+use ArnaudMoncondhuy\SynapseChat\Upload\AttachmentUploadStore;
+use ArnaudMoncondhuy\SynapseCore\Contract\ConversationOwnerInterface;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\File\UploadedFile;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\Routing\Attribute\Route;
+use Symfony\Component\Security\Csrf\CsrfTokenManagerInterface;
+use Symfony\Contracts\Translation\TranslatorInterface;
+
+/**
+ * Envoi des pièces jointes avant le message, hors du corps JSON de `/chat`.
+ *
+ * Deux modes :
+ * - multipart : `POST /uploads` avec le champ `file`, envoi complet en une requête ;
+ * - par morceaux : `POST /uploads` avec `{"name", "mime_type", "size"}`, puis
+ *   `POST /uploads/{id}/chunks?offset=N` avec le contenu brut de chaque morceau, dans l'ordre.
+ *
+ * L'ID retourné est ensuite passé dans `attachment_ids` de `/chat` (voir ChatApiController).
+ */
+#[Route('%synapse.chat_api_prefix%/uploads')]
+class UploadApiController extends AbstractController
+{
+    use ApiCsrfProtectionTrait;
+
+    public function __construct(
+        private readonly AttachmentUploadStore $uploadStore = new AttachmentUploadStore(),
+        private readonly ?TranslatorInterface $translator = null,
+        private readonly ?CsrfTokenManagerInterface $csrfTokenManager = null,
+    ) {
+    }
+
+    #[Route('', name: 'synapse_api_uploads_create', methods: ['POST'])]
+    public function create(Request $request): JsonResponse
+    {
+        $this->denyAccessUnlessCsrfTokenValid($request);
+
+        $user = $this->getUser();
+        if (!$user instanceof ConversationOwnerInterface) {
+            return new JsonResponse(['error' => 'User not authenticated'], Response::HTTP_UNAUTHORIZED);
+        }
+
+        $file = $request->files->get('file');
+        if ($file instanceof UploadedFile) {
+            if (!$file->isValid()) {
+                return new JsonResponse(['error' => $file->getErrorMessage()], Response::HTTP_BAD_REQUEST);
+            }
+            $name = $file->getClientOriginalName();
+            $mimeType = $file->getClientMimeType();
+            $size = (int) $file->getSize();
+        } else {
+            $data = json_decode($request->getContent(), true);
+            $name = is_array($data) && is_string($data['name'] ?? null) ? $data['name'] : '';
+            $mimeType = is_array($data) && is_string($data['mime_type'] ?? null) ? $data['mime_type'] : '';
+            $size = is_array($data) && is_int($data['size'] ?? null) ? $data['size'] : -1;
+        }
+
+        if (1 !== preg_match('#^[a-z0-9][a-z0-9.+-]*/[a-z0-9][a-z0-9.+-]*$#i', $mimeType) || $size < 0) {
+            $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.upload_invalid', [], 'synapse_chat') : 'A valid mime_type and size are required.';
+
+            return new JsonResponse(['error' => $msg], Response::HTTP_BAD_REQUEST);
+        }
+        if ($size > ChatApiController::MAX_ATTACHMENT_BYTES) {
+            $max = ChatApiController::MAX_ATTACHMENT_BYTES / 1024 / 1024;
+            $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.attachment_too_large', ['name' => $name, 'max' => $max], 'synapse_chat') : sprintf('Attachment "%s" is too large (%d MB max).', $name, $max);
+
+            return new JsonResponse(['error' => $msg], Response::HTTP_REQUEST_ENTITY_TOO_LARGE);
+        }
+
+        $name = mb_substr('' !== trim($name) ? trim($name) : 'fichier', 0, 255);
+        try {
+            $upload = $file instanceof UploadedFile
+                ? $this->uploadStore->createFromFile((string) $user->getId(), $name, $mimeType, $file)
+                : $this->uploadStore->create((string) $user->getId(), $name, $mimeType, $size);
+        } catch (AttachmentUploadException) {
+            // Taille déjà vérifiée ci-dessus : quota d'envois en attente de l'utilisateur atteint
+            $msg = $this->translator ? $this->translator->trans('synapse.chat.api.error.upload_quota', [], 'synapse_chat') : 'Too many pending attachment uploads.';
+
+            return new JsonResponse(['error' => $msg], Response::HTTP_TOO_MANY_REQUESTS);
+        }
+
+        return new JsonResponse($this->serializeUpload($upload), Response::HTTP_CREATED);
+    }
+
+    /**
+     * Ajoute un morceau (corps brut). `?offset=` doit valoir le nombre d'octets déjà reçus ;
+     * en cas de conflit (409), la réponse indique `received` pour reprendre au bon endroit.
+     */
+    #[Route('/{id}/chunks', name: 'synapse_api_uploads_chunk', methods: ['POST'])]
+    public function chunk(string $id, Request $request): JsonResponse
+    {
+        $this->denyAccessUnlessCsrfTokenValid($request);
+
+        $user = $this->getUser();
+        if (!$user instanceof ConversationOwnerInterface) {
+            return new JsonResponse(['error' => 'User not authenticated'], Response::HTTP_UNAUTHORIZED);
+        }
+
+        $upload = $this->uploadStore->find((string) $user->getId(), $id);
+        if (null === $upload) {
+            return new JsonResponse(['error' => 'Upload not found'], Response::HTTP_NOT_FOUND);
+        }
+
+        try {
+            $upload = $this->uploadStore->append((string) $user->getId(), $id, $request->query->getInt('offset'), $request->getContent());
+        } catch (AttachmentUploadException $e) {
+            return new JsonResponse(['error' => $e->getMessage(), 'received' => $upload['received']], Response::HTTP_CONFLICT);
+        }
+
+        return new JsonResponse($this->serializeUpload($upload));
+    }
+
+    /**
+     * Abandonne un envoi (pièce jointe retirée avant l'envoi du message).
+     */
+    #[Route('/{id}', name: 'synapse_api_uploads_delete', methods: ['DELETE'])]
+    public function delete(string $id, Request $request): JsonResponse
+    {
+        $this->denyAccessUnlessCsrfTokenValid($request);
+
+        $user = $this->getUser();
+        if (!$user instanceof ConversationOwnerInterface) {
+            return new JsonResponse(['error' => 'User not authenticated'], Response::HTTP_UNAUTHORIZED);
+        }
+
+        $this->uploadStore->delete((string) $user->getId(), $id);
+
+        return new JsonResponse(['success' => true]);
+    }
+
+    /**
+     * @param array{id: string, name: string, mime_type: string, size: int, received: int} $upload
+     *
+     * @return array<string, mixed>
+     */
+    private function serializeUpload(array $upload): array
+    {
+        return [
+            'id' => $upload['id'],
+            'name' => $upload['name'],
+            'mime_type' => $upload['mime_type'],
+            'size' => $upload['size'],
+            'received' => $upload['received'],
+            'complete' => $upload['received'] === $upload['size'],
+            'chunk_size' => AttachmentUploadStore::CHUNK_SIZE,
+        ];
+    }
+}
@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace ArnaudMoncondhuy\SynapseChat\Controller\UI;
 
+use ArnaudMoncondhuy\SynapseChat\Conversation\MessageBranchResolver;
 use ArnaudMoncondhuy\SynapseCore\Contract\PermissionCheckerInterface;
 use ArnaudMoncondhuy\SynapseCore\Manager\ConversationManager;
 use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
@@ -25,6 +26,7 @@ class ChatUiController extends AbstractController
         private readonly PermissionCheckerInterface $permissionChecker,
         private readonly \ArnaudMoncondhuy\SynapseCore\Contract\ConfigProviderInterface $configProvider,
         private readonly ?ConversationManager $conversationManager = null,
+        private readonly MessageBranchResolver $branchResolver = new MessageBranchResolver(),
     ) {
     }
 
@@ -46,7 +48,12 @@ class ChatUiController extends AbstractController
         if (!empty($currentConversationId) && $this->conversationManager) {
             $conversation = $this->conversationManager->getConversation($currentConversationId, $owner);
             if ($conversation) {
-                $history = $this->conversationManager->getHistoryArray($conversation, true);
+                // ?leaf=<messageId> : rouvre une branche précise (variante ou message édité)
+                $leafId = $request->query->get('leaf');
+                $history = $this->buildActiveHistory(
+                    $this->conversationManager->getHistoryArray($conversation, true),
+                    is_string($leafId) && '' !== $leafId ? $leafId : null,
+                );
             }
         }
 
@@ -59,4 +66,29 @@ class ChatUiController extends AbstractController
             'debug_mode' => $debugMode,
         ]);
     }
+
+    /**
+     * Ne conserve que la branche active de la conversation et attache à chaque
+     * message ses variantes (réponses régénérées, messages édités) sous la clé `variants`
+     * pour le sélecteur "1/3 ‹ ›". Chaque variante porte `branch_leaf` : le dernier
+     * message de sa branche, à rouvrir lorsqu'on bascule dessus.
+     *
+     * @param array<int, array<string, mixed>> $fullHistory
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    private function buildActiveHistory(array $fullHistory, ?string $leafId = null): array
+    {
+        return array_map(static function (array $entry): array {
+            $msg = $entry['message'];
+            if ([] !== $entry['variants']) {
+                $msg['variants'] = array_map(
+                    static fn (array $variant): array => $variant['message'] + ['branch_leaf' => $variant['leaf']],
+                    $entry['variants'],
+                );
+            }
+
+            return $msg;
+        }, $this->branchResolver->activePathWithVariants($fullHistory, $leafId));
+    }
 }
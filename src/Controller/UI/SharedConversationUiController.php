@@ -0,0 +1,146 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Controller\UI;
+
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationShareStore;
+use ArnaudMoncondhuy\SynapseChat\Conversation\MessageBranchResolver;
+use ArnaudMoncondhuy\SynapseChat\Storage\Entity\SynapseConversationShare;
+use ArnaudMoncondhuy\SynapseCore\Manager\ConversationManager;
+use ArnaudMoncondhuy\SynapseCore\Service\AttachmentStorageService;
+use ArnaudMoncondhuy\SynapseCore\Shared\Enum\MessageRole;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseConversation;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseMessage;
+use ArnaudMoncondhuy\SynapseCore\Storage\Repository\SynapseMessageAttachmentRepository;
+use Doctrine\ORM\EntityManagerInterface;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\DependencyInjection\Attribute\Autowire;
+use Symfony\Component\HttpFoundation\BinaryFileResponse;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\Routing\Attribute\Route;
+
+/**
+ * Vue publique en lecture seule d'une conversation partagée (`/synapse/chat/shared/{token}`).
+ *
+ * Le jeton de partage tient lieu d'autorisation : aucune session n'est requise, la route doit
+ * donc être accessible aux anonymes dans le firewall de l'application. Seuls le contenu, le rôle
+ * et la date des messages sont exposés (ni métadonnées, ni tokens, ni variantes).
+ */
+#[Route('%synapse.chat_ui_prefix%/shared/{token}', requirements: ['token' => '[A-Za-z0-9_-]+'])]
+class SharedConversationUiController extends AbstractController
+{
+    public function __construct(
+        private readonly ConversationManager $conversationManager,
+        private readonly ConversationShareStore $shareStore,
+        private readonly SynapseMessageAttachmentRepository $attachmentRepository,
+        private readonly AttachmentStorageService $attachmentStorage,
+        private readonly EntityManagerInterface $em,
+        #[Autowire('%synapse.persistence.message_class%')]
+        private readonly string $messageClass,
+        private readonly MessageBranchResolver $branchResolver = new MessageBranchResolver(),
+    ) {
+    }
+
+    #[Route('', name: 'synapse_chat_shared', methods: ['GET'])]
+    public function show(string $token): Response
+    {
+        $share = $this->shareStore->findByToken($token);
+        // getConversation() sans propriétaire : le jeton a été émis par le propriétaire
+        $conversation = $share ? $this->conversationManager->getConversation($share->getConversationId(), null) : null;
+        if (!$share || !$conversation) {
+            throw $this->createNotFoundException('Shared conversation not found.');
+        }
+
+        $messages = array_map(fn (SynapseMessage $msg) => [
+            'id' => $msg->getId(),
+            'role' => strtolower($msg->getRole()->value),
+            'content' => $msg->getDecryptedContent(),
+            'created_at' => $msg->getCreatedAt()->format('c'),
+            'attachments' => $share->includesAttachments() ? array_map(
+                fn ($att) => ['uuid' => $att->getId(), 'mime_type' => $att->getMimeType(), 'display_name' => $att->getDisplayName()],
+                $this->conversationManager->getAttachmentsByMessageId($msg->getId())
+            ) : [],
+        ], $this->sharedMessages($conversation, $share));
+
+        $response = $this->render('@Synapse/chat/shared.html.twig', [
+            'token' => $token,
+            'title' => $conversation->getTitle(),
+            'shared_at' => $share->getCreatedAt(),
+            'messages' => $messages,
+        ]);
+
+        return $this->withPrivacyHeaders($response);
+    }
+
+    /**
+     * Sert une pièce jointe de la conversation partagée, si le partage les inclut et que
+     * son message fait partie de la branche partagée.
+     */
+    #[Route('/attachments/{uuid}', name: 'synapse_chat_shared_attachment', methods: ['GET'])]
+    public function attachment(string $token, string $uuid): Response
+    {
+        $share = $this->shareStore->findByToken($token);
+        if (!$share || !$share->includesAttachments()) {
+            throw $this->createNotFoundException();
+        }
+
+        $attachment = $this->attachmentRepository->find($uuid);
+        if (!$attachment || !$this->belongsToShare((string) $attachment->getMessageId(), $share)) {
+            throw $this->createNotFoundException();
+        }
+
+        $path = $this->attachmentStorage->getAbsolutePath($attachment);
+        if (!file_exists($path)) {
+            throw $this->createNotFoundException();
+        }
+
+        return $this->withPrivacyHeaders(new BinaryFileResponse($path, 200, [
+            'Content-Type' => $attachment->getMimeType(),
+            'Cache-Control' => 'private, max-age=3600',
+        ]));
+    }
+
+    /**
+     * Messages visibles par le lien : branche partagée, messages utilisateur et assistant uniquement.
+     *
+     * @return list<SynapseMessage>
+     */
+    private function sharedMessages(SynapseConversation $conversation, SynapseConversationShare $share): array
+    {
+        return array_values(array_filter(
+            $this->branchResolver->activePath($this->conversationManager->getMessages($conversation), $share->getLeafMessageId()),
+            fn (SynapseMessage $msg) => in_array($msg->getRole(), [MessageRole::USER, MessageRole::MODEL], true),
+        ));
+    }
+
+    private function belongsToShare(string $messageId, SynapseConversationShare $share): bool
+    {
+        /** @var class-string<SynapseMessage> $messageClass */
+        $messageClass = $this->messageClass;
+        $message = $this->em->find($messageClass, $messageId);
+        if (!$message || (string) $message->getConversation()->getId() !== $share->getConversationId()) {
+            return false;
+        }
+
+        // Les variantes et branches non partagées restent privées
+        foreach ($this->sharedMessages($message->getConversation(), $share) as $shared) {
+            if ((string) $shared->getId() === $messageId) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Le jeton est dans l'URL : ni indexation, ni fuite via le Referer des liens sortants.
+     */
+    private function withPrivacyHeaders(Response $response): Response
+    {
+        $response->headers->set('X-Robots-Tag', 'noindex, nofollow');
+        $response->headers->set('Referrer-Policy', 'no-referrer');
+
+        return $response;
+    }
+}
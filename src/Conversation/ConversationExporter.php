@@ -0,0 +1,127 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Conversation;
+
+/**
+ * Mise en forme d'une conversation pour l'export (Markdown, JSON).
+ *
+ * Travaille sur les messages sérialisés par ConversationApiController (mêmes clés que
+ * `/conversations/{id}/messages`) ; l'export HTML imprimable est rendu par le template
+ * `@Synapse/chat/export.html.twig` à partir des mêmes données.
+ */
+class ConversationExporter
+{
+    public const FORMATS = ['md', 'json', 'html'];
+
+    /**
+     * @param array{id: string, title: string|null, created_at: string, updated_at: string} $conversation
+     * @param list<array<string, mixed>>                                                     $messages
+     */
+    public function toMarkdown(array $conversation, array $messages): string
+    {
+        $lines = ['# '.$this->titleOf($conversation), ''];
+        $lines[] = sprintf('_Exporté le %s — %d message(s)_', (new \DateTimeImmutable())->format('d/m/Y H:i'), count($messages));
+        $lines[] = '';
+
+        foreach ($messages as $message) {
+            $lines[] = '---';
+            $lines[] = '';
+            $lines[] = sprintf('### %s · %s', $this->roleLabel($message), $this->formatDate($message['created_at'] ?? null));
+            $lines[] = '';
+            $lines[] = trim((string) ($message['content'] ?? ''));
+            $lines[] = '';
+
+            foreach ($message['attachments'] ?? [] as $attachment) {
+                $lines[] = sprintf('- 📎 %s (%s)', $attachment['display_name'] ?? $attachment['uuid'] ?? '?', $attachment['mime_type'] ?? 'application/octet-stream');
+            }
+            if ([] !== ($message['attachments'] ?? [])) {
+                $lines[] = '';
+            }
+        }
+
+        return implode("\n", $lines);
+    }
+
+    /**
+     * @param array{id: string, title: string|null, created_at: string, updated_at: string} $conversation
+     * @param list<array<string, mixed>>                                                     $messages
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(array $conversation, array $messages): array
+    {
+        return [
+            'format' => 'synapse-chat-export',
+            'version' => 1,
+            'exported_at' => (new \DateTimeImmutable())->format('c'),
+            'conversation' => [
+                'id' => $conversation['id'],
+                'title' => $conversation['title'],
+                'created_at' => $conversation['created_at'],
+                'updated_at' => $conversation['updated_at'],
+            ],
+            'usage' => [
+                'total_tokens' => array_sum(array_map(fn (array $m) => (int) ($m['tokens'] ?? 0), $messages)),
+            ],
+            'messages' => array_map(fn (array $m) => [
+                'id' => $m['id'] ?? null,
+                'role' => $m['role'] ?? null,
+                'content' => $m['content'] ?? '',
+                'created_at' => $m['created_at'] ?? null,
+                'tokens' => $m['tokens'] ?? null,
+                'metadata' => $m['metadata'] ?? [],
+                'attachments' => $m['attachments'] ?? [],
+            ], $messages),
+        ];
+    }
+
+    /**
+     * Nom de fichier ASCII dérivé du titre (ex. "recette-du-gateau.md"), ou de l'ID à défaut de titre.
+     *
+     * @param array{id: string, title: string|null} $conversation
+     */
+    public function filename(array $conversation, string $extension): string
+    {
+        $slug = strtolower(trim((string) preg_replace('/[^A-Za-z0-9]+/', '-', $this->transliterate((string) $conversation['title'])), '-'));
+
+        return ('' !== $slug ? mb_substr($slug, 0, 80) : 'conversation-'.$conversation['id']).'.'.$extension;
+    }
+
+    /**
+     * @param array{title: string|null} $conversation
+     */
+    public function titleOf(array $conversation): string
+    {
+        return null !== $conversation['title'] && '' !== trim($conversation['title']) ? $conversation['title'] : 'Conversation';
+    }
+
+    /**
+     * @param array<string, mixed> $message
+     */
+    public function roleLabel(array $message): string
+    {
+        return 'user' === strtolower((string) ($message['role'] ?? '')) ? 'Utilisateur' : 'Assistant';
+    }
+
+    private function formatDate(mixed $date): string
+    {
+        if (!is_string($date)) {
+            return '';
+        }
+
+        try {
+            return (new \DateTimeImmutable($date))->format('d/m/Y H:i');
+        } catch (\Exception) {
+            return $date;
+        }
+    }
+
+    private function transliterate(string $text): string
+    {
+        $ascii = function_exists('iconv') ? @iconv('UTF-8', 'ASCII//TRANSLIT//IGNORE', $text) : false;
+
+        return false !== $ascii ? $ascii : $text;
+    }
+}
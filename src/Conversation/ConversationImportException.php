@@ -0,0 +1,27 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Conversation;
+
+/**
+ * Fichier d'import invalide : porte la liste des erreurs de validation (une par champ fautif).
+ */
+class ConversationImportException extends \InvalidArgumentException
+{
+    /**
+     * @param list<string> $errors
+     */
+    public function __construct(private readonly array $errors)
+    {
+        parent::__construct(implode(' ', $errors));
+    }
+
+    /**
+     * @return list<string>
+     */
+    public function getErrors(): array
+    {
+        return $this->errors;
+    }
+}
@@ -0,0 +1,193 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Conversation;
+
+use ArnaudMoncondhuy\SynapseCore\Contract\ConversationOwnerInterface;
+use ArnaudMoncondhuy\SynapseCore\Manager\ConversationManager;
+use ArnaudMoncondhuy\SynapseCore\Shared\Enum\MessageRole;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseConversation;
+
+/**
+ * Import d'une conversation depuis un fichier JSON.
+ *
+ * Format accepté (celui produit par l'export JSON, voir ConversationExporter::toArray()) :
+ *
+ *     {
+ *         "conversation": {"title": "…"},
+ *         "messages": [
+ *             {"role": "user", "content": "…", "attachments": [{"mime_type": "image/png", "data": "<base64>", "display_name": "…"}]},
+ *             {"role": "assistant", "content": "…"}
+ *         ]
+ *     }
+ *
+ * Rôles acceptés : `user`, `assistant` ou `model`. Les pièces jointes sans `data` (métadonnées
+ * seules, comme dans un export) sont ignorées et comptées dans `skipped_attachments`.
+ * Les messages sont recréés dans l'ordre, en une seule branche.
+ */
+class ConversationImporter
+{
+    public const MAX_MESSAGES = 1000;
+    public const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+    private const ROLES = [
+        'user' => MessageRole::USER,
+        'assistant' => MessageRole::MODEL,
+        'model' => MessageRole::MODEL,
+    ];
+
+    public function __construct(
+        private readonly ConversationManager $conversationManager,
+    ) {
+    }
+
+    /**
+     * Valide le fichier et le normalise.
+     *
+     * @return array{
+     *     title: string|null,
+     *     messages: list<array{role: MessageRole, content: string, created_at: string|null, attachments: list<array{mime_type: string, data: string, name: string|null}>}>,
+     *     skipped_attachments: int
+     * }
+     *
+     * @throws ConversationImportException
+     */
+    public function parse(string $json): array
+    {
+        try {
+            $data = json_decode($json, true, 512, \JSON_THROW_ON_ERROR);
+        } catch (\JsonException) {
+            throw new ConversationImportException(['Le fichier n\'est pas un JSON valide.']);
+        }
+
+        if (!is_array($data) || !is_array($data['messages'] ?? null) || !array_is_list($data['messages'])) {
+            throw new ConversationImportException(['Le champ "messages" (liste) est obligatoire.']);
+        }
+        if ([] === $data['messages']) {
+            throw new ConversationImportException(['La conversation ne contient aucun message.']);
+        }
+        if (count($data['messages']) > self::MAX_MESSAGES) {
+            throw new ConversationImportException([sprintf('Trop de messages (%d maximum).', self::MAX_MESSAGES)]);
+        }
+
+        $titleRaw = is_array($data['conversation'] ?? null) ? ($data['conversation']['title'] ?? null) : null;
+        $title = is_string($titleRaw) && '' !== trim($titleRaw) ? mb_substr(trim($titleRaw), 0, 255) : null;
+
+        $errors = [];
+        $messages = [];
+        $skipped = 0;
+        foreach ($data['messages'] as $i => $message) {
+            $path = sprintf('messages[%d]', $i);
+            if (!is_array($message)) {
+                $errors[] = sprintf('%s : objet attendu.', $path);
+                continue;
+            }
+
+            $role = is_string($message['role'] ?? null) ? (self::ROLES[strtolower($message['role'])] ?? null) : null;
+            if (null === $role) {
+                $errors[] = sprintf('%s.role : "user", "assistant" ou "model" attendu.', $path);
+            }
+            $content = $message['content'] ?? '';
+            if (!is_string($content)) {
+                $errors[] = sprintf('%s.content : texte attendu.', $path);
+                $content = '';
+            }
+
+            $attachments = [];
+            $attachmentsRaw = $message['attachments'] ?? [];
+            if (!is_array($attachmentsRaw) || !array_is_list($attachmentsRaw)) {
+                $errors[] = sprintf('%s.attachments : liste attendue.', $path);
+                $attachmentsRaw = [];
+            }
+            foreach ($attachmentsRaw as $j => $attachment) {
+                $attachmentPath = sprintf('%s.attachments[%d]', $path, $j);
+                if (!is_array($attachment)) {
+                    $errors[] = sprintf('%s : objet attendu.', $attachmentPath);
+                    continue;
+                }
+                if (!isset($attachment['data'])) {
+                    ++$skipped;
+                    continue;
+                }
+
+                $error = $this->validateAttachment($attachment);
+                if (null !== $error) {
+                    $errors[] = sprintf('%s : %s', $attachmentPath, $error);
+                    continue;
+                }
+
+                $name = $attachment['display_name'] ?? $attachment['name'] ?? null;
+                $attachments[] = [
+                    'mime_type' => $attachment['mime_type'],
+                    'data' => $attachment['data'],
+                    'name' => is_string($name) ? $name : null,
+                ];
+            }
+
+            if ('' === trim($content) && [] === $attachments && null !== $role) {
+                $errors[] = sprintf('%s : message vide.', $path);
+            }
+
+            if (null !== $role) {
+                $messages[] = [
+                    'role' => $role,
+                    'content' => $content,
+                    'created_at' => is_string($message['created_at'] ?? null) ? $message['created_at'] : null,
+                    'attachments' => $attachments,
+                ];
+            }
+        }
+
+        if ([] !== $errors) {
+            throw new ConversationImportException($errors);
+        }
+
+        return ['title' => $title, 'messages' => $messages, 'skipped_attachments' => $skipped];
+    }
+
+    /**
+     * Crée la conversation et ses messages à partir d'un fichier validé par parse().
+     *
+     * @param array{title: string|null, messages: list<array{role: MessageRole, content: string, created_at: string|null, attachments: list<array{mime_type: string, data: string, name: string|null}>}>} $import
+     */
+    public function import(ConversationOwnerInterface $user, array $import): SynapseConversation
+    {
+        $conversation = $this->conversationManager->createConversation($user);
+
+        foreach ($import['messages'] as $message) {
+            $metadata = ['imported' => true];
+            if (null !== $message['created_at']) {
+                $metadata['imported_created_at'] = $message['created_at'];
+            }
+
+            $this->conversationManager->saveMessage($conversation, $message['role'], $message['content'], $metadata, null, $message['attachments']);
+        }
+
+        $this->conversationManager->updateTitle($conversation, $import['title'] ?? 'Conversation importée');
+
+        return $conversation;
+    }
+
+    /**
+     * @param array<mixed> $attachment
+     */
+    private function validateAttachment(array $attachment): ?string
+    {
+        $mimeType = $attachment['mime_type'] ?? null;
+        if (!is_string($mimeType) || 1 !== preg_match('#^[a-z0-9][a-z0-9.+-]*/[a-z0-9][a-z0-9.+-]*$#i', $mimeType)) {
+            return 'type MIME invalide.';
+        }
+
+        $data = $attachment['data'];
+        $decoded = is_string($data) ? base64_decode($data, true) : false;
+        if (false === $decoded) {
+            return 'contenu base64 invalide.';
+        }
+        if (strlen($decoded) > self::MAX_ATTACHMENT_BYTES) {
+            return sprintf('fichier trop volumineux (%d Mo maximum).', self::MAX_ATTACHMENT_BYTES / 1024 / 1024);
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,89 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Conversation;
+
+use ArnaudMoncondhuy\SynapseCore\Contract\ConversationOwnerInterface;
+use ArnaudMoncondhuy\SynapseCore\Shared\Enum\ConversationStatus;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseConversation;
+use Doctrine\ORM\EntityManagerInterface;
+use Doctrine\ORM\QueryBuilder;
+
+/**
+ * Requêtes de la liste des conversations d'un utilisateur (hors conversations supprimées),
+ * de la plus récente à la plus ancienne.
+ *
+ * Le curseur est appliqué par la base (`(updated_at, id) < curseur`, `LIMIT n + 1`) : une page
+ * coûte une requête de `n + 1` lignes, quel que soit le nombre de conversations.
+ */
+class ConversationListStore
+{
+    public function __construct(
+        private readonly EntityManagerInterface $em,
+        private readonly ConversationPaginator $paginator = new ConversationPaginator(),
+    ) {
+    }
+
+    /**
+     * @param string|null  $cursor      curseur `updated_at,id` (`before`) de la dernière conversation de la page précédente
+     * @param list<string> $excludedIds conversations à écarter des pages (épinglées)
+     *
+     * @return array{items: list<SynapseConversation>, next_cursor: string|null}
+     *
+     * @throws \InvalidArgumentException si le curseur est mal formé
+     */
+    public function page(ConversationOwnerInterface $owner, ?string $cursor, int $limit, array $excludedIds = []): array
+    {
+        $qb = $this->ownedBy($owner)->setMaxResults($limit + 1);
+
+        if (null !== $cursor && '' !== $cursor) {
+            [$updatedAt, $id] = $this->paginator->parseCursor($cursor);
+            $qb->andWhere('c.updatedAt < :cursorDate OR (c.updatedAt = :cursorDate AND c.id < :cursorId)')
+                ->setParameter('cursorDate', $updatedAt)
+                ->setParameter('cursorId', $id);
+        }
+        if ([] !== $excludedIds) {
+            $qb->andWhere('c.id NOT IN (:excludedIds)')->setParameter('excludedIds', $excludedIds);
+        }
+
+        /** @var list<SynapseConversation> $conversations */
+        $conversations = $qb->getQuery()->getResult();
+
+        return $this->paginator->page($conversations, $limit);
+    }
+
+    /**
+     * @param list<string> $ids
+     *
+     * @return list<SynapseConversation> conversations de l'utilisateur parmi `$ids`, dans l'ordre de la liste
+     */
+    public function findByIds(ConversationOwnerInterface $owner, array $ids): array
+    {
+        if ([] === $ids) {
+            return [];
+        }
+
+        /** @var list<SynapseConversation> $conversations */
+        $conversations = $this->ownedBy($owner)
+            ->andWhere('c.id IN (:ids)')
+            ->setParameter('ids', $ids)
+            ->getQuery()
+            ->getResult();
+
+        return $conversations;
+    }
+
+    private function ownedBy(ConversationOwnerInterface $owner): QueryBuilder
+    {
+        return $this->em->createQueryBuilder()
+            ->select('c')
+            ->from(SynapseConversation::class, 'c')
+            ->where('c.owner = :owner')
+            ->andWhere('c.status != :deleted')
+            ->setParameter('owner', $owner)
+            ->setParameter('deleted', ConversationStatus::DELETED)
+            ->orderBy('c.updatedAt', 'DESC')
+            ->addOrderBy('c.id', 'DESC');
+    }
+}
@@ -0,0 +1,61 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Conversation;
+
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseConversation;
+
+/**
+ * Pagination par curseur de la liste des conversations.
+ *
+ * Les conversations sont triées de la plus récente à la plus ancienne (`updated_at`, puis ID
+ * pour départager). Le curseur `updated_at,id` désigne le dernier élément d'une page : la page
+ * suivante commence strictement après lui, ce qui reste stable même si des conversations sont
+ * créées ou modifiées entre deux chargements (contrairement à un offset).
+ *
+ * Le filtrage et le tri sont faits par la requête (ConversationListStore) ; cette classe encode
+ * et décode le curseur et découpe le résultat.
+ */
+class ConversationPaginator
+{
+    /**
+     * Découpe une page à partir des `$limit + 1` premières conversations suivant le curseur :
+     * la conversation en trop indique qu'une page suivante existe.
+     *
+     * @param list<SynapseConversation> $conversations déjà triées, au plus `$limit + 1`
+     *
+     * @return array{items: list<SynapseConversation>, next_cursor: string|null}
+     */
+    public function page(array $conversations, int $limit): array
+    {
+        $items = array_slice($conversations, 0, $limit);
+        $hasMore = count($conversations) > $limit;
+
+        return [
+            'items' => $items,
+            'next_cursor' => $hasMore && [] !== $items ? $this->cursorOf($items[count($items) - 1]) : null,
+        ];
+    }
+
+    public function cursorOf(SynapseConversation $conversation): string
+    {
+        return $conversation->getUpdatedAt()->format(\DATE_ATOM).','.$conversation->getId();
+    }
+
+    /**
+     * @return array{\DateTimeImmutable, string} [updated_at, ID]
+     *
+     * @throws \InvalidArgumentException si le curseur est mal formé
+     */
+    public function parseCursor(string $cursor): array
+    {
+        $parts = explode(',', $cursor, 2);
+        $date = \DateTimeImmutable::createFromFormat(\DATE_ATOM, $parts[0]);
+        if (2 !== count($parts) || false === $date || '' === $parts[1]) {
+            throw new \InvalidArgumentException(sprintf('Invalid cursor "%s".', $cursor));
+        }
+
+        return [$date, $parts[1]];
+    }
+}
@@ -0,0 +1,45 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Conversation;
+
+use ArnaudMoncondhuy\SynapseChat\Storage\Entity\SynapseConversationPin;
+use Doctrine\ORM\EntityManagerInterface;
+
+/**
+ * Lecture et écriture des conversations épinglées d'un utilisateur.
+ */
+class ConversationPinStore
+{
+    public function __construct(
+        private readonly EntityManagerInterface $em,
+    ) {
+    }
+
+    /**
+     * @return list<string> IDs des conversations épinglées
+     */
+    public function pinnedIds(string $ownerId): array
+    {
+        $pins = $this->em->getRepository(SynapseConversationPin::class)->findBy(['ownerId' => $ownerId]);
+
+        return array_values(array_map(fn (SynapseConversationPin $pin) => $pin->getConversationId(), $pins));
+    }
+
+    public function setPinned(string $ownerId, string $conversationId, bool $pinned): void
+    {
+        $pin = $this->em->getRepository(SynapseConversationPin::class)->findOneBy([
+            'ownerId' => $ownerId,
+            'conversationId' => $conversationId,
+        ]);
+
+        if ($pinned && null === $pin) {
+            $this->em->persist(new SynapseConversationPin($ownerId, $conversationId));
+            $this->em->flush();
+        } elseif (!$pinned && null !== $pin) {
+            $this->em->remove($pin);
+            $this->em->flush();
+        }
+    }
+}
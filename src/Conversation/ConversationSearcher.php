@@ -0,0 +1,242 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Conversation;
+
+use ArnaudMoncondhuy\SynapseCore\Contract\ConversationOwnerInterface;
+use ArnaudMoncondhuy\SynapseCore\Manager\ConversationManager;
+use ArnaudMoncondhuy\SynapseCore\Shared\Enum\MessageRole;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseMessage;
+
+/**
+ * Recherche plein texte dans l'historique d'un utilisateur (titres et contenu des messages).
+ *
+ * Le contenu des messages étant chiffré en base, la recherche ne peut pas être déléguée
+ * à SQL : les conversations les plus récentes (SCAN_LIMIT) sont déchiffrées puis filtrées
+ * en PHP. La comparaison ignore la casse et les accents ; tous les termes de la requête
+ * doivent apparaître dans le titre ou dans un même message.
+ *
+ * Le déchiffrement des messages est plafonné par recherche (MESSAGE_BUDGET) : au-delà, les
+ * conversations plus anciennes ne sont plus cherchées que par leur titre.
+ */
+class ConversationSearcher
+{
+    /** Nombre maximal de conversations parcourues par recherche */
+    public const SCAN_LIMIT = 500;
+
+    /** Nombre maximal de messages déchiffrés par recherche */
+    public const MESSAGE_BUDGET = 2000;
+
+    /** Nombre maximal d'extraits retournés par conversation */
+    public const MAX_MATCHES_PER_CONVERSATION = 3;
+
+    private const MIN_TERM_LENGTH = 2;
+    private const SNIPPET_LENGTH = 160;
+    private const SNIPPET_CONTEXT_BEFORE = 50;
+
+    private const FOLD_MAP = [
+        'à' => 'a', 'â' => 'a', 'ä' => 'a', 'á' => 'a', 'ã' => 'a', 'å' => 'a',
+        'ç' => 'c',
+        'è' => 'e', 'é' => 'e', 'ê' => 'e', 'ë' => 'e',
+        'ì' => 'i', 'í' => 'i', 'î' => 'i', 'ï' => 'i',
+        'ñ' => 'n',
+        'ò' => 'o', 'ó' => 'o', 'ô' => 'o', 'ö' => 'o', 'õ' => 'o',
+        'ù' => 'u', 'ú' => 'u', 'û' => 'u', 'ü' => 'u',
+        'ý' => 'y', 'ÿ' => 'y',
+        '’' => "'",
+    ];
+
+    public function __construct(
+        private readonly ConversationManager $conversationManager,
+        private readonly MessageBranchResolver $branchResolver = new MessageBranchResolver(),
+    ) {
+    }
+
+    /**
+     * @return list<array{
+     *     id: string,
+     *     title: string|null,
+     *     title_html: string,
+     *     updated_at: string,
+     *     matches: list<array{message_id: string, role: string, created_at: string, snippet_html: string, branch_leaf: string|null}>
+     * }>
+     */
+    public function search(ConversationOwnerInterface $user, string $query, int $limit = 20): array
+    {
+        $terms = $this->parseTerms($query);
+        if ([] === $terms) {
+            return [];
+        }
+
+        $results = [];
+        $budget = self::MESSAGE_BUDGET;
+        foreach ($this->conversationManager->getUserConversations($user, null, self::SCAN_LIMIT) as $conversation) {
+            $title = $conversation->getTitle();
+            $titleMatches = null !== $title && $this->containsAll($title, $terms);
+
+            // Budget épuisé : la conversation n'est plus cherchée que par son titre
+            $budget -= $conversation->getMessageCount();
+            $messages = $budget >= 0 ? $this->conversationManager->getMessages($conversation) : [];
+            $matches = [];
+            foreach ($messages as $message) {
+                if (!in_array($message->getRole(), [MessageRole::USER, MessageRole::MODEL], true)) {
+                    continue;
+                }
+                $content = (string) $message->getDecryptedContent();
+                if (!$this->containsAll($content, $terms)) {
+                    continue;
+                }
+
+                $matches[] = $this->serializeMatch($messages, $message, $content, $terms);
+                if (count($matches) >= self::MAX_MATCHES_PER_CONVERSATION) {
+                    break;
+                }
+            }
+
+            if (!$titleMatches && [] === $matches) {
+                continue;
+            }
+
+            $results[] = [
+                'id' => (string) $conversation->getId(),
+                'title' => $title,
+                'title_html' => $titleMatches ? $this->highlight($title, $terms) : htmlspecialchars((string) $title, ENT_QUOTES),
+                'updated_at' => $conversation->getUpdatedAt()->format('c'),
+                'matches' => $matches,
+            ];
+            if (count($results) >= $limit) {
+                break;
+            }
+        }
+
+        return $results;
+    }
+
+    /**
+     * Extrait HTML (échappé) centré sur la première occurrence d'un terme, termes entourés de `<mark>`.
+     *
+     * @param list<string> $terms termes déjà normalisés (voir parseTerms())
+     */
+    public function snippet(string $text, array $terms): string
+    {
+        $text = trim((string) preg_replace('/\s+/u', ' ', $text));
+        $folded = $this->fold($text);
+        $length = mb_strlen($text);
+
+        $first = $length;
+        foreach ($terms as $term) {
+            $pos = mb_strpos($folded, $term);
+            if (false !== $pos && $pos < $first) {
+                $first = $pos;
+            }
+        }
+        if ($first === $length) {
+            $first = 0;
+        }
+
+        $start = max(0, min($first - self::SNIPPET_CONTEXT_BEFORE, $length - self::SNIPPET_LENGTH));
+        $excerpt = mb_substr($text, $start, self::SNIPPET_LENGTH);
+
+        return ($start > 0 ? '…' : '')
+            .$this->highlight($excerpt, $terms)
+            .($start + self::SNIPPET_LENGTH < $length ? '…' : '');
+    }
+
+    /**
+     * Découpe la requête en termes normalisés (minuscules, sans accents, dédoublonnés).
+     *
+     * @return list<string>
+     */
+    public function parseTerms(string $query): array
+    {
+        $terms = preg_split('/\s+/u', $this->fold(trim($query)), -1, PREG_SPLIT_NO_EMPTY) ?: [];
+        $terms = array_filter($terms, fn (string $term) => mb_strlen($term) >= self::MIN_TERM_LENGTH);
+
+        return array_values(array_unique($terms));
+    }
+
+    /**
+     * @param list<SynapseMessage> $messages
+     * @param list<string>         $terms
+     *
+     * @return array{message_id: string, role: string, created_at: string, snippet_html: string, branch_leaf: string|null}
+     */
+    private function serializeMatch(array $messages, SynapseMessage $message, string $content, array $terms): array
+    {
+        $id = (string) $message->getId();
+
+        return [
+            'message_id' => $id,
+            'role' => $message->getRole()->value,
+            'created_at' => $message->getCreatedAt()->format('c'),
+            'snippet_html' => $this->snippet($content, $terms),
+            // Branche à ouvrir pour que le message trouvé soit affiché (il peut appartenir à une ancienne variante)
+            'branch_leaf' => $this->branchResolver->latestLeaf($messages, $id),
+        ];
+    }
+
+    /**
+     * @param list<string> $terms
+     */
+    private function containsAll(string $text, array $terms): bool
+    {
+        $folded = $this->fold($text);
+        foreach ($terms as $term) {
+            if (!str_contains($folded, $term)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Échappe $text et entoure chaque occurrence des termes de `<mark>`.
+     *
+     * @param list<string> $terms
+     */
+    private function highlight(string $text, array $terms): string
+    {
+        $folded = $this->fold($text);
+        $marked = array_fill(0, mb_strlen($text), false);
+        foreach ($terms as $term) {
+            $termLength = mb_strlen($term);
+            $offset = 0;
+            while (false !== ($pos = mb_strpos($folded, $term, $offset))) {
+                for ($i = $pos; $i < $pos + $termLength; ++$i) {
+                    $marked[$i] = true;
+                }
+                $offset = $pos + $termLength;
+            }
+        }
+
+        $html = '';
+        $open = false;
+        foreach (mb_str_split($text) as $i => $char) {
+            if ($marked[$i] !== $open) {
+                $html .= $open ? '</mark>' : '<mark>';
+                $open = $marked[$i];
+            }
+            $html .= htmlspecialchars($char, ENT_QUOTES);
+        }
+
+        return $html.($open ? '</mark>' : '');
+    }
+
+    /**
+     * Minuscules et sans accents, caractère par caractère : chaque caractère donne exactement
+     * un caractère, les positions restent donc alignées sur le texte d'origine, ce qui permet
+     * de surligner ce dernier. Les minuscules en plusieurs caractères (« İ » → « i̇ ») sont
+     * réduites à leur premier caractère.
+     */
+    private function fold(string $text): string
+    {
+        $folded = '';
+        foreach (mb_str_split($text) as $char) {
+            $folded .= mb_substr(mb_strtolower($char), 0, 1);
+        }
+
+        return strtr($folded, self::FOLD_MAP);
+    }
+}
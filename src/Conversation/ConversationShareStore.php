@@ -0,0 +1,74 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Conversation;
+
+use ArnaudMoncondhuy\SynapseChat\Storage\Entity\SynapseConversationShare;
+use Doctrine\ORM\EntityManagerInterface;
+
+/**
+ * Création, lecture et révocation des liens de partage (un seul lien actif par conversation).
+ */
+class ConversationShareStore
+{
+    public function __construct(
+        private readonly EntityManagerInterface $em,
+    ) {
+    }
+
+    public function find(string $ownerId, string $conversationId): ?SynapseConversationShare
+    {
+        return $this->em->getRepository(SynapseConversationShare::class)->findOneBy([
+            'ownerId' => $ownerId,
+            'conversationId' => $conversationId,
+        ]);
+    }
+
+    public function findByToken(string $token): ?SynapseConversationShare
+    {
+        return $this->em->getRepository(SynapseConversationShare::class)->findOneBy(['token' => $token]);
+    }
+
+    /**
+     * Crée un nouveau lien ; le lien précédent de la conversation est révoqué.
+     */
+    public function share(string $ownerId, string $conversationId, bool $includeAttachments, ?string $leafMessageId = null): SynapseConversationShare
+    {
+        $this->removeAll($conversationId);
+
+        $share = new SynapseConversationShare($this->generateToken(), $ownerId, $conversationId, $includeAttachments, $leafMessageId);
+        $this->em->persist($share);
+        $this->em->flush();
+
+        return $share;
+    }
+
+    /**
+     * Révoque le lien de la conversation (sans effet s'il n'y en a pas).
+     */
+    public function revoke(string $conversationId): void
+    {
+        if ($this->removeAll($conversationId)) {
+            $this->em->flush();
+        }
+    }
+
+    /**
+     * Jeton URL-safe de 32 caractères (192 bits d'entropie).
+     */
+    public function generateToken(): string
+    {
+        return rtrim(strtr(base64_encode(random_bytes(24)), '+/', '-_'), '=');
+    }
+
+    private function removeAll(string $conversationId): bool
+    {
+        $shares = $this->em->getRepository(SynapseConversationShare::class)->findBy(['conversationId' => $conversationId]);
+        foreach ($shares as $share) {
+            $this->em->remove($share);
+        }
+
+        return [] !== $shares;
+    }
+}
@@ -0,0 +1,240 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Conversation;
+
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseMessage;
+
+/**
+ * Résout la branche active d'une conversation.
+ *
+ * Les messages sont stockés à plat (ordre chronologique). Une régénération de réponse
+ * ou l'édition d'un message utilisateur crée un message frère : il porte
+ * `metadata.branch_parent` = ID du message auquel il fait suite ('root' pour le premier message).
+ * Un message sans `branch_parent` suit simplement le message chronologiquement précédent.
+ *
+ * Accepte indifféremment des entités SynapseMessage (API) ou des tableaux issus de
+ * ConversationManager::getHistoryArray() (UI), et retourne des éléments du même type.
+ */
+class MessageBranchResolver
+{
+    public const METADATA_KEY = 'branch_parent';
+    public const ROOT = 'root';
+
+    /**
+     * Retourne les messages de la branche se terminant par $leafId (ou par le dernier message créé).
+     * Avec $leafId = 'root', la branche est vide (édition du premier message).
+     *
+     * @template T of SynapseMessage|array<string, mixed>
+     *
+     * @param list<T> $messages messages dans l'ordre chronologique
+     *
+     * @return list<T>
+     */
+    public function activePath(array $messages, ?string $leafId = null): array
+    {
+        $messages = array_values($messages);
+        if (self::ROOT === $leafId) {
+            return [];
+        }
+        if ([] === $messages || (null === $leafId && !$this->hasBranches($messages))) {
+            return $messages;
+        }
+
+        $parents = $this->resolveParents($messages);
+        $positions = $this->indexById($messages);
+
+        $cursor = null !== $leafId && isset($positions[$leafId]) ? $positions[$leafId] : count($messages) - 1;
+        $path = [];
+        $visited = [];
+        while (null !== $cursor && !isset($visited[$cursor])) {
+            $visited[$cursor] = true;
+            array_unshift($path, $messages[$cursor]);
+            $cursor = $parents[$cursor];
+        }
+
+        return $path;
+    }
+
+    /**
+     * Retourne les variantes d'un message (lui compris) : messages de même rôle
+     * répondant au même parent, dans l'ordre chronologique.
+     *
+     * @template T of SynapseMessage|array<string, mixed>
+     *
+     * @param list<T> $messages
+     *
+     * @return list<T>
+     */
+    public function siblings(array $messages, string $messageId): array
+    {
+        $messages = array_values($messages);
+        $positions = $this->indexById($messages);
+        if (!isset($positions[$messageId])) {
+            return [];
+        }
+
+        $parents = $this->resolveParents($messages);
+        $target = $positions[$messageId];
+        $role = $this->roleOf($messages[$target]);
+
+        $siblings = [];
+        foreach ($messages as $i => $message) {
+            if ($parents[$i] === $parents[$target] && $this->roleOf($message) === $role) {
+                $siblings[] = $message;
+            }
+        }
+
+        return $siblings;
+    }
+
+    /**
+     * Branche active dont chaque message est accompagné de ses variantes (lui compris)
+     * et, pour chacune, du dernier message de sa branche (`leaf`).
+     * `variants` est vide lorsque le message n'a pas d'alternative.
+     *
+     * @template T of SynapseMessage|array<string, mixed>
+     *
+     * @param list<T> $messages
+     *
+     * @return list<array{message: T, variants: list<array{message: T, leaf: string|null}>}>
+     */
+    public function activePathWithVariants(array $messages, ?string $leafId = null): array
+    {
+        $messages = array_values($messages);
+
+        return array_map(function (SynapseMessage|array $message) use ($messages): array {
+            $id = $this->idOf($message);
+            $siblings = null !== $id ? $this->siblings($messages, $id) : [];
+            $variants = [];
+            if (count($siblings) > 1) {
+                foreach ($siblings as $sibling) {
+                    $siblingId = $this->idOf($sibling);
+                    $variants[] = ['message' => $sibling, 'leaf' => null !== $siblingId ? $this->latestLeaf($messages, $siblingId) : null];
+                }
+            }
+
+            return ['message' => $message, 'variants' => $variants];
+        }, $this->activePath($messages, $leafId));
+    }
+
+    /**
+     * Retourne l'ID du message le plus récent de la branche passant par $messageId
+     * (lui-même s'il n'a pas de suite), pour rouvrir cette branche telle qu'on l'a laissée.
+     *
+     * @param list<SynapseMessage|array<string, mixed>> $messages
+     */
+    public function latestLeaf(array $messages, string $messageId): ?string
+    {
+        $messages = array_values($messages);
+        $positions = $this->indexById($messages);
+        if (!isset($positions[$messageId])) {
+            return null;
+        }
+
+        $parents = $this->resolveParents($messages);
+        $target = $positions[$messageId];
+        for ($i = count($messages) - 1; $i > $target; --$i) {
+            $cursor = $i;
+            while (null !== $cursor && $cursor > $target) {
+                $cursor = $parents[$cursor];
+            }
+            if ($cursor === $target) {
+                return $this->idOf($messages[$i]);
+            }
+        }
+
+        return $messageId;
+    }
+
+    /**
+     * @param list<SynapseMessage|array<string, mixed>> $messages
+     */
+    private function hasBranches(array $messages): bool
+    {
+        foreach ($messages as $message) {
+            if (null !== $this->explicitParentOf($message)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Calcule, pour chaque position, la position du parent effectif (null = racine).
+     *
+     * @param list<SynapseMessage|array<string, mixed>> $messages
+     *
+     * @return array<int, int|null>
+     */
+    private function resolveParents(array $messages): array
+    {
+        $positions = $this->indexById($messages);
+        $parents = [];
+        foreach ($messages as $i => $message) {
+            $explicit = $this->explicitParentOf($message);
+            if (self::ROOT === $explicit) {
+                $parents[$i] = null;
+            } elseif (null !== $explicit && isset($positions[$explicit]) && $positions[$explicit] < $i) {
+                $parents[$i] = $positions[$explicit];
+            } else {
+                $parents[$i] = $i > 0 ? $i - 1 : null;
+            }
+        }
+
+        return $parents;
+    }
+
+    /**
+     * @param list<SynapseMessage|array<string, mixed>> $messages
+     *
+     * @return array<string, int>
+     */
+    private function indexById(array $messages): array
+    {
+        $positions = [];
+        foreach ($messages as $i => $message) {
+            $id = $this->idOf($message);
+            if (null !== $id) {
+                $positions[$id] = $i;
+            }
+        }
+
+        return $positions;
+    }
+
+    /**
+     * @param SynapseMessage|array<string, mixed> $message
+     */
+    private function idOf(SynapseMessage|array $message): ?string
+    {
+        $id = is_array($message) ? ($message['id'] ?? null) : $message->getId();
+
+        return null !== $id && '' !== (string) $id ? (string) $id : null;
+    }
+
+    /**
+     * @param SynapseMessage|array<string, mixed> $message
+     */
+    private function roleOf(SynapseMessage|array $message): string
+    {
+        $role = is_array($message) ? ($message['role'] ?? '') : $message->getRole()->value;
+        $role = is_string($role) ? strtolower($role) : '';
+
+        // getHistoryArray() peut exposer 'assistant' là où l'entité stocke 'model'
+        return 'assistant' === $role ? 'model' : $role;
+    }
+
+    /**
+     * @param SynapseMessage|array<string, mixed> $message
+     */
+    private function explicitParentOf(SynapseMessage|array $message): ?string
+    {
+        $metadata = is_array($message) ? ($message['metadata'] ?? null) : $message->getMetadata();
+        $parent = is_array($metadata) ? ($metadata[self::METADATA_KEY] ?? null) : null;
+
+        return is_string($parent) && '' !== $parent ? $parent : null;
+    }
+}
@@ -17,6 +17,7 @@ use Symfony\Component\DependencyInjection\Loader\YamlFileLoader;
  * 1. Enregistrer les chemins Twig pour le widget chat
  * 2. Configurer AssetMapper pour les assets chat (JS + CSS)
  * 3. Charger les contrôleurs API (ChatApiController, CsrfController, ResetController, ConversationApiController)
+ * 4. Déclarer le mapping Doctrine des entités propres au chat (épinglage et liens de partage des conversations)
  */
 class SynapseChatExtension extends Extension implements PrependExtensionInterface
 {
@@ -47,6 +48,23 @@ class SynapseChatExtension extends Extension implements PrependExtensionInterfac
             ]);
         }
 
+        // Mapping Doctrine des entités du chat (tables synapse_conversation_pin et synapse_conversation_share).
+        if ($container->hasExtension('doctrine')) {
+            $container->prependExtensionConfig('doctrine', [
+                'orm' => [
+                    'mappings' => [
+                        'SynapseChat' => [
+                            'type' => 'attribute',
+                            'is_bundle' => false,
+                            'dir' => \dirname(__DIR__).'/Storage/Entity',
+                            'prefix' => 'ArnaudMoncondhuy\\SynapseChat\\Storage\\Entity',
+                            'alias' => 'SynapseChat',
+                        ],
+                    ],
+                ],
+            ]);
+        }
+
         // Enregistrement des traductions chat.
         if ($container->hasExtension('framework')) {
             $container->prependExtensionConfig('framework', [
@@ -64,6 +82,12 @@ class SynapseChatExtension extends Extension implements PrependExtensionInterfac
      */
     public function load(array $configs, ContainerBuilder $container): void
     {
+        // Répertoire des pièces jointes envoyées avant le message (AttachmentUploadStore).
+        // Surchargeable dans les `parameters` de l'application, par exemple vers un volume partagé.
+        if (!$container->hasParameter('synapse_chat.upload_directory')) {
+            $container->setParameter('synapse_chat.upload_directory', '%kernel.project_dir%/var/synapse_chat/uploads');
+        }
+
         $configDir = \dirname(__DIR__, 1).'/../config';
         $loader = new YamlFileLoader($container, new FileLocator($configDir));
 
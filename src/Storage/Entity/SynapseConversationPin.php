@@ -0,0 +1,57 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Storage\Entity;
+
+use Doctrine\ORM\Mapping as ORM;
+
+/**
+ * Conversation épinglée par un utilisateur (groupe "Épinglées" en tête de la sidebar).
+ *
+ * Stockée à part de SynapseConversation (Core) : l'épinglage est une préférence d'affichage
+ * propre à l'interface de chat. Les références sont de simples IDs, une épingle orpheline
+ * (conversation supprimée) est donc sans effet.
+ */
+#[ORM\Entity]
+#[ORM\Table(name: 'synapse_conversation_pin')]
+#[ORM\UniqueConstraint(name: 'synapse_conversation_pin_owner_conversation', columns: ['owner_id', 'conversation_id'])]
+class SynapseConversationPin
+{
+    #[ORM\Id]
+    #[ORM\GeneratedValue]
+    #[ORM\Column]
+    private ?int $id = null;
+
+    #[ORM\Column]
+    private \DateTimeImmutable $pinnedAt;
+
+    public function __construct(
+        #[ORM\Column(length: 255)]
+        private string $ownerId,
+        #[ORM\Column(length: 255)]
+        private string $conversationId,
+    ) {
+        $this->pinnedAt = new \DateTimeImmutable();
+    }
+
+    public function getId(): ?int
+    {
+        return $this->id;
+    }
+
+    public function getOwnerId(): string
+    {
+        return $this->ownerId;
+    }
+
+    public function getConversationId(): string
+    {
+        return $this->conversationId;
+    }
+
+    public function getPinnedAt(): \DateTimeImmutable
+    {
+        return $this->pinnedAt;
+    }
+}
@@ -0,0 +1,79 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Storage\Entity;
+
+use Doctrine\ORM\Mapping as ORM;
+
+/**
+ * Lien de partage public en lecture seule d'une conversation.
+ *
+ * Le jeton est le seul secret : quiconque le connaît peut lire la conversation jusqu'à
+ * révocation (suppression de la ligne). Le partage fige la branche affichée au moment
+ * du partage (`leafMessageId`) ; sans leaf, c'est la branche la plus récente qui est servie.
+ */
+#[ORM\Entity]
+#[ORM\Table(name: 'synapse_conversation_share')]
+#[ORM\UniqueConstraint(name: 'synapse_conversation_share_token', columns: ['token'])]
+#[ORM\Index(name: 'synapse_conversation_share_conversation', columns: ['conversation_id'])]
+class SynapseConversationShare
+{
+    #[ORM\Id]
+    #[ORM\GeneratedValue]
+    #[ORM\Column]
+    private ?int $id = null;
+
+    #[ORM\Column]
+    private \DateTimeImmutable $createdAt;
+
+    public function __construct(
+        #[ORM\Column(length: 64)]
+        private string $token,
+        #[ORM\Column(length: 255)]
+        private string $ownerId,
+        #[ORM\Column(length: 255)]
+        private string $conversationId,
+        #[ORM\Column]
+        private bool $includeAttachments = true,
+        #[ORM\Column(length: 255, nullable: true)]
+        private ?string $leafMessageId = null,
+    ) {
+        $this->createdAt = new \DateTimeImmutable();
+    }
+
+    public function getId(): ?int
+    {
+        return $this->id;
+    }
+
+    public function getToken(): string
+    {
+        return $this->token;
+    }
+
+    public function getOwnerId(): string
+    {
+        return $this->ownerId;
+    }
+
+    public function getConversationId(): string
+    {
+        return $this->conversationId;
+    }
+
+    public function includesAttachments(): bool
+    {
+        return $this->includeAttachments;
+    }
+
+    public function getLeafMessageId(): ?string
+    {
+        return $this->leafMessageId;
+    }
+
+    public function getCreatedAt(): \DateTimeImmutable
+    {
+        return $this->createdAt;
+    }
+}
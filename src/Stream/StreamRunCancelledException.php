@@ -0,0 +1,13 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Stream;
+
+/**
+ * Levée pendant l'émission d'un événement lorsque l'utilisateur a arrêté le run :
+ * interrompt la génération en cours sans enregistrer de réponse.
+ */
+class StreamRunCancelledException extends \RuntimeException
+{
+}
@@ -0,0 +1,218 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Stream;
+
+use Psr\Cache\CacheItemPoolInterface;
+use Psr\Clock\ClockInterface;
+
+/**
+ * Tampon des événements NDJSON d'un run de chat, pour permettre sa reprise.
+ *
+ * Chaque événement envoyé par `ChatApiController::chat()` porte un numéro de séquence et
+ * est conservé en cache (10 minutes). Si la connexion tombe (réseau, onglet en veille),
+ * le client rejoue le run via `ChatApiController::resume()` à partir du dernier numéro reçu,
+ * pendant que le serveur termine et persiste la réponse.
+ *
+ * Les écritures sont regroupées (au plus toutes les 500 ms) pour ne pas solliciter le cache
+ * à chaque token. Chaque écriture ajoute un segment (`<run>_<n>`) contenant les seuls
+ * événements reçus depuis la précédente, puis met à jour l'en-tête du run (propriétaire,
+ * nombre de segments, fin) : le coût d'une écriture ne dépend pas de la longueur de la réponse.
+ *
+ * Le tampon est plafonné (MAX_BUFFER_BYTES) : au-delà, les événements ne sont plus conservés
+ * et le run n'est plus reprenable (`overflow`), la génération se poursuit normalement.
+ * Sans pool de cache, le store est désactivé et les runs ne sont pas reprenables.
+ */
+class StreamRunStore
+{
+    private const KEY_PREFIX = 'synapse_chat_run_';
+    private const TTL = 600;
+    private const FLUSH_INTERVAL = 0.5;
+
+    /** Taille maximale (JSON) des événements conservés pour la reprise d'un run */
+    public const MAX_BUFFER_BYTES = 2 * 1024 * 1024;
+
+    /** @var array<string, array{owner: string|null, pending: list<array<string, mixed>>, segments: int, bytes: int, overflow: bool, done: bool, flushed_at: float}> */
+    private array $runs = [];
+
+    public function __construct(
+        private readonly ?CacheItemPoolInterface $cache = null,
+        private readonly ?ClockInterface $clock = null,
+    ) {
+    }
+
+    public function isEnabled(): bool
+    {
+        return null !== $this->cache;
+    }
+
+    /**
+     * Ouvre un run. $ownerId restreint la reprise et l'annulation à son propriétaire.
+     */
+    public function start(string $runId, ?string $ownerId): void
+    {
+        if (null === $this->cache) {
+            return;
+        }
+
+        $this->runs[$runId] = ['owner' => $ownerId, 'pending' => [], 'segments' => 0, 'bytes' => 0, 'overflow' => false, 'done' => false, 'flushed_at' => 0.0];
+        $this->cache->deleteItem($this->cancelKey($runId));
+        $this->flush($runId);
+    }
+
+    /**
+     * Ajoute un événement au run.
+     *
+     * @param array<string, mixed> $event
+     *
+     * @throws StreamRunCancelledException si l'utilisateur a demandé l'arrêt du run
+     */
+    public function append(string $runId, array $event): void
+    {
+        if (null === $this->cache || !isset($this->runs[$runId])) {
+            return;
+        }
+
+        if (!$this->runs[$runId]['overflow']) {
+            $this->runs[$runId]['bytes'] += strlen(json_encode($event, JSON_INVALID_UTF8_IGNORE) ?: '');
+            if ($this->runs[$runId]['bytes'] > self::MAX_BUFFER_BYTES) {
+                $this->runs[$runId]['overflow'] = true;
+                $this->runs[$runId]['pending'] = [];
+            } else {
+                $this->runs[$runId]['pending'][] = $event;
+            }
+        }
+
+        if ($this->now() - $this->runs[$runId]['flushed_at'] < self::FLUSH_INTERVAL) {
+            return;
+        }
+
+        $this->flush($runId);
+        if ($this->isCancelled($runId)) {
+            throw new StreamRunCancelledException(sprintf('Run "%s" cancelled.', $runId));
+        }
+    }
+
+    /**
+     * Marque le run comme terminé : la reprise rejoue alors les derniers événements puis s'arrête.
+     */
+    public function finish(string $runId): void
+    {
+        if (null === $this->cache || !isset($this->runs[$runId])) {
+            return;
+        }
+
+        $this->runs[$runId]['done'] = true;
+        $this->flush($runId);
+        unset($this->runs[$runId]);
+    }
+
+    /**
+     * Demande l'arrêt d'un run en cours (bouton "Arrêter" côté client).
+     */
+    public function cancel(string $runId): void
+    {
+        if (null === $this->cache || !$this->isValidRunId($runId)) {
+            return;
+        }
+
+        $item = $this->cache->getItem($this->cancelKey($runId));
+        $item->set(true);
+        $item->expiresAfter(self::TTL);
+        $this->cache->save($item);
+    }
+
+    /**
+     * Charge le run (null s'il est inconnu ou expiré), avec les événements des segments à partir
+     * de $fromSegment : une reprise passe le `segments` du chargement précédent pour ne relire
+     * que les nouveaux événements.
+     *
+     * @return array{owner: string|null, events: list<array<string, mixed>>, segments: int, overflow: bool, done: bool}|null
+     */
+    public function load(string $runId, int $fromSegment = 0): ?array
+    {
+        if (null === $this->cache || !$this->isValidRunId($runId)) {
+            return null;
+        }
+
+        $item = $this->cache->getItem(self::KEY_PREFIX.$runId);
+        $head = $item->isHit() ? $item->get() : null;
+        if (!is_array($head)) {
+            return null;
+        }
+
+        $segments = is_int($head['segments'] ?? null) ? $head['segments'] : 0;
+        $events = [];
+        for ($i = max(0, $fromSegment); $i < $segments; ++$i) {
+            $segment = $this->cache->getItem($this->segmentKey($runId, $i));
+            if (!$segment->isHit() || !is_array($segment->get())) {
+                return null; // Segment expiré : le run ne peut plus être rejoué en entier
+            }
+            array_push($events, ...array_values($segment->get()));
+        }
+
+        return [
+            'owner' => is_string($head['owner'] ?? null) ? $head['owner'] : null,
+            'events' => $events,
+            'segments' => $segments,
+            'overflow' => true === ($head['overflow'] ?? false),
+            'done' => true === ($head['done'] ?? false),
+        ];
+    }
+
+    private function flush(string $runId): void
+    {
+        if (null === $this->cache) {
+            return;
+        }
+
+        $run = $this->runs[$runId];
+        if ([] !== $run['pending']) {
+            // Segment d'abord : l'en-tête ne référence jamais un segment absent
+            $segment = $this->cache->getItem($this->segmentKey($runId, $run['segments']));
+            $segment->set($run['pending']);
+            $segment->expiresAfter(self::TTL);
+            $this->cache->save($segment);
+            ++$run['segments'];
+        }
+
+        $item = $this->cache->getItem(self::KEY_PREFIX.$runId);
+        $item->set(['owner' => $run['owner'], 'segments' => $run['segments'], 'overflow' => $run['overflow'], 'done' => $run['done']]);
+        $item->expiresAfter(self::TTL);
+        $this->cache->save($item);
+
+        $this->runs[$runId]['pending'] = [];
+        $this->runs[$runId]['segments'] = $run['segments'];
+        $this->runs[$runId]['flushed_at'] = $this->now();
+    }
+
+    private function now(): float
+    {
+        return null !== $this->clock ? (float) $this->clock->now()->format('U.u') : microtime(true);
+    }
+
+    private function isCancelled(string $runId): bool
+    {
+        return null !== $this->cache && $this->cache->getItem($this->cancelKey($runId))->isHit();
+    }
+
+    private function segmentKey(string $runId, int $segment): string
+    {
+        return self::KEY_PREFIX.$runId.'_'.$segment;
+    }
+
+    private function cancelKey(string $runId): string
+    {
+        return self::KEY_PREFIX.$runId.'_cancel';
+    }
+
+    /**
+     * Les IDs de run sont générés par le serveur (hexadécimal) : tout autre format est ignoré,
+     * ce qui évite aussi les caractères réservés des clés de cache.
+     */
+    private function isValidRunId(string $runId): bool
+    {
+        return 1 === preg_match('/^[a-f0-9]{32}$/', $runId);
+    }
+}
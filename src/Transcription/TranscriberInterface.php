@@ -0,0 +1,27 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Transcription;
+
+/**
+ * Moteur de reconnaissance vocale utilisé par la dictée du chat (TranscriptionApiController).
+ *
+ * Le bundle n'en fournit pas : implémentez cette interface dans l'application (API hébergée,
+ * serveur Whisper auto-hébergé…) et déclarez-la comme alias de service. Sans implémentation,
+ * l'endpoint répond 503 et le contrôleur Stimulus se rabat sur le hook navigateur
+ * `synapse-chat:transcribe`, puis sur l'envoi de l'audio en pièce jointe.
+ */
+interface TranscriberInterface
+{
+    /**
+     * @param string      $audio    contenu binaire de l'enregistrement
+     * @param string      $mimeType type MIME de l'enregistrement (ex. "audio/webm")
+     * @param string|null $language langue attendue (BCP 47, ex. "fr-FR"), null pour détection automatique
+     *
+     * @return string texte reconnu
+     *
+     * @throws \RuntimeException si le moteur échoue
+     */
+    public function transcribe(string $audio, string $mimeType, ?string $language = null): string;
+}
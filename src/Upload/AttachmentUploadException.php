@@ -0,0 +1,13 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Upload;
+
+/**
+ * Envoi de pièce jointe refusé : morceau hors séquence, dépassement de la taille annoncée,
+ * quota de l'utilisateur atteint, ou envoi inconnu / incomplet au moment de l'utiliser dans un message.
+ */
+class AttachmentUploadException extends \InvalidArgumentException
+{
+}
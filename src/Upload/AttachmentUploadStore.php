@@ -0,0 +1,262 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Upload;
+
+use ArnaudMoncondhuy\SynapseChat\Controller\Api\ChatApiController;
+use Symfony\Component\HttpFoundation\File\Exception\FileException;
+use Symfony\Component\HttpFoundation\File\UploadedFile;
+
+/**
+ * Stockage temporaire des pièces jointes envoyées avant le message (voir UploadApiController).
+ *
+ * Un envoi est créé avec sa taille annoncée, puis reçu en une fois (multipart) ou par morceaux
+ * successifs. Une fois complet, il est référencé par son ID dans le champ `attachment_ids` de
+ * `/api/chat`, qui le convertit au format des pièces jointes inline (voir resolve()).
+ *
+ * Chaque envoi occupe deux fichiers dans le répertoire de travail : `{id}.json` (métadonnées)
+ * et `{id}.part` (contenu). Les envois restent disponibles pour un renvoi ou une régénération,
+ * et sont purgés une heure après leur création (purge à chaque création, morceau et utilisation).
+ * Chaque utilisateur a un quota d'envois en cours (nombre et octets annoncés) : le répertoire
+ * ne peut pas être rempli par un seul compte.
+ *
+ * Le répertoire est le paramètre `synapse_chat.upload_directory` : avec plusieurs serveurs web,
+ * il doit pointer vers un stockage partagé, les morceaux d'un même envoi pouvant arriver sur
+ * des serveurs différents.
+ */
+class AttachmentUploadStore
+{
+    /** Taille des morceaux conseillée au client (octets) */
+    public const CHUNK_SIZE = 1024 * 1024;
+
+    private const TTL = 3600;
+
+    private readonly string $directory;
+
+    /**
+     * @param int $maxFileBytes    taille maximale d'un envoi
+     * @param int $maxOwnerUploads nombre maximal d'envois non expirés par utilisateur
+     * @param int $maxOwnerBytes   total maximal (octets annoncés) des envois non expirés d'un utilisateur
+     */
+    public function __construct(
+        ?string $directory = null,
+        private readonly int $maxFileBytes = ChatApiController::MAX_ATTACHMENT_BYTES,
+        private readonly int $maxOwnerUploads = 20,
+        private readonly int $maxOwnerBytes = 50 * 1024 * 1024,
+    ) {
+        $this->directory = $directory ?? sys_get_temp_dir().'/synapse_chat_uploads';
+    }
+
+    /**
+     * Ouvre un envoi de $size octets.
+     *
+     * @return array{id: string, owner: string, name: string, mime_type: string, size: int, received: int, created_at: int}
+     *
+     * @throws AttachmentUploadException si l'envoi est trop lourd ou dépasse le quota de l'utilisateur
+     */
+    public function create(string $ownerId, string $name, string $mimeType, int $size): array
+    {
+        $this->purgeExpired();
+        if ($size > $this->maxFileBytes) {
+            throw new AttachmentUploadException(sprintf('Pièce jointe trop lourde (%d octets max).', $this->maxFileBytes));
+        }
+        $pending = $this->pendingOf($ownerId);
+        if (count($pending) >= $this->maxOwnerUploads || array_sum(array_column($pending, 'size')) + $size > $this->maxOwnerBytes) {
+            throw new AttachmentUploadException('Trop de pièces jointes en attente : envoyez ou retirez les précédentes.');
+        }
+        if (!is_dir($this->directory) && !@mkdir($this->directory, 0o700, true) && !is_dir($this->directory)) {
+            throw new \RuntimeException(sprintf('Upload directory "%s" cannot be created.', $this->directory));
+        }
+
+        $upload = [
+            'id' => bin2hex(random_bytes(16)),
+            'owner' => $ownerId,
+            'name' => $name,
+            'mime_type' => $mimeType,
+            'size' => $size,
+            'received' => 0,
+            'created_at' => time(),
+        ];
+        touch($this->path($upload['id'], 'part'));
+        $this->save($upload);
+
+        return $upload;
+    }
+
+    /**
+     * Ajoute un morceau. $offset doit correspondre aux octets déjà reçus (reprise après échec :
+     * le client renvoie à partir de `received`).
+     *
+     * Le contenu est verrouillé pendant tout l'ajout : deux morceaux reçus en même temps sont
+     * traités l'un après l'autre, le second est refusé si sa position n'est plus la bonne.
+     *
+     * @return array{id: string, owner: string, name: string, mime_type: string, size: int, received: int, created_at: int}
+     *
+     * @throws AttachmentUploadException
+     */
+    public function append(string $ownerId, string $id, int $offset, string $chunk): array
+    {
+        $this->purgeExpired();
+        if (null === $this->find($ownerId, $id) || false === ($handle = @fopen($this->path($id, 'part'), 'a'))) {
+            throw new AttachmentUploadException('Envoi introuvable ou expiré.');
+        }
+
+        try {
+            flock($handle, \LOCK_EX);
+            // Relu sous verrou : un morceau concurrent a pu avancer `received`
+            $upload = $this->find($ownerId, $id) ?? throw new AttachmentUploadException('Envoi introuvable ou expiré.');
+            if ($offset !== $upload['received']) {
+                throw new AttachmentUploadException(sprintf('Position attendue : %d.', $upload['received']));
+            }
+            if ($upload['received'] + strlen($chunk) > $upload['size']) {
+                throw new AttachmentUploadException('Le contenu dépasse la taille annoncée.');
+            }
+
+            fwrite($handle, $chunk);
+            fflush($handle);
+            $upload['received'] += strlen($chunk);
+            $this->save($upload);
+        } finally {
+            flock($handle, \LOCK_UN);
+            fclose($handle);
+        }
+
+        return $upload;
+    }
+
+    /**
+     * Envoi complet en une fois (formulaire multipart) : le fichier reçu par PHP est déplacé.
+     *
+     * @return array{id: string, owner: string, name: string, mime_type: string, size: int, received: int, created_at: int}
+     *
+     * @throws FileException             si le fichier ne peut pas être déplacé
+     * @throws AttachmentUploadException si l'envoi est trop lourd ou dépasse le quota de l'utilisateur
+     */
+    public function createFromFile(string $ownerId, string $name, string $mimeType, UploadedFile $file): array
+    {
+        $size = (int) $file->getSize();
+        $upload = $this->create($ownerId, $name, $mimeType, $size);
+        try {
+            $file->move($this->directory, $upload['id'].'.part');
+        } catch (FileException $e) {
+            $this->delete($ownerId, $upload['id']);
+            throw $e;
+        }
+        $upload['received'] = $size;
+        $this->save($upload);
+
+        return $upload;
+    }
+
+    /**
+     * @return array{id: string, owner: string, name: string, mime_type: string, size: int, received: int, created_at: int}|null
+     */
+    public function find(string $ownerId, string $id): ?array
+    {
+        // L'ID entre dans un chemin de fichier : format strict
+        if (1 !== preg_match('/^[a-f0-9]{32}$/', $id) || !is_file($this->path($id, 'json'))) {
+            return null;
+        }
+
+        $upload = json_decode((string) file_get_contents($this->path($id, 'json')), true);
+        if (!is_array($upload) || $upload['owner'] !== $ownerId || $upload['created_at'] < time() - self::TTL) {
+            return null;
+        }
+
+        return $upload;
+    }
+
+    public function delete(string $ownerId, string $id): void
+    {
+        if (null === $this->find($ownerId, $id)) {
+            return;
+        }
+
+        @unlink($this->path($id, 'part'));
+        @unlink($this->path($id, 'json'));
+    }
+
+    /**
+     * Convertit des envois complets au format des pièces jointes inline de `/api/chat`.
+     * La taille du contenu sur disque est vérifiée avant de le lire en mémoire.
+     *
+     * @param list<string> $ids
+     *
+     * @return list<array{mime_type: string, data: string, name: string}>
+     *
+     * @throws AttachmentUploadException si un envoi est inconnu, expiré ou incomplet
+     */
+    public function resolve(?string $ownerId, array $ids): array
+    {
+        $this->purgeExpired();
+        $attachments = [];
+        foreach ($ids as $id) {
+            $upload = null !== $ownerId ? $this->find($ownerId, $id) : null;
+            clearstatcache(true, $this->path($id, 'part'));
+            if (
+                null === $upload
+                || $upload['received'] !== $upload['size']
+                || $upload['size'] > $this->maxFileBytes
+                || @filesize($this->path($id, 'part')) !== $upload['size']
+            ) {
+                throw new AttachmentUploadException(sprintf('Pièce jointe "%s" introuvable ou incomplète.', $id));
+            }
+
+            $attachments[] = [
+                'mime_type' => $upload['mime_type'],
+                'data' => base64_encode((string) file_get_contents($this->path($id, 'part'))),
+                'name' => $upload['name'],
+            ];
+        }
+
+        return $attachments;
+    }
+
+    /**
+     * @return list<array{id: string, owner: string, name: string, mime_type: string, size: int, received: int, created_at: int}>
+     */
+    private function pendingOf(string $ownerId): array
+    {
+        $uploads = [];
+        foreach (glob($this->directory.'/*.json') ?: [] as $file) {
+            $upload = $this->find($ownerId, basename($file, '.json'));
+            if (null !== $upload) {
+                $uploads[] = $upload;
+            }
+        }
+
+        return $uploads;
+    }
+
+    private function purgeExpired(): void
+    {
+        foreach (glob($this->directory.'/*.json') ?: [] as $file) {
+            $upload = json_decode((string) file_get_contents($file), true);
+            if ((int) (is_array($upload) ? $upload['created_at'] ?? 0 : 0) < time() - self::TTL) {
+                @unlink(substr($file, 0, -5).'.part');
+                @unlink($file);
+            }
+        }
+    }
+
+    /**
+     * @param array{id: string, owner: string, name: string, mime_type: string, size: int, received: int, created_at: int} $upload
+     */
+    private function save(array $upload): void
+    {
+        // Écriture atomique : une lecture concurrente voit l'ancienne ou la nouvelle version, jamais un JSON partiel
+        $path = $this->path($upload['id'], 'json');
+        $temporary = $path.'.'.bin2hex(random_bytes(4));
+        file_put_contents($temporary, json_encode($upload, \JSON_THROW_ON_ERROR));
+        if (!rename($temporary, $path)) {
+            @unlink($temporary);
+            throw new \RuntimeException(sprintf('Upload metadata "%s" cannot be written.', $path));
+        }
+    }
+
+    private function path(string $id, string $extension): string
+    {
+        return sprintf('%s/%s.%s', $this->directory, $id, $extension);
+    }
+}
@@ -5,6 +5,7 @@ declare(strict_types=1);
 namespace ArnaudMoncondhuy\SynapseChat\Tests\Unit\Controller\Api;
 
 use ArnaudMoncondhuy\SynapseChat\Controller\Api\ChatApiController;
+use ArnaudMoncondhuy\SynapseChat\Conversation\MessageBranchResolver;
 use ArnaudMoncondhuy\SynapseCore\Agent\AgentResolver;
 use ArnaudMoncondhuy\SynapseCore\AgentRegistry;
 use ArnaudMoncondhuy\SynapseCore\Contract\ConversationOwnerInterface;
@@ -34,6 +35,8 @@ use Symfony\Contracts\Translation\TranslatorInterface;
  * - le nettoyage du titre brut (guillemets, préfixes "Titre:", "Title:")
  * - les conditions de déclenchement (premier échange uniquement)
  * - la sauvegarde via ConversationManager::updateTitle()
+ *
+ * ainsi que l'enregistrement du message utilisateur avant la génération.
  */
 class ChatApiTitleGenerationTest extends TestCase
 {
@@ -224,6 +227,79 @@ class ChatApiTitleGenerationTest extends TestCase
         $this->executeChat('Bonjour', null);
     }
 
+    // -------------------------------------------------------------------------
+    // Message utilisateur
+    // -------------------------------------------------------------------------
+
+    /**
+     * Le message utilisateur est enregistré et annoncé (événement `user_message`) avant la
+     * génération : après un échec, le client réessaie en régénération sur ce message au lieu
+     * de le renvoyer comme un nouveau message (doublon).
+     */
+    public function testUserMessageIsSavedAndAnnouncedBeforeGeneration(): void
+    {
+        $this->translator->method('trans')->willReturnArgument(0);
+        $this->chatService->method('ask')->willThrowException(new \RuntimeException('LLM down'));
+
+        $this->conversationManager
+            ->expects($this->once())
+            ->method('saveMessage')
+            ->with($this->anything(), MessageRole::USER, 'Bonjour')
+            ->willReturn($this->createStub(SynapseMessage::class));
+
+        $output = $this->executeChat('Bonjour', null);
+
+        $types = array_map(
+            fn (string $line) => json_decode($line, true)['type'] ?? null,
+            array_filter(explode("\n", $output)),
+        );
+        $this->assertContains('user_message', $types);
+        $this->assertContains('error', $types);
+        $this->assertLessThan(array_search('error', $types, true), array_search('user_message', $types, true));
+    }
+
+    /**
+     * Échec puis nouveau message : le message utilisateur resté sans réponse (msg-2) est écarté
+     * de l'historique et le nouveau message devient sa variante (même parent, msg-1), sans
+     * deux tours utilisateur consécutifs.
+     */
+    public function testNewMessageAfterFailureReplacesUnansweredUserMessage(): void
+    {
+        $this->translator->method('trans')->willReturnArgument(0);
+
+        $history = null;
+        $this->chatService
+            ->method('ask')
+            ->willReturnCallback(function (string $message, array $options) use (&$history) {
+                if (!($options['stateless'] ?? false)) {
+                    $history = $options['history'] ?? null;
+                }
+
+                return ['answer' => 'Réponse', 'usage' => [], 'safety' => [], 'model' => 'test'];
+            });
+
+        $saved = [];
+        $this->conversationManager
+            ->expects($this->atLeastOnce())
+            ->method('saveMessage')
+            ->willReturnCallback(function ($conversation, MessageRole $role, string $content, array $metadata = []) use (&$saved) {
+                $saved[] = [$role, $content, $metadata];
+
+                return $this->createStub(SynapseMessage::class);
+            });
+
+        $this->executeChat('Nouveau message', null, null, 3);
+
+        $this->assertIsArray($history);
+        $this->assertCount(2, $history);
+        $this->assertSame(MessageRole::MODEL, $history[1]['role']);
+
+        [$role, $content, $metadata] = $saved[0];
+        $this->assertSame(MessageRole::USER, $role);
+        $this->assertSame('Nouveau message', $content);
+        $this->assertSame('msg-1', $metadata['metadata'][MessageBranchResolver::METADATA_KEY] ?? null);
+    }
+
     // -------------------------------------------------------------------------
     // Helper — exécute le flux chat et capture la sortie NDJSON
     // -------------------------------------------------------------------------
@@ -252,6 +328,7 @@ class ChatApiTitleGenerationTest extends TestCase
         $messages = [];
         for ($i = 0; $i < $messageCount; ++$i) {
             $msg = $this->createStub(SynapseMessage::class);
+            $msg->method('getId')->willReturn('msg-'.$i);
             $msg->method('getRole')->willReturn(0 === $i % 2 ? MessageRole::USER : MessageRole::MODEL);
             $messages[] = $msg;
         }
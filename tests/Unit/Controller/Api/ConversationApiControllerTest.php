@@ -5,8 +5,17 @@ declare(strict_types=1);
 namespace ArnaudMoncondhuy\SynapseChat\Tests\Unit\Controller\Api;
 
 use ArnaudMoncondhuy\SynapseChat\Controller\Api\ConversationApiController;
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationListStore;
+use ArnaudMoncondhuy\SynapseCore\Contract\ConversationOwnerInterface;
 use ArnaudMoncondhuy\SynapseCore\Manager\ConversationManager;
+use ArnaudMoncondhuy\SynapseCore\Shared\Enum\MessageRole;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseConversation;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseMessage;
 use PHPUnit\Framework\TestCase;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\Security\Core\Authentication\Token\Storage\TokenStorageInterface;
+use Symfony\Component\Security\Core\Authentication\Token\TokenInterface;
 
 class ConversationApiControllerTest extends TestCase
 {
@@ -18,4 +27,109 @@ class ConversationApiControllerTest extends TestCase
 
         $this->assertInstanceOf(ConversationApiController::class, $controller);
     }
+
+    public function testMessagesExposeAuthorButNotInternalMetadata(): void
+    {
+        $message = $this->createStub(SynapseMessage::class);
+        $message->method('getId')->willReturn('m1');
+        $message->method('getRole')->willReturn(MessageRole::MODEL);
+        $message->method('getDecryptedContent')->willReturn('Bonjour');
+        $message->method('getCreatedAt')->willReturn(new \DateTimeImmutable('2025-01-01'));
+        $message->method('getMetadata')->willReturn([
+            'debug_id' => 'dbg-1',
+            'agent' => 'redacteur',
+            'agent_name' => 'Rédacteur',
+            'model' => 'gemini-2.5-flash',
+            'tone' => 'formel',
+            'safety_ratings' => ['HARM_CATEGORY_HATE_SPEECH' => 'NEGLIGIBLE'],
+            'branch_parent' => 'root',
+        ]);
+
+        $manager = $this->createStub(ConversationManager::class);
+        $manager->method('getConversation')->willReturn($this->createStub(SynapseConversation::class));
+        $manager->method('getMessages')->willReturn([$message]);
+        $manager->method('getAttachmentsByMessageId')->willReturn([]);
+
+        $controller = new ConversationApiController($manager);
+        $controller->setContainer($this->containerWithUser());
+
+        $data = json_decode((string) $controller->messages('c1', new Request())->getContent(), true);
+
+        $this->assertSame(['debug_id' => 'dbg-1'], $data[0]['metadata']);
+        $this->assertSame(
+            ['agent' => 'redacteur', 'agent_name' => 'Rédacteur', 'model' => 'gemini-2.5-flash', 'tone' => 'formel'],
+            array_intersect_key($data[0], array_flip(['agent', 'agent_name', 'model', 'tone'])),
+        );
+    }
+
+    public function testListWithoutPaginationKeepsLegacyArray(): void
+    {
+        $listStore = $this->createMock(ConversationListStore::class);
+        $listStore->expects($this->never())->method('page');
+        $manager = $this->createStub(ConversationManager::class);
+        $manager->method('getUserConversations')->willReturn([]);
+
+        $controller = new ConversationApiController($manager, listStore: $listStore);
+        $controller->setContainer($this->containerWithUser());
+
+        $this->assertSame([], json_decode((string) $controller->list(new Request())->getContent(), true));
+    }
+
+    public function testListFirstPageReturnsCursorAndPinned(): void
+    {
+        $listStore = $this->createMock(ConversationListStore::class);
+        $listStore->expects($this->once())->method('page')
+            ->with($this->anything(), null, 20)
+            ->willReturn(['items' => [], 'next_cursor' => '2025-01-02T10:00:00+00:00,c9']);
+        $listStore->method('findByIds')->willReturn([]);
+
+        $controller = new ConversationApiController($this->createStub(ConversationManager::class), listStore: $listStore);
+        $controller->setContainer($this->containerWithUser());
+
+        $data = json_decode((string) $controller->list(new Request(['paginate' => '1', 'limit' => '20']))->getContent(), true);
+
+        $this->assertSame(['conversations' => [], 'next_cursor' => '2025-01-02T10:00:00+00:00,c9', 'pinned' => []], $data);
+    }
+
+    public function testListBeforeCursorReturnsNextPageWithoutPinned(): void
+    {
+        $listStore = $this->createMock(ConversationListStore::class);
+        $listStore->expects($this->once())->method('page')
+            ->with($this->anything(), '2025-01-02T10:00:00+00:00,c9', 50)
+            ->willReturn(['items' => [], 'next_cursor' => null]);
+        $listStore->expects($this->never())->method('findByIds');
+
+        $controller = new ConversationApiController($this->createStub(ConversationManager::class), listStore: $listStore);
+        $controller->setContainer($this->containerWithUser());
+
+        $data = json_decode((string) $controller->list(new Request(['before' => '2025-01-02T10:00:00+00:00,c9']))->getContent(), true);
+
+        $this->assertSame(['conversations' => [], 'next_cursor' => null], $data);
+    }
+
+    public function testListRejectsMalformedBeforeCursor(): void
+    {
+        $listStore = $this->createStub(ConversationListStore::class);
+        $listStore->method('page')->willThrowException(new \InvalidArgumentException('Invalid cursor "x".'));
+
+        $controller = new ConversationApiController($this->createStub(ConversationManager::class), listStore: $listStore);
+        $controller->setContainer($this->containerWithUser());
+
+        $this->assertSame(400, $controller->list(new Request(['before' => 'x']))->getStatusCode());
+    }
+
+    private function containerWithUser(): ContainerInterface
+    {
+        $token = $this->createStub(TokenInterface::class);
+        $token->method('getUser')->willReturn($this->createStub(ConversationOwnerInterface::class));
+
+        $tokenStorage = $this->createStub(TokenStorageInterface::class);
+        $tokenStorage->method('getToken')->willReturn($token);
+
+        $container = $this->createStub(ContainerInterface::class);
+        $container->method('has')->willReturnCallback(fn (string $id) => 'security.token_storage' === $id);
+        $container->method('get')->willReturnCallback(fn (string $id) => 'security.token_storage' === $id ? $tokenStorage : null);
+
+        return $container;
+    }
 }
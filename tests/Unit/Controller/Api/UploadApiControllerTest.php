@@ -0,0 +1,62 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Tests\Unit\Controller\Api;
+
+use ArnaudMoncondhuy\SynapseChat\Controller\Api\UploadApiController;
+use ArnaudMoncondhuy\SynapseChat\Upload\AttachmentUploadStore;
+use PHPUnit\Framework\TestCase;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\DependencyInjection\ParameterBag\ParameterBag;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\Security\Core\Exception\AccessDeniedException;
+use Symfony\Component\Security\Csrf\CsrfTokenManagerInterface;
+
+class UploadApiControllerTest extends TestCase
+{
+    public function testCreateRequiresCsrfToken(): void
+    {
+        $store = $this->createMock(AttachmentUploadStore::class);
+        $store->expects($this->never())->method('create');
+
+        $this->expectException(AccessDeniedException::class);
+        $this->controller($store)->create(new Request([], [], [], [], [], [], '{"name": "a.txt", "mime_type": "text/plain", "size": 1}'));
+    }
+
+    public function testChunkAndDeleteRejectInvalidCsrfToken(): void
+    {
+        $store = $this->createMock(AttachmentUploadStore::class);
+        $store->expects($this->never())->method('append');
+        $store->expects($this->never())->method('delete');
+        $controller = $this->controller($store);
+
+        $request = new Request([], [], [], [], [], ['HTTP_X_CSRF_TOKEN' => 'invalide'], 'abc');
+        foreach ([fn () => $controller->chunk(str_repeat('a', 32), $request), fn () => $controller->delete(str_repeat('a', 32), $request)] as $call) {
+            try {
+                $call();
+                $this->fail('AccessDeniedException attendue');
+            } catch (AccessDeniedException) {
+            }
+        }
+    }
+
+    private function controller(AttachmentUploadStore $store): UploadApiController
+    {
+        $csrfTokenManager = $this->createStub(CsrfTokenManagerInterface::class);
+        $csrfTokenManager->method('isTokenValid')->willReturn(false);
+
+        $container = $this->createStub(ContainerInterface::class);
+        $container->method('has')->willReturnCallback(fn (string $id) => in_array($id, ['parameter_bag', 'security.csrf.token_manager'], true));
+        $container->method('get')->willReturnCallback(fn (string $id) => match ($id) {
+            'parameter_bag' => new ParameterBag(['synapse.security.api_csrf_enabled' => true]),
+            'security.csrf.token_manager' => $csrfTokenManager,
+            default => null,
+        });
+
+        $controller = new UploadApiController($store, null, $csrfTokenManager);
+        $controller->setContainer($container);
+
+        return $controller;
+    }
+}
@@ -0,0 +1,122 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Tests\Unit\Controller\UI;
+
+use ArnaudMoncondhuy\SynapseChat\Controller\UI\SharedConversationUiController;
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationShareStore;
+use ArnaudMoncondhuy\SynapseChat\Storage\Entity\SynapseConversationShare;
+use ArnaudMoncondhuy\SynapseCore\Manager\ConversationManager;
+use ArnaudMoncondhuy\SynapseCore\Service\AttachmentStorageService;
+use ArnaudMoncondhuy\SynapseCore\Shared\Enum\MessageRole;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseConversation;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseMessage;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseMessageAttachment;
+use ArnaudMoncondhuy\SynapseCore\Storage\Repository\SynapseMessageAttachmentRepository;
+use Doctrine\ORM\EntityManagerInterface;
+use PHPUnit\Framework\TestCase;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\BinaryFileResponse;
+use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
+use Twig\Environment;
+
+class SharedConversationUiControllerTest extends TestCase
+{
+    private SynapseConversation $conversation;
+
+    /** @var array<string, SynapseMessage> */
+    private array $messages = [];
+
+    private string $file;
+
+    protected function setUp(): void
+    {
+        $this->conversation = $this->createStub(SynapseConversation::class);
+        $this->conversation->method('getId')->willReturn('c1');
+
+        // m1b : réponse régénérée, hors de la branche partagée (leaf = m1)
+        foreach ([['u1', MessageRole::USER, null], ['m1', MessageRole::MODEL, null], ['m1b', MessageRole::MODEL, 'u1']] as [$id, $role, $parent]) {
+            $message = $this->createStub(SynapseMessage::class);
+            $message->method('getId')->willReturn($id);
+            $message->method('getRole')->willReturn($role);
+            $message->method('getMetadata')->willReturn(null !== $parent ? ['branch_parent' => $parent] : []);
+            $message->method('getDecryptedContent')->willReturn('Contenu '.$id);
+            $message->method('getCreatedAt')->willReturn(new \DateTimeImmutable('2025-01-01'));
+            $message->method('getConversation')->willReturn($this->conversation);
+            $this->messages[$id] = $message;
+        }
+
+        $this->file = (string) tempnam(sys_get_temp_dir(), 'synapse_shared_');
+    }
+
+    protected function tearDown(): void
+    {
+        @unlink($this->file);
+    }
+
+    public function testSharedConversationIsReadWithoutOwner(): void
+    {
+        $manager = $this->createMock(ConversationManager::class);
+        // Aucune session : la conversation est chargée sans propriétaire, le jeton tient lieu d'autorisation
+        $manager->expects($this->once())->method('getConversation')->with('c1', null)->willReturn($this->conversation);
+        $manager->method('getMessages')->willReturn(array_values($this->messages));
+        $manager->method('getAttachmentsByMessageId')->willReturn([]);
+
+        $twig = $this->createMock(Environment::class);
+        $twig->expects($this->once())->method('render')
+            ->with('@Synapse/chat/shared.html.twig', $this->callback(fn (array $params) => ['u1', 'm1'] === array_column($params['messages'], 'id')))
+            ->willReturn('<html></html>');
+
+        $container = $this->createStub(ContainerInterface::class);
+        $container->method('has')->willReturnCallback(fn (string $id) => 'twig' === $id);
+        $container->method('get')->willReturnCallback(fn (string $id) => 'twig' === $id ? $twig : null);
+
+        $controller = $this->controller($manager);
+        $controller->setContainer($container);
+        $response = $controller->show('jeton');
+
+        $this->assertSame(200, $response->getStatusCode());
+        $this->assertSame('noindex, nofollow', $response->headers->get('X-Robots-Tag'));
+    }
+
+    public function testAttachmentOfSharedBranchIsServed(): void
+    {
+        $this->assertInstanceOf(BinaryFileResponse::class, $this->controller()->attachment('jeton', 'att-m1'));
+    }
+
+    public function testAttachmentOutsideSharedBranchIsNotServed(): void
+    {
+        $this->expectException(NotFoundHttpException::class);
+
+        $this->controller()->attachment('jeton', 'att-m1b');
+    }
+
+    private function controller(?ConversationManager $manager = null): SharedConversationUiController
+    {
+        if (null === $manager) {
+            $manager = $this->createStub(ConversationManager::class);
+            $manager->method('getMessages')->willReturn(array_values($this->messages));
+        }
+
+        $shareStore = $this->createStub(ConversationShareStore::class);
+        $shareStore->method('findByToken')->willReturn(new SynapseConversationShare('jeton', 'user-1', 'c1', true, 'm1'));
+
+        $attachmentRepository = $this->createStub(SynapseMessageAttachmentRepository::class);
+        $attachmentRepository->method('find')->willReturnCallback(function (string $uuid): SynapseMessageAttachment {
+            $attachment = $this->createStub(SynapseMessageAttachment::class);
+            $attachment->method('getMessageId')->willReturn(substr($uuid, 4));
+            $attachment->method('getMimeType')->willReturn('image/png');
+
+            return $attachment;
+        });
+
+        $storage = $this->createStub(AttachmentStorageService::class);
+        $storage->method('getAbsolutePath')->willReturn($this->file);
+
+        $em = $this->createStub(EntityManagerInterface::class);
+        $em->method('find')->willReturnCallback(fn (string $class, string $id) => $this->messages[$id] ?? null);
+
+        return new SharedConversationUiController($manager, $shareStore, $attachmentRepository, $storage, $em, SynapseMessage::class);
+    }
+}
@@ -0,0 +1,66 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Tests\Unit\Conversation;
+
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationExporter;
+use PHPUnit\Framework\TestCase;
+
+class ConversationExporterTest extends TestCase
+{
+    private ConversationExporter $exporter;
+
+    protected function setUp(): void
+    {
+        $this->exporter = new ConversationExporter();
+    }
+
+    public function testMarkdownListsMessagesWithRolesAndAttachments(): void
+    {
+        $markdown = $this->exporter->toMarkdown($this->conversation('Recette du gâteau'), $this->messages());
+
+        $this->assertStringStartsWith("# Recette du gâteau\n", $markdown);
+        $this->assertStringContainsString('### Utilisateur · 01/01/2025 10:00', $markdown);
+        $this->assertStringContainsString("### Assistant · 01/01/2025 10:01\n\nVoici la **recette**.", $markdown);
+        $this->assertStringContainsString('- 📎 photo.png (image/png)', $markdown);
+    }
+
+    public function testJsonExportSumsTokenUsage(): void
+    {
+        $export = $this->exporter->toArray($this->conversation('Recette'), $this->messages());
+
+        $this->assertSame('synapse-chat-export', $export['format']);
+        $this->assertSame(150, $export['usage']['total_tokens']);
+        $this->assertSame(['u1', 'm1'], array_column($export['messages'], 'id'));
+        $this->assertSame('photo.png', $export['messages'][0]['attachments'][0]['display_name']);
+    }
+
+    public function testFilenameIsAsciiSlugOfTitle(): void
+    {
+        $this->assertSame('recette-du-g-teau-2025.md', $this->exporter->filename($this->conversation('Recette du g@teau (2025)'), 'md'));
+        $this->assertSame('conversation-c1.json', $this->exporter->filename($this->conversation(null), 'json'));
+    }
+
+    /**
+     * @return array{id: string, title: string|null, created_at: string, updated_at: string}
+     */
+    private function conversation(?string $title): array
+    {
+        return ['id' => 'c1', 'title' => $title, 'created_at' => '2025-01-01T10:00:00+00:00', 'updated_at' => '2025-01-01T10:01:00+00:00'];
+    }
+
+    /**
+     * @return list<array<string, mixed>>
+     */
+    private function messages(): array
+    {
+        return [
+            [
+                'id' => 'u1', 'role' => 'user', 'content' => 'Une recette ?', 'created_at' => '2025-01-01T10:00:00+00:00', 'tokens' => 0,
+                'attachments' => [['uuid' => 'a1', 'mime_type' => 'image/png', 'display_name' => 'photo.png']],
+            ],
+            ['id' => 'm1', 'role' => 'model', 'content' => 'Voici la **recette**.', 'created_at' => '2025-01-01T10:01:00+00:00', 'tokens' => 150, 'attachments' => []],
+        ];
+    }
+}
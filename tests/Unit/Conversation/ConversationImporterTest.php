@@ -0,0 +1,100 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Tests\Unit\Conversation;
+
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationImporter;
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationImportException;
+use ArnaudMoncondhuy\SynapseCore\Contract\ConversationOwnerInterface;
+use ArnaudMoncondhuy\SynapseCore\Manager\ConversationManager;
+use ArnaudMoncondhuy\SynapseCore\Shared\Enum\MessageRole;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseConversation;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseMessage;
+use PHPUnit\Framework\TestCase;
+
+class ConversationImporterTest extends TestCase
+{
+    public function testParsesExportFormatAndSkipsMetadataOnlyAttachments(): void
+    {
+        $importer = new ConversationImporter($this->createStub(ConversationManager::class));
+
+        $import = $importer->parse((string) json_encode([
+            'format' => 'synapse-chat-export',
+            'conversation' => ['id' => 'c1', 'title' => '  Recette  '],
+            'messages' => [
+                [
+                    'role' => 'user', 'content' => 'Une recette ?',
+                    'attachments' => [
+                        ['mime_type' => 'image/png', 'data' => base64_encode('png'), 'display_name' => 'photo.png'],
+                        ['uuid' => 'a1', 'mime_type' => 'image/png', 'display_name' => 'export.png'],
+                    ],
+                ],
+                ['role' => 'ASSISTANT', 'content' => 'Voici la recette.', 'created_at' => '2025-01-01T10:01:00+00:00'],
+            ],
+        ]));
+
+        $this->assertSame('Recette', $import['title']);
+        $this->assertSame(1, $import['skipped_attachments']);
+        $this->assertSame([MessageRole::USER, MessageRole::MODEL], array_column($import['messages'], 'role'));
+        $this->assertSame([['mime_type' => 'image/png', 'data' => base64_encode('png'), 'name' => 'photo.png']], $import['messages'][0]['attachments']);
+        $this->assertSame('2025-01-01T10:01:00+00:00', $import['messages'][1]['created_at']);
+    }
+
+    public function testCollectsValidationErrorsPerField(): void
+    {
+        $importer = new ConversationImporter($this->createStub(ConversationManager::class));
+
+        try {
+            $importer->parse((string) json_encode(['messages' => [
+                ['role' => 'system', 'content' => 'Tu es un assistant.'],
+                ['role' => 'user', 'content' => ['texte']],
+                ['role' => 'user', 'content' => 'Image', 'attachments' => [['mime_type' => 'image/png', 'data' => '%%%']]],
+                ['role' => 'user', 'content' => 'Image', 'attachments' => [['mime_type' => 'pas un mime', 'data' => 'AAAA']]],
+            ]]));
+            $this->fail('ConversationImportException attendue');
+        } catch (ConversationImportException $e) {
+            $this->assertSame([
+                'messages[0].role : "user", "assistant" ou "model" attendu.',
+                'messages[1].content : texte attendu.',
+                'messages[1] : message vide.',
+                'messages[2].attachments[0] : contenu base64 invalide.',
+                'messages[3].attachments[0] : type MIME invalide.',
+            ], $e->getErrors());
+        }
+    }
+
+    public function testRejectsFilesWithoutMessages(): void
+    {
+        $importer = new ConversationImporter($this->createStub(ConversationManager::class));
+
+        $this->expectException(ConversationImportException::class);
+        $importer->parse('{"conversation": {"title": "Vide"}}');
+    }
+
+    public function testImportCreatesConversationAndSavesMessagesInOrder(): void
+    {
+        $conversation = $this->createStub(SynapseConversation::class);
+        $user = $this->createStub(ConversationOwnerInterface::class);
+
+        $manager = $this->createMock(ConversationManager::class);
+        $manager->expects($this->once())->method('createConversation')->with($user)->willReturn($conversation);
+        $saved = [];
+        $manager->expects($this->exactly(2))->method('saveMessage')->willReturnCallback(
+            function (SynapseConversation $conv, MessageRole $role, string $content, array $metadata) use ($conversation, &$saved): SynapseMessage {
+                $this->assertSame($conversation, $conv);
+                $this->assertTrue($metadata['imported']);
+                $saved[] = [$role, $content];
+
+                return $this->createStub(SynapseMessage::class);
+            }
+        );
+        $manager->expects($this->once())->method('updateTitle')->with($conversation, 'Conversation importée');
+
+        $importer = new ConversationImporter($manager);
+        $result = $importer->import($user, $importer->parse('{"messages": [{"role": "user", "content": "Bonjour"}, {"role": "model", "content": "Salut"}]}'));
+
+        $this->assertSame($conversation, $result);
+        $this->assertSame([[MessageRole::USER, 'Bonjour'], [MessageRole::MODEL, 'Salut']], $saved);
+    }
+}
@@ -0,0 +1,75 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Tests\Unit\Conversation;
+
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationPaginator;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseConversation;
+use PHPUnit\Framework\TestCase;
+
+class ConversationPaginatorTest extends TestCase
+{
+    private ConversationPaginator $paginator;
+
+    protected function setUp(): void
+    {
+        $this->paginator = new ConversationPaginator();
+    }
+
+    public function testExtraConversationGivesNextCursor(): void
+    {
+        $conversations = [
+            $this->conv('b', '2025-01-03T10:00:00+00:00'),
+            $this->conv('d', '2025-01-02T10:00:00+00:00'),
+            $this->conv('c', '2025-01-02T10:00:00+00:00'),
+        ];
+
+        $page = $this->paginator->page($conversations, 2);
+
+        $this->assertSame(['b', 'd'], $this->ids($page['items']));
+        $this->assertSame('2025-01-02T10:00:00+00:00,d', $page['next_cursor']);
+    }
+
+    public function testLastPageHasNoCursor(): void
+    {
+        $page = $this->paginator->page([$this->conv('e', '2024-12-31T10:00:00+00:00')], 2);
+
+        $this->assertSame(['e'], $this->ids($page['items']));
+        $this->assertNull($page['next_cursor']);
+    }
+
+    public function testCursorRoundTrip(): void
+    {
+        [$updatedAt, $id] = $this->paginator->parseCursor($this->paginator->cursorOf($this->conv('c,1', '2025-01-02T10:00:00+00:00')));
+
+        $this->assertSame('2025-01-02T10:00:00+00:00', $updatedAt->format(\DATE_ATOM));
+        $this->assertSame('c,1', $id);
+    }
+
+    public function testMalformedCursorIsRejected(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+
+        $this->paginator->parseCursor('not-a-date');
+    }
+
+    private function conv(string $id, string $updatedAt): SynapseConversation
+    {
+        $conversation = $this->createStub(SynapseConversation::class);
+        $conversation->method('getId')->willReturn($id);
+        $conversation->method('getUpdatedAt')->willReturn(new \DateTimeImmutable($updatedAt));
+
+        return $conversation;
+    }
+
+    /**
+     * @param list<SynapseConversation> $conversations
+     *
+     * @return list<string>
+     */
+    private function ids(array $conversations): array
+    {
+        return array_map(fn (SynapseConversation $c) => (string) $c->getId(), $conversations);
+    }
+}
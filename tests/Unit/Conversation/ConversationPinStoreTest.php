@@ -0,0 +1,54 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Tests\Unit\Conversation;
+
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationPinStore;
+use ArnaudMoncondhuy\SynapseChat\Storage\Entity\SynapseConversationPin;
+use Doctrine\ORM\EntityManagerInterface;
+use Doctrine\ORM\EntityRepository;
+use PHPUnit\Framework\TestCase;
+
+class ConversationPinStoreTest extends TestCase
+{
+    public function testPinnedIdsAreReturnedForOwner(): void
+    {
+        $repository = $this->createMock(EntityRepository::class);
+        $repository->expects($this->once())
+            ->method('findBy')
+            ->with(['ownerId' => 'user-1'])
+            ->willReturn([new SynapseConversationPin('user-1', 'c1'), new SynapseConversationPin('user-1', 'c2')]);
+
+        $em = $this->createStub(EntityManagerInterface::class);
+        $em->method('getRepository')->willReturn($repository);
+
+        $this->assertSame(['c1', 'c2'], (new ConversationPinStore($em))->pinnedIds('user-1'));
+    }
+
+    public function testPinningTwiceDoesNotDuplicate(): void
+    {
+        $repository = $this->createStub(EntityRepository::class);
+        $repository->method('findOneBy')->willReturn(new SynapseConversationPin('user-1', 'c1'));
+
+        $em = $this->createMock(EntityManagerInterface::class);
+        $em->method('getRepository')->willReturn($repository);
+        $em->expects($this->never())->method('persist');
+
+        (new ConversationPinStore($em))->setPinned('user-1', 'c1', true);
+    }
+
+    public function testUnpinningRemovesExistingPin(): void
+    {
+        $pin = new SynapseConversationPin('user-1', 'c1');
+        $repository = $this->createStub(EntityRepository::class);
+        $repository->method('findOneBy')->willReturn($pin);
+
+        $em = $this->createMock(EntityManagerInterface::class);
+        $em->method('getRepository')->willReturn($repository);
+        $em->expects($this->once())->method('remove')->with($pin);
+        $em->expects($this->once())->method('flush');
+
+        (new ConversationPinStore($em))->setPinned('user-1', 'c1', false);
+    }
+}
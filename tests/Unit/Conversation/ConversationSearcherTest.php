@@ -0,0 +1,129 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Tests\Unit\Conversation;
+
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationSearcher;
+use ArnaudMoncondhuy\SynapseCore\Contract\ConversationOwnerInterface;
+use ArnaudMoncondhuy\SynapseCore\Manager\ConversationManager;
+use ArnaudMoncondhuy\SynapseCore\Shared\Enum\MessageRole;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseConversation;
+use ArnaudMoncondhuy\SynapseCore\Storage\Entity\SynapseMessage;
+use PHPUnit\Framework\TestCase;
+
+class ConversationSearcherTest extends TestCase
+{
+    /** @var array<string, list<SynapseMessage>> */
+    private array $messages = [];
+
+    public function testTermsAreNormalized(): void
+    {
+        $searcher = new ConversationSearcher($this->createStub(ConversationManager::class));
+
+        $this->assertSame(['cafe', 'creme'], $searcher->parseTerms('  Café  CRÈME a café '));
+        $this->assertSame([], $searcher->parseTerms('a'));
+    }
+
+    public function testSnippetHighlightsTermsIgnoringAccentsAndEscapesHtml(): void
+    {
+        $searcher = new ConversationSearcher($this->createStub(ConversationManager::class));
+
+        $this->assertSame(
+            'Un <mark>Café</mark> &lt;b&gt; et un <mark>cafe</mark>',
+            $searcher->snippet("Un Café <b>\n et un cafe", ['cafe']),
+        );
+    }
+
+    public function testHighlightStaysAlignedWhenLowercaseExpands(): void
+    {
+        $searcher = new ConversationSearcher($this->createStub(ConversationManager::class));
+
+        // mb_strtolower('İ') donne deux caractères (« i » + point combinant)
+        $this->assertSame(
+            'İİ İstanbul, un <mark>café</mark>',
+            $searcher->snippet('İİ İstanbul, un café', ['cafe']),
+        );
+        $this->assertSame(['istanbul'], $searcher->parseTerms('İSTANBUL'));
+    }
+
+    public function testSnippetIsCenteredOnFirstMatch(): void
+    {
+        $searcher = new ConversationSearcher($this->createStub(ConversationManager::class));
+        $text = str_repeat('lorem ', 40).'needle '.str_repeat('ipsum ', 40);
+
+        $snippet = $searcher->snippet($text, ['needle']);
+
+        $this->assertStringStartsWith('…', $snippet);
+        $this->assertStringEndsWith('…', $snippet);
+        $this->assertStringContainsString('<mark>needle</mark>', $snippet);
+    }
+
+    public function testSearchMatchesTitlesAndMessageContent(): void
+    {
+        $byTitle = $this->conversation('c1', 'Recette du gâteau', [
+            $this->message('u1', MessageRole::USER, 'Bonjour'),
+        ]);
+        $byContent = $this->conversation('c2', 'Divers', [
+            $this->message('u2', MessageRole::USER, 'Comment faire un gateau ?'),
+            $this->message('m2', MessageRole::MODEL, 'Voici une recette de gâteau au chocolat.'),
+        ]);
+        $noMatch = $this->conversation('c3', 'Voyage', [
+            $this->message('u3', MessageRole::USER, 'Billets de train'),
+        ]);
+
+        $manager = $this->createStub(ConversationManager::class);
+        $manager->method('getUserConversations')->willReturn([$byTitle, $byContent, $noMatch]);
+        $manager->method('getMessages')->willReturnCallback(fn (SynapseConversation $conversation) => $this->messages[$conversation->getId()]);
+
+        $results = (new ConversationSearcher($manager))->search($this->createStub(ConversationOwnerInterface::class), 'gateau');
+
+        $this->assertSame(['c1', 'c2'], array_column($results, 'id'));
+        $this->assertSame('Recette du <mark>gâteau</mark>', $results[0]['title_html']);
+        $this->assertSame([], $results[0]['matches']);
+        $this->assertSame(['u2', 'm2'], array_column($results[1]['matches'], 'message_id'));
+        $this->assertSame('m2', $results[1]['matches'][0]['branch_leaf']);
+    }
+
+    public function testConversationsBeyondMessageBudgetAreSearchedByTitleOnly(): void
+    {
+        $recent = $this->conversation('c1', 'Divers', [$this->message('u1', MessageRole::USER, 'gateau')], ConversationSearcher::MESSAGE_BUDGET);
+        $older = $this->conversation('c2', 'Gâteau', [$this->message('u2', MessageRole::USER, 'gateau')], 1);
+
+        $manager = $this->createMock(ConversationManager::class);
+        $manager->method('getUserConversations')->willReturn([$recent, $older]);
+        $manager->expects($this->once())->method('getMessages')->with($recent)->willReturn($this->messages['c1']);
+
+        $results = (new ConversationSearcher($manager))->search($this->createStub(ConversationOwnerInterface::class), 'gateau');
+
+        $this->assertSame(['c1', 'c2'], array_column($results, 'id'));
+        $this->assertSame([], $results[1]['matches']);
+    }
+
+    /**
+     * @param list<SynapseMessage> $messages
+     */
+    private function conversation(string $id, string $title, array $messages, ?int $messageCount = null): SynapseConversation
+    {
+        $conversation = $this->createStub(SynapseConversation::class);
+        $conversation->method('getId')->willReturn($id);
+        $conversation->method('getTitle')->willReturn($title);
+        $conversation->method('getMessageCount')->willReturn($messageCount ?? count($messages));
+        $conversation->method('getUpdatedAt')->willReturn(new \DateTimeImmutable('2025-01-01'));
+        $this->messages[$id] = $messages;
+
+        return $conversation;
+    }
+
+    private function message(string $id, MessageRole $role, string $content): SynapseMessage
+    {
+        $message = $this->createStub(SynapseMessage::class);
+        $message->method('getId')->willReturn($id);
+        $message->method('getRole')->willReturn($role);
+        $message->method('getDecryptedContent')->willReturn($content);
+        $message->method('getMetadata')->willReturn([]);
+        $message->method('getCreatedAt')->willReturn(new \DateTimeImmutable('2025-01-01'));
+
+        return $message;
+    }
+}
@@ -0,0 +1,55 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Tests\Unit\Conversation;
+
+use ArnaudMoncondhuy\SynapseChat\Conversation\ConversationShareStore;
+use ArnaudMoncondhuy\SynapseChat\Storage\Entity\SynapseConversationShare;
+use Doctrine\ORM\EntityManagerInterface;
+use Doctrine\ORM\EntityRepository;
+use PHPUnit\Framework\TestCase;
+
+class ConversationShareStoreTest extends TestCase
+{
+    public function testTokensAreUrlSafeAndUnique(): void
+    {
+        $store = new ConversationShareStore($this->createStub(EntityManagerInterface::class));
+
+        $token = $store->generateToken();
+
+        $this->assertMatchesRegularExpression('/^[A-Za-z0-9_-]{32}$/', $token);
+        $this->assertNotSame($token, $store->generateToken());
+    }
+
+    public function testSharingReplacesPreviousLink(): void
+    {
+        $previous = new SynapseConversationShare('old-token', 'user-1', 'c1');
+        $repository = $this->createStub(EntityRepository::class);
+        $repository->method('findBy')->willReturn([$previous]);
+
+        $em = $this->createMock(EntityManagerInterface::class);
+        $em->method('getRepository')->willReturn($repository);
+        $em->expects($this->once())->method('remove')->with($previous);
+        $em->expects($this->once())->method('persist')->with($this->isInstanceOf(SynapseConversationShare::class));
+        $em->expects($this->once())->method('flush');
+
+        $share = (new ConversationShareStore($em))->share('user-1', 'c1', false, 'm4');
+
+        $this->assertNotSame('old-token', $share->getToken());
+        $this->assertFalse($share->includesAttachments());
+        $this->assertSame('m4', $share->getLeafMessageId());
+    }
+
+    public function testRevokingWithoutLinkDoesNotFlush(): void
+    {
+        $repository = $this->createStub(EntityRepository::class);
+        $repository->method('findBy')->willReturn([]);
+
+        $em = $this->createMock(EntityManagerInterface::class);
+        $em->method('getRepository')->willReturn($repository);
+        $em->expects($this->never())->method('flush');
+
+        (new ConversationShareStore($em))->revoke('c1');
+    }
+}
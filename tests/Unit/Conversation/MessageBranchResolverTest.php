@@ -0,0 +1,137 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Tests\Unit\Conversation;
+
+use ArnaudMoncondhuy\SynapseChat\Conversation\MessageBranchResolver;
+use PHPUnit\Framework\TestCase;
+
+class MessageBranchResolverTest extends TestCase
+{
+    private MessageBranchResolver $resolver;
+
+    protected function setUp(): void
+    {
+        $this->resolver = new MessageBranchResolver();
+    }
+
+    public function testLinearHistoryIsReturnedUnchanged(): void
+    {
+        $history = [
+            $this->msg('u1', 'user'),
+            $this->msg('m1', 'model'),
+        ];
+
+        $this->assertSame($history, $this->resolver->activePath($history));
+    }
+
+    public function testRegeneratedVariantReplacesPreviousAnswer(): void
+    {
+        $history = [
+            $this->msg('u1', 'user'),
+            $this->msg('m1', 'model'),
+            $this->msg('m1b', 'model', 'u1'),
+        ];
+
+        $this->assertSame(['u1', 'm1b'], $this->ids($this->resolver->activePath($history)));
+        $this->assertSame(['m1', 'm1b'], $this->ids($this->resolver->siblings($history, 'm1b')));
+    }
+
+    public function testPathCanEndOnAnOlderVariant(): void
+    {
+        $history = [
+            $this->msg('u1', 'user'),
+            $this->msg('m1', 'model'),
+            $this->msg('m1b', 'model', 'u1'),
+            $this->msg('u2', 'user', 'm1'),
+            $this->msg('m2', 'model'),
+        ];
+
+        // La conversation a continué sur la première variante
+        $this->assertSame(['u1', 'm1', 'u2', 'm2'], $this->ids($this->resolver->activePath($history)));
+        $this->assertSame(['u1', 'm1b'], $this->ids($this->resolver->activePath($history, 'm1b')));
+    }
+
+    public function testEditedMessageForksFromItsParent(): void
+    {
+        $history = [
+            $this->msg('u1', 'user'),
+            $this->msg('m1', 'model'),
+            $this->msg('u2', 'user'),
+            $this->msg('m2', 'model'),
+            $this->msg('u2b', 'user', 'm1'),
+            $this->msg('m2b', 'model'),
+        ];
+
+        $this->assertSame(['u1', 'm1', 'u2b', 'm2b'], $this->ids($this->resolver->activePath($history)));
+        $this->assertSame(['u2', 'u2b'], $this->ids($this->resolver->siblings($history, 'u2b')));
+        $this->assertSame('m2', $this->resolver->latestLeaf($history, 'u2'));
+        $this->assertSame('m2b', $this->resolver->latestLeaf($history, 'u2b'));
+    }
+
+    public function testEditingFirstMessageStartsFromRoot(): void
+    {
+        $history = [
+            $this->msg('u1', 'user'),
+            $this->msg('m1', 'model'),
+            $this->msg('u1b', 'user', MessageBranchResolver::ROOT),
+            $this->msg('m1b', 'model'),
+        ];
+
+        $this->assertSame([], $this->resolver->activePath($history, MessageBranchResolver::ROOT));
+        $this->assertSame(['u1b', 'm1b'], $this->ids($this->resolver->activePath($history)));
+        $this->assertSame(['u1', 'u1b'], $this->ids($this->resolver->siblings($history, 'u1')));
+    }
+
+    public function testLatestLeafOfMessageWithoutFollowUpIsItself(): void
+    {
+        $history = [
+            $this->msg('u1', 'user'),
+            $this->msg('m1', 'model'),
+            $this->msg('m1b', 'model', 'u1'),
+        ];
+
+        $this->assertSame('m1', $this->resolver->latestLeaf($history, 'm1'));
+        $this->assertNull($this->resolver->latestLeaf($history, 'nope'));
+    }
+
+    public function testAssistantAndModelRolesAreEquivalent(): void
+    {
+        $history = [
+            $this->msg('u1', 'user'),
+            $this->msg('m1', 'assistant'),
+            $this->msg('m1b', 'MODEL', 'u1'),
+        ];
+
+        $this->assertCount(2, $this->resolver->siblings($history, 'm1'));
+    }
+
+    public function testUnknownMessageHasNoSiblings(): void
+    {
+        $this->assertSame([], $this->resolver->siblings([$this->msg('u1', 'user')], 'nope'));
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function msg(string $id, string $role, ?string $parent = null): array
+    {
+        return [
+            'id' => $id,
+            'role' => $role,
+            'content' => $id,
+            'metadata' => null !== $parent ? [MessageBranchResolver::METADATA_KEY => $parent] : [],
+        ];
+    }
+
+    /**
+     * @param list<array<string, mixed>> $messages
+     *
+     * @return list<mixed>
+     */
+    private function ids(array $messages): array
+    {
+        return array_column($messages, 'id');
+    }
+}
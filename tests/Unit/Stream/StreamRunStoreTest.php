@@ -0,0 +1,95 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Tests\Unit\Stream;
+
+use ArnaudMoncondhuy\SynapseChat\Stream\StreamRunCancelledException;
+use ArnaudMoncondhuy\SynapseChat\Stream\StreamRunStore;
+use PHPUnit\Framework\TestCase;
+use Symfony\Component\Cache\Adapter\ArrayAdapter;
+use Symfony\Component\Clock\MockClock;
+
+class StreamRunStoreTest extends TestCase
+{
+    private const RUN_ID = '0123456789abcdef0123456789abcdef';
+
+    public function testStoreIsDisabledWithoutCache(): void
+    {
+        $store = new StreamRunStore();
+        $store->start(self::RUN_ID, null);
+        $store->append(self::RUN_ID, ['type' => 'delta', 'payload' => ['text' => 'a'], 'seq' => 1]);
+
+        $this->assertFalse($store->isEnabled());
+        $this->assertNull($store->load(self::RUN_ID));
+    }
+
+    public function testFinishedRunKeepsAllEvents(): void
+    {
+        $store = new StreamRunStore(new ArrayAdapter(), new MockClock());
+        $store->start(self::RUN_ID, 'user-1');
+        $store->append(self::RUN_ID, ['type' => 'delta', 'payload' => ['text' => 'a'], 'seq' => 1]);
+        $store->append(self::RUN_ID, ['type' => 'result', 'payload' => [], 'seq' => 2]);
+
+        // Écritures regroupées : rien n'est écrit avant la fin de l'intervalle
+        $this->assertSame([], $store->load(self::RUN_ID)['events']);
+
+        $store->finish(self::RUN_ID);
+        $run = $store->load(self::RUN_ID);
+
+        $this->assertTrue($run['done']);
+        $this->assertSame('user-1', $run['owner']);
+        $this->assertSame([1, 2], array_column($run['events'], 'seq'));
+    }
+
+    public function testEachFlushWritesOnlyNewEvents(): void
+    {
+        $clock = new MockClock();
+        $store = new StreamRunStore(new ArrayAdapter(), $clock);
+        $store->start(self::RUN_ID, null);
+
+        $clock->sleep(1);
+        $store->append(self::RUN_ID, ['type' => 'delta', 'payload' => ['text' => 'a'], 'seq' => 1]);
+        $first = $store->load(self::RUN_ID);
+
+        $clock->sleep(1);
+        $store->append(self::RUN_ID, ['type' => 'delta', 'payload' => ['text' => 'b'], 'seq' => 2]);
+
+        $this->assertSame(1, $first['segments']);
+        $this->assertSame([2], array_column($store->load(self::RUN_ID, $first['segments'])['events'], 'seq'));
+        $this->assertSame([1, 2], array_column($store->load(self::RUN_ID)['events'], 'seq'));
+    }
+
+    public function testOversizedBufferIsNoLongerReplayable(): void
+    {
+        $store = new StreamRunStore(new ArrayAdapter(), new MockClock());
+        $store->start(self::RUN_ID, null);
+        $store->append(self::RUN_ID, ['type' => 'delta', 'payload' => ['text' => str_repeat('a', StreamRunStore::MAX_BUFFER_BYTES)], 'seq' => 1]);
+        $store->finish(self::RUN_ID);
+
+        $run = $store->load(self::RUN_ID);
+
+        $this->assertTrue($run['overflow']);
+        $this->assertSame([], $run['events']);
+    }
+
+    public function testCancelledRunInterruptsNextFlush(): void
+    {
+        $clock = new MockClock();
+        $store = new StreamRunStore(new ArrayAdapter(), $clock);
+        $store->start(self::RUN_ID, null);
+        $store->cancel(self::RUN_ID);
+
+        $clock->sleep(1); // au-delà de l'intervalle de regroupement des écritures
+
+        $this->expectException(StreamRunCancelledException::class);
+        $store->append(self::RUN_ID, ['type' => 'delta', 'payload' => ['text' => 'a'], 'seq' => 1]);
+    }
+
+    public function testMalformedRunIdIsIgnored(): void
+    {
+        $store = new StreamRunStore(new ArrayAdapter());
+
+        $this->assertNull($store->load('../../etc/passwd'));
+    }
+}
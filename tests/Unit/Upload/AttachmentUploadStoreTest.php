@@ -0,0 +1,144 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ArnaudMoncondhuy\SynapseChat\Tests\Unit\Upload;
+
+use ArnaudMoncondhuy\SynapseChat\Upload\AttachmentUploadException;
+use ArnaudMoncondhuy\SynapseChat\Upload\AttachmentUploadStore;
+use PHPUnit\Framework\TestCase;
+use Symfony\Component\HttpFoundation\File\UploadedFile;
+
+class AttachmentUploadStoreTest extends TestCase
+{
+    private string $directory;
+    private AttachmentUploadStore $store;
+
+    protected function setUp(): void
+    {
+        $this->directory = sys_get_temp_dir().'/synapse_chat_uploads_test_'.bin2hex(random_bytes(4));
+        $this->store = new AttachmentUploadStore($this->directory);
+    }
+
+    protected function tearDown(): void
+    {
+        array_map('unlink', glob($this->directory.'/*') ?: []);
+        @rmdir($this->directory);
+    }
+
+    public function testChunksAreAppendedInOrderAndResolvedAsInlineAttachment(): void
+    {
+        $upload = $this->store->create('user-1', 'rapport.pdf', 'application/pdf', 6);
+        $this->store->append('user-1', $upload['id'], 0, 'abc');
+        $upload = $this->store->append('user-1', $upload['id'], 3, 'def');
+
+        $this->assertSame(6, $upload['received']);
+        $this->assertSame(
+            [['mime_type' => 'application/pdf', 'data' => base64_encode('abcdef'), 'name' => 'rapport.pdf']],
+            $this->store->resolve('user-1', [$upload['id']]),
+        );
+    }
+
+    public function testOutOfSequenceChunkIsRejected(): void
+    {
+        $upload = $this->store->create('user-1', 'a.txt', 'text/plain', 6);
+        $this->store->append('user-1', $upload['id'], 0, 'abc');
+
+        $this->expectException(AttachmentUploadException::class);
+        $this->store->append('user-1', $upload['id'], 0, 'abc');
+    }
+
+    public function testChunkBeyondAnnouncedSizeIsRejected(): void
+    {
+        $upload = $this->store->create('user-1', 'a.txt', 'text/plain', 2);
+
+        $this->expectException(AttachmentUploadException::class);
+        $this->store->append('user-1', $upload['id'], 0, 'abc');
+    }
+
+    public function testUploadsAreScopedToTheirOwner(): void
+    {
+        $upload = $this->store->create('user-1', 'a.txt', 'text/plain', 1);
+        $this->store->append('user-1', $upload['id'], 0, 'a');
+
+        $this->assertNull($this->store->find('user-2', $upload['id']));
+        $this->expectException(AttachmentUploadException::class);
+        $this->store->resolve('user-2', [$upload['id']]);
+    }
+
+    public function testIncompleteOrInvalidIdsCannotBeResolved(): void
+    {
+        $upload = $this->store->create('user-1', 'a.txt', 'text/plain', 4);
+        $this->store->append('user-1', $upload['id'], 0, 'ab');
+
+        $this->assertNull($this->store->find('user-1', '../../etc/passwd'));
+        $this->expectException(AttachmentUploadException::class);
+        $this->store->resolve('user-1', [$upload['id']]);
+    }
+
+    public function testUploadedFileIsMovedIntoTheStore(): void
+    {
+        $path = tempnam(sys_get_temp_dir(), 'synapse_upload_');
+        file_put_contents($path, 'abc');
+
+        $upload = $this->store->createFromFile('user-1', 'a.txt', 'text/plain', new UploadedFile($path, 'a.txt', 'text/plain', null, true));
+
+        $this->assertFileDoesNotExist($path);
+        $this->assertSame(3, $upload['received']);
+        $this->assertSame([['mime_type' => 'text/plain', 'data' => base64_encode('abc'), 'name' => 'a.txt']], $this->store->resolve('user-1', [$upload['id']]));
+    }
+
+    public function testPendingUploadsAreLimitedPerOwner(): void
+    {
+        $store = new AttachmentUploadStore($this->directory, 100, 2, 150);
+        $store->create('user-1', 'a.txt', 'text/plain', 100);
+
+        // Un autre utilisateur a son propre quota
+        $store->create('user-2', 'b.txt', 'text/plain', 100);
+
+        $this->expectException(AttachmentUploadException::class);
+        $store->create('user-1', 'c.txt', 'text/plain', 100);
+    }
+
+    public function testPendingUploadCountIsLimitedPerOwner(): void
+    {
+        $store = new AttachmentUploadStore($this->directory, 100, 2, 1000);
+        $store->create('user-1', 'a.txt', 'text/plain', 1);
+        $store->create('user-1', 'b.txt', 'text/plain', 1);
+
+        $this->expectException(AttachmentUploadException::class);
+        $store->create('user-1', 'c.txt', 'text/plain', 1);
+    }
+
+    public function testExpiredUploadsArePurgedWhenAChunkArrives(): void
+    {
+        $expired = $this->store->create('user-1', 'a.txt', 'text/plain', 1);
+        $upload = $this->store->create('user-2', 'b.txt', 'text/plain', 1);
+        $metadata = $this->directory.'/'.$expired['id'].'.json';
+        file_put_contents($metadata, json_encode(['created_at' => time() - 7200] + $expired));
+
+        $this->store->append('user-2', $upload['id'], 0, 'b');
+
+        $this->assertFileDoesNotExist($metadata);
+        $this->assertFileDoesNotExist($this->directory.'/'.$expired['id'].'.part');
+    }
+
+    public function testContentLargerThanAnnouncedIsNotRead(): void
+    {
+        $upload = $this->store->create('user-1', 'a.txt', 'text/plain', 1);
+        $upload = $this->store->append('user-1', $upload['id'], 0, 'a');
+        file_put_contents($this->directory.'/'.$upload['id'].'.part', 'modifié sur disque', \FILE_APPEND);
+
+        $this->expectException(AttachmentUploadException::class);
+        $this->store->resolve('user-1', [$upload['id']]);
+    }
+
+    public function testDeleteRemovesTheUpload(): void
+    {
+        $upload = $this->store->create('user-1', 'a.txt', 'text/plain', 1);
+        $this->store->delete('user-1', $upload['id']);
+
+        $this->assertNull($this->store->find('user-1', $upload['id']));
+        $this->assertSame([], glob($this->directory.'/*') ?: []);
+    }
+}
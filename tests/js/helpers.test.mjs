@@ -0,0 +1,132 @@
+/**
+ * Helpers purs (assets/helpers.js) : rendu Markdown en streaming, formules, pièces jointes, lecture vocale, raccourcis clavier, commandes et mentions.
+ *
+ * Lancer avec : node --test tests/js/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { closeOpenFence, advanceStableBoundary, extractMath, pastedFileName, fitWithin, formatFileSize, splitForSpeech, matchShortcut, formatShortcut, fuzzyScore, parseSlashCommand, extractMention } from '../../assets/helpers.js';
+
+const newScan = () => ({ pos: 0, boundary: 0, fence: null, blank: false });
+
+test('closeOpenFence referme un bloc de code partiel', () => {
+    assert.equal(closeOpenFence('Voici :\n```js\nconst a'), 'Voici :\n```js\nconst a\n```');
+    assert.equal(closeOpenFence('```js\na\n```\nfin'), '```js\na\n```\nfin');
+    assert.equal(closeOpenFence('````md\n```js\n'), '````md\n```js\n\n````');
+});
+
+test('la frontière suit les paragraphes terminés', () => {
+    const text = 'Premier paragraphe.\n\nSecond paragraphe\nen cours';
+    assert.equal(advanceStableBoundary(text, newScan()), text.indexOf('Second'));
+});
+
+test('la frontière ne coupe ni un bloc de code ouvert ni une suite de liste indentée', () => {
+    assert.equal(advanceStableBoundary('Intro\n\n```py\nx = 1\n\ny = 2\n', newScan()), 'Intro\n\n'.length);
+    assert.equal(advanceStableBoundary('- item\n\n    suite de l’item\n', newScan()), 0);
+
+    const closed = 'Intro\n\n```py\nx = 1\n```\nSuite';
+    assert.equal(advanceStableBoundary(closed, newScan()), closed.indexOf('Suite'));
+});
+
+test('le calcul incrémental donne la même frontière que le calcul en une fois', () => {
+    const text = '# Titre\n\nTexte **gras**.\n\n```js\nconst a = 1;\n\nconst b = 2;\n```\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\nFin';
+    const scan = newScan();
+    let boundary = 0;
+    for (let i = 1; i <= text.length; i += 3) {
+        const next = advanceStableBoundary(text.slice(0, i), scan);
+        assert.ok(next >= boundary, 'la frontière ne recule jamais');
+        boundary = next;
+    }
+    assert.equal(advanceStableBoundary(text, scan), advanceStableBoundary(text, newScan()));
+});
+
+test('extractMath remplace les formules par des place-holders', () => {
+    const { text, formulas } = extractMath('Soit $a_i * b_i$ et \\(x^2\\) :\n\n$$\n\\sum_{i=1}^n x_i\n$$\n\nou \\[y_j\\]');
+    assert.equal(text, 'Soit SYNAPSEMATH0X et SYNAPSEMATH1X :\n\nSYNAPSEMATH2X\n\nou SYNAPSEMATH3X');
+    assert.deepEqual(formulas, [
+        { tex: 'a_i * b_i', display: false },
+        { tex: 'x^2', display: false },
+        { tex: '\\sum_{i=1}^n x_i', display: true },
+        { tex: 'y_j', display: true },
+    ]);
+});
+
+test('extractMath ignore le code, les montants et les dollars échappés', () => {
+    for (const source of [
+        'Inline `$a_b$` code',
+        '```py\nprint("$a_b$")\n```',
+        'Entre 5 $ et 10 $, ou $5 et $10.',
+        'Échappé \\$a_b\\$ ici',
+    ]) {
+        assert.deepEqual(extractMath(source), { text: source, formulas: [] });
+    }
+    assert.equal(extractMath('```py\nx = "$a$"\n```\nPuis $c_d$').text, '```py\nx = "$a$"\n```\nPuis SYNAPSEMATH0X');
+});
+
+test('pastedFileName date la capture et dérive l’extension du type MIME', () => {
+    const date = new Date(2026, 0, 5, 9, 4, 3);
+    assert.equal(pastedFileName('image/png', date), 'capture-2026-01-05-090403.png');
+    assert.equal(pastedFileName('image/jpeg', date), 'capture-2026-01-05-090403.jpg');
+    assert.equal(pastedFileName('image/svg+xml', date), 'capture-2026-01-05-090403.svg');
+    assert.equal(pastedFileName('audio/webm;codecs=opus', date, 'dictee'), 'dictee-2026-01-05-090403.webm');
+});
+
+test('fitWithin réduit le plus grand côté en gardant les proportions', () => {
+    assert.deepEqual(fitWithin(4032, 3024, 2048), { width: 2048, height: 1536 });
+    assert.deepEqual(fitWithin(1000, 4000, 2048), { width: 512, height: 2048 });
+    assert.deepEqual(fitWithin(800, 600, 2048), { width: 800, height: 600 });
+});
+
+test('formatFileSize affiche des unités françaises', () => {
+    assert.equal(formatFileSize(512), '512 o');
+    assert.equal(formatFileSize(1536), '1,5 Ko');
+    assert.equal(formatFileSize(10 * 1024 * 1024), '10 Mo');
+});
+
+test('splitForSpeech découpe par ligne, par phrase puis par mots', () => {
+    assert.deepEqual(splitForSpeech('Bonjour. Comment allez-vous ?\nTrès bien'), ['Bonjour.', 'Comment allez-vous ?', 'Très bien']);
+    assert.deepEqual(splitForSpeech('un deux trois quatre', 10), ['un deux', 'trois', 'quatre']);
+    assert.deepEqual(splitForSpeech('  \n\n '), []);
+});
+
+test('matchShortcut compare touche et modificateurs, Cmd valant Ctrl', () => {
+    const key = (key, mods = {}) => ({ key, code: '', ctrlKey: false, metaKey: false, shiftKey: false, altKey: false, ...mods });
+    assert.equal(matchShortcut(key('O', { ctrlKey: true, shiftKey: true }), 'Ctrl+Shift+O'), true);
+    assert.equal(matchShortcut(key('k', { metaKey: true }), 'Ctrl+K'), true);
+    assert.equal(matchShortcut(key('k', { ctrlKey: true, shiftKey: true }), 'Ctrl+K'), false);
+    assert.equal(matchShortcut(key('/', { ctrlKey: true, shiftKey: true }), 'Ctrl+/'), true);
+    assert.equal(matchShortcut(key('Escape', { shiftKey: true }), 'Shift+Escape'), true);
+    assert.equal(matchShortcut(key('a', { altKey: true, code: 'KeyQ' }), 'Alt+A'), true);
+    assert.equal(matchShortcut(key('å', { altKey: true, code: 'KeyA' }), 'Alt+A'), false);
+    assert.equal(matchShortcut(key('q', { altKey: true, code: 'KeyA' }), 'Alt+A'), false);
+});
+
+test('formatShortcut affiche les touches selon la plateforme', () => {
+    assert.deepEqual(formatShortcut('Ctrl+Shift+O'), ['Ctrl', 'Maj', 'O']);
+    assert.deepEqual(formatShortcut('Ctrl+Shift+O', true), ['⌘', '⇧', 'O']);
+    assert.deepEqual(formatShortcut('Shift+Escape'), ['Maj', 'Échap']);
+    assert.deepEqual(formatShortcut('Ctrl+/'), ['Ctrl', '/']);
+});
+
+test('fuzzyScore trouve les lettres dans l’ordre et favorise les débuts de mot', () => {
+    assert.notEqual(fuzzyScore('nvl conv', 'Nouvelle conversation'), null);
+    assert.notEqual(fuzzyScore('ecrire', 'Écrire un mail'), null);
+    assert.equal(fuzzyScore('xyz', 'Recette'), null);
+    assert.equal(fuzzyScore('', 'Recette'), 0);
+    assert.ok(fuzzyScore('rec', 'Recette') > fuzzyScore('rec', 'Correction'));
+});
+
+test('parseSlashCommand sépare le nom de la commande et ses arguments', () => {
+    assert.deepEqual(parseSlashCommand('/Agent  Rédacteur web '), { name: 'agent', args: 'Rédacteur web' });
+    assert.deepEqual(parseSlashCommand('/new'), { name: 'new', args: '' });
+    assert.deepEqual(parseSlashCommand('/remember Je préfère le thé\nle matin'), { name: 'remember', args: 'Je préfère le thé\nle matin' });
+    assert.equal(parseSlashCommand('/etc/hosts est vide'), null);
+    assert.equal(parseSlashCommand('Bonjour /new'), null);
+});
+
+test('extractMention retire la mention d’un agent connu et garde les autres @', () => {
+    const keys = ['redacteur', 'data-analyst'];
+    assert.deepEqual(extractMention('@Redacteur un poème sur la mer', keys), { agent: 'redacteur', text: 'un poème sur la mer' });
+    assert.deepEqual(extractMention('Analyse ce fichier @data-analyst', keys), { agent: 'data-analyst', text: 'Analyse ce fichier' });
+    assert.deepEqual(extractMention('Écris à contact@exemple.fr @inconnu', keys), { agent: null, text: 'Écris à contact@exemple.fr @inconnu' });
+});
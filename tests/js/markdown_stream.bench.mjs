@@ -0,0 +1,94 @@
+/**
+ * Benchmark du rendu Markdown en streaming : temps de rendu par delta sur une réponse de ~20k tokens.
+ *
+ * Compare le rendu historique (re-parse de tout le texte à chaque delta) au rendu incrémental
+ * de synapse_chat_controller (blocs terminés rendus une fois, seul le bloc en cours re-rendu).
+ * Mesure le pipeline texte → HTML assaini (marked si résolvable, sinon le fallback), hors coût DOM.
+ *
+ * Lancer avec : node tests/js/markdown_stream.bench.mjs
+ */
+import { performance } from 'node:perf_hooks';
+import { closeOpenFence, renderMarkdownFallback, advanceStableBoundary } from '../../assets/helpers.js';
+import { sanitizeHtml } from '../../assets/sanitizer.js';
+
+const TARGET_TOKENS = 20000;
+const CHARS_PER_TOKEN = 4;
+const NAIVE_SAMPLES = 40;
+
+let markdown = renderMarkdownFallback;
+let renderer = 'fallback regex';
+try {
+    const m = await import('marked');
+    markdown = m.parse || m.default?.parse || m.marked?.parse;
+    renderer = 'marked';
+} catch (_) { /* marked absent : fallback */ }
+
+const render = text => sanitizeHtml(markdown(closeOpenFence(text)));
+
+function buildAnswer() {
+    const blocks = [];
+    for (let i = 0; blocks.join('\n\n').length < TARGET_TOKENS * CHARS_PER_TOKEN; i++) {
+        switch (i % 5) {
+            case 0: blocks.push(`## Section ${i}\n\nCe paragraphe explique le point ${i} avec du **gras**, de l'*italique* et du \`code\` en ligne, suivi d'un [lien](https://example.com/${i}).`); break;
+            case 1: blocks.push(`- Premier élément ${i}\n- Deuxième élément avec **emphase**\n- Troisième élément`); break;
+            case 2: blocks.push(`\`\`\`js\nfunction f${i}(a, b) {\n    const total = a + b;\n\n    return total * ${i};\n}\n\`\`\``); break;
+            case 3: blocks.push(`| Colonne | Valeur |\n|---|---|\n| a${i} | ${i} |\n| b${i} | ${i * 2} |`); break;
+            default: blocks.push(`Un paragraphe de transition numéro ${i}, assez long pour ressembler à une vraie réponse de modèle de langage qui développe son raisonnement.`);
+        }
+    }
+    return blocks.join('\n\n');
+}
+
+function stats(times) {
+    const sorted = [...times].sort((a, b) => a - b);
+    const at = q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+    const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+    return { 'moyenne (ms)': +mean.toFixed(3), 'p95 (ms)': +at(0.95).toFixed(3), 'max (ms)': +sorted[sorted.length - 1].toFixed(3) };
+}
+
+const answer = buildAnswer();
+const deltas = answer.match(new RegExp(`[\\s\\S]{1,${CHARS_PER_TOKEN}}`, 'g'));
+
+// Rendu historique : tout le texte à chaque delta (échantillonné, le coût total est quadratique)
+const naive = [];
+const naiveByProgress = {};
+const step = Math.floor(deltas.length / NAIVE_SAMPLES);
+for (let n = step; n <= deltas.length; n += step) {
+    const text = deltas.slice(0, n).join('');
+    const start = performance.now();
+    render(text);
+    const elapsed = performance.now() - start;
+    naive.push(elapsed);
+    naiveByProgress[Math.round((100 * n) / deltas.length)] = elapsed;
+}
+
+// Rendu incrémental : chaque delta, sans regroupement par frame (pire cas)
+const incremental = [];
+const scan = { pos: 0, boundary: 0, fence: null, blank: false };
+let text = '';
+let rendered = 0;
+for (const delta of deltas) {
+    text += delta;
+    const start = performance.now();
+    const boundary = advanceStableBoundary(text, scan);
+    if (boundary > rendered) {
+        render(text.slice(rendered, boundary));
+        rendered = boundary;
+    }
+    render(text.slice(rendered));
+    incremental.push(performance.now() - start);
+}
+
+const naiveTotal = naive.reduce((sum, t) => sum + t, 0) * step;
+const incrementalTotal = incremental.reduce((sum, t) => sum + t, 0);
+
+console.log(`Réponse : ${answer.length} caractères, ${deltas.length} deltas (~${CHARS_PER_TOKEN} car./token), rendu : ${renderer}\n`);
+console.table({
+    'Re-parse complet (historique)': { ...stats(naive), 'total estimé (s)': +(naiveTotal / 1000).toFixed(2) },
+    'Incrémental (bloc en cours)': { ...stats(incremental), 'total estimé (s)': +(incrementalTotal / 1000).toFixed(2) },
+});
+console.log('\nRe-parse complet, temps par delta selon l\'avancement de la réponse :');
+console.table(Object.fromEntries([25, 50, 75, 100].map(p => {
+    const key = Object.keys(naiveByProgress).map(Number).reduce((best, k) => Math.abs(k - p) < Math.abs(best - p) ? k : best);
+    return [`${p} %`, { 'ms / delta': +naiveByProgress[key].toFixed(3) }];
+})));
@@ -0,0 +1,119 @@
+/**
+ * Corpus XSS du sanitizer Markdown (assets/sanitizer.js).
+ *
+ * Lancer avec : node --test tests/js/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeHtml, safeUrl } from '../../assets/sanitizer.js';
+
+// Charges connues (OWASP XSS Filter Evasion, PortSwigger XSS cheat sheet, cas propres aux sorties Markdown)
+const PAYLOADS = [
+    '<script>alert(1)</script>',
+    '<SCRIPT SRC=//evil.example/xss.js></SCRIPT>',
+    '<scr<script>ipt>alert(1)</script>',
+    '<script>alert(1)',
+    '<img src=x onerror=alert(1)>',
+    '<img/src=x/onerror=alert(1)>',
+    '<img src="x" onerror="alert(1)"//>',
+    '<IMG SRC="javascript:alert(1)">',
+    '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">',
+    '<svg onload=alert(1)>',
+    '<svg><script>alert(1)</script></svg>',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '<body onload=alert(1)>',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+    '<object data="javascript:alert(1)"></object>',
+    '<embed src="javascript:alert(1)">',
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="JaVaScRiPt:alert(1)">x</a>',
+    '<a href=" javascript:alert(1)">x</a>',
+    '<a href="java\tscript:alert(1)">x</a>',
+    '<a href="java&#x09;script:alert(1)">x</a>',
+    '<a href="javascript&colon;alert(1)">x</a>',
+    '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>',
+    '<a href="&#x6A;avascript:alert(1)">x</a>',
+    '<a href="vbscript:msgbox(1)">x</a>',
+    '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+    '<a href="x" onmouseover="alert(1)">x</a>',
+    '<a href="x"onmouseover="alert(1)">x</a>',
+    '<a title="a>b" onclick="alert(1)">x</a>',
+    '<div style="background:url(javascript:alert(1))">x</div>',
+    '<p style="position:fixed;inset:0">x</p>',
+    '<form action="javascript:alert(1)"><button>x</button></form>',
+    '<input type="text" onfocus="alert(1)" autofocus>',
+    '<details open ontoggle=alert(1)>',
+    '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+    '<base href="javascript:alert(1)//">',
+    '<link rel="stylesheet" href="javascript:alert(1)">',
+    '<style>@import "javascript:alert(1)";</style>',
+    '<!--<img src=x onerror=alert(1)>-->',
+    '<!--><img src=x onerror=alert(1)>-->',
+    '<![CDATA[<img src=x onerror=alert(1)>]]>',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+    '<textarea><img src=x onerror=alert(1)></textarea>',
+    '<template><img src=x onerror=alert(1)></template>',
+    '"><img src=x onerror=alert(1)>',
+    '<a href="https://ok.example" target="_top" rel="opener">x</a>',
+    // Sorties du fallback regex de parseMarkdown() : [x](javascript:…) devient une ancre
+    '<a href="javascript:alert(document.cookie)" class="synapse-chat-btn-action" target="_blank">clic</a>',
+    '<a href="x" onclick="alert(1)" class="synapse-chat-btn-action" target="_blank">clic</a>',
+];
+
+/**
+ * Aucune balise dangereuse, aucun gestionnaire d'événement, aucun schéma exécutable.
+ * Le texte échappé (&lt;…&gt;) est sans danger : seules les balises réelles sont inspectées.
+ */
+function assertSafe(html, payload) {
+    const tags = html.match(/<[a-z][^>]*>/gi) || [];
+    for (const tag of tags) {
+        assert.doesNotMatch(tag, /^<(script|iframe|object|embed|svg|math|style|form|base|meta|link|body|textarea|template|noscript|button)\b/i, `${payload} → ${tag}`);
+        assert.doesNotMatch(tag, /\son[a-z]+\s*=/i, `${payload} → ${tag}`);
+        assert.doesNotMatch(tag, /\s(style|srcdoc|action|formaction)\s*=/i, `${payload} → ${tag}`);
+        assert.doesNotMatch(tag, /\s(href|src)="\s*(javascript|vbscript|data:(?!image\/(png|jpe?g|gif|webp);))/i, `${payload} → ${tag}`);
+        if (/^<a\b/i.test(tag)) assert.match(tag, /\srel="noopener"/, `${payload} → ${tag}`);
+    }
+}
+
+test('le corpus XSS ne produit aucun HTML exécutable', () => {
+    for (const payload of PAYLOADS) {
+        assertSafe(sanitizeHtml(payload), payload);
+    }
+});
+
+test('le Markdown usuel (sortie de marked) est conservé', () => {
+    const html = '<h2>Titre</h2>\n<p>Du <strong>gras</strong>, de l’<em>italique</em> et du <code>code</code>.</p>\n'
+        + '<pre><code class="language-js">const a = 1 &lt; 2;\n</code></pre>\n'
+        + '<ul>\n<li><input checked="" disabled="" type="checkbox"> fait</li>\n</ul>\n'
+        + '<table>\n<thead>\n<tr>\n<th align="center">A</th>\n</tr>\n</thead>\n</table>\n'
+        + '<blockquote>\n<p>Citation</p>\n</blockquote>\n<hr>\n<img src="https://cdn.example/a.png" alt="A">';
+
+    assert.equal(sanitizeHtml(html), html);
+});
+
+test('les liens gardent leur URL et reçoivent rel="noopener"', () => {
+    assert.equal(
+        sanitizeHtml('<a href="https://example.com/?a=1&amp;b=2" title="Ex">lien</a>'),
+        '<a href="https://example.com/?a=1&amp;b=2" title="Ex" rel="noopener">lien</a>',
+    );
+    assert.equal(
+        sanitizeHtml('<a href="javascript:alert(1)" target="_blank">x</a>'),
+        '<a target="_blank" rel="noopener">x</a>',
+    );
+});
+
+test('le contenu des balises supprimées disparaît, celui des balises inconnues reste en texte', () => {
+    assert.equal(sanitizeHtml('a<script>alert(1)</script>b'), 'ab');
+    assert.equal(sanitizeHtml('<custom-el>texte</custom-el>'), 'texte');
+    assert.equal(sanitizeHtml('1 < 2 et 3 > 2'), '1 &lt; 2 et 3 &gt; 2');
+});
+
+test('safeUrl accepte les URL relatives et les schémas sûrs uniquement', () => {
+    assert.equal(safeUrl('/synapse/attachment/1'), '/synapse/attachment/1');
+    assert.equal(safeUrl('#section'), '#section');
+    assert.equal(safeUrl('mailto:a@example.com'), 'mailto:a@example.com');
+    assert.equal(safeUrl('javascript:alert(1)'), null);
+    assert.equal(safeUrl('data:image/png;base64,iVBORw0KGgo='), null);
+    assert.equal(safeUrl('data:image/png;base64,iVBORw0KGgo=', true), 'data:image/png;base64,iVBORw0KGgo=');
+});